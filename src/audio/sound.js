@@ -0,0 +1,235 @@
+/* global THREE */
+// ========= Sound: ambient beds, footsteps, landings, clicks, the pond =========
+// Everything is synthesized with Web Audio — filtered noise and a few
+// oscillators, no sound files. A day bed (breeze, birds) and a night bed
+// (stiller air, crickets) crossfade when night falls or breaks; footsteps
+// and landings come from the player's movement (src/audio/steps.js); the
+// water hisses from the nearest point of the pond through a THREE.PositionalAudio.
+// Browsers keep audio locked until the page is clicked, tapped or typed into,
+// so nothing is created before that.
+
+import { scene, camera } from "../renderer.js";
+import { town } from "../world/town.js";
+import { lighting } from "../lighting/lights.js";
+import { StepCounter, surfaceAt, nearestOnRect } from "./steps.js";
+
+const CROSSFADE = 1.2;   // seconds (time constant) for the day ↔ night beds
+const BED_LEVEL = 0.6;
+
+// Per surface: filter type / frequency / Q, length (s) and loudness of one footfall
+const STEP_SOUNDS = {
+  grass:  { type: "lowpass",  freq: 900,  q: 0.7, len: 0.12, vol: 0.25 },
+  gravel: { type: "bandpass", freq: 2600, q: 0.9, len: 0.16, vol: 0.45 },
+  floor:  { type: "lowpass",  freq: 450,  q: 1.2, len: 0.07, vol: 0.35, knock: 110 }
+};
+
+let listener = null;  // THREE.AudioListener once unlocked
+let ctx = null;
+let out = null;       // listener input: everything non-positional goes here
+let noise = null;     // 2 s of white noise behind every hiss, crunch and splash
+let muted = false;
+let beds = null;      // { day, night } gain nodes
+let nightOn = null;
+let water = null;     // THREE.PositionalAudio at the pond's nearest point
+let chirpIn = 1;
+let cricketIn = 1;
+const steps = new StepCounter();
+
+const rand = (a, b) => a + Math.random() * (b - a);
+
+function makeNoise() {
+  const buf = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+  const data = buf.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  return buf;
+}
+
+// Endless noise through a filter, its level wobbling slowly (gusts, ripples).
+// Returns the output gain, already connected to `dest` when one is given.
+function noiseLoop({ type, freq, q = 0.7, level, wobble, rate }, dest = null) {
+  const src = ctx.createBufferSource();
+  src.buffer = noise;
+  src.loop = true;
+  const filter = ctx.createBiquadFilter();
+  filter.type = type;
+  filter.frequency.value = freq;
+  filter.Q.value = q;
+  const gain = ctx.createGain();
+  gain.gain.value = level;
+  const lfo = ctx.createOscillator();
+  lfo.frequency.value = rate;
+  const depth = ctx.createGain();
+  depth.gain.value = wobble;
+  lfo.connect(depth).connect(gain.gain);
+  src.connect(filter).connect(gain);
+  if (dest) gain.connect(dest);
+  src.start(0, rand(0, 2));
+  lfo.start();
+  return gain;
+}
+
+// A short noise burst: the body of steps, thuds and clicks
+function burst(dest, { type, freq, q, len, vol, at = ctx.currentTime }) {
+  const src = ctx.createBufferSource();
+  src.buffer = noise;
+  src.playbackRate.value = rand(0.85, 1.15);
+  const filter = ctx.createBiquadFilter();
+  filter.type = type;
+  filter.frequency.value = freq * rand(0.85, 1.15);
+  filter.Q.value = q;
+  const env = ctx.createGain();
+  env.gain.setValueAtTime(0, at);
+  env.gain.linearRampToValueAtTime(vol, at + 0.005);
+  env.gain.exponentialRampToValueAtTime(0.001, at + len);
+  src.connect(filter).connect(env).connect(dest);
+  src.start(at, rand(0, 1.8), len + 0.02);
+}
+
+// A falling sine: the low end of a knock or thud
+function tone(dest, { from, to, len, vol, at = ctx.currentTime, type = "sine" }) {
+  const osc = ctx.createOscillator();
+  osc.type = type;
+  osc.frequency.setValueAtTime(from, at);
+  osc.frequency.exponentialRampToValueAtTime(to, at + len);
+  const env = ctx.createGain();
+  env.gain.setValueAtTime(vol, at);
+  env.gain.exponentialRampToValueAtTime(0.001, at + len);
+  osc.connect(env).connect(dest);
+  osc.start(at);
+  osc.stop(at + len + 0.02);
+}
+
+// A bird: two to four quick whistles sliding up or down
+function chirp() {
+  const base = rand(2200, 3800);
+  const notes = Math.floor(rand(2, 5));
+  for (let i = 0; i < notes; i++) {
+    const at = ctx.currentTime + i * rand(0.09, 0.14);
+    tone(beds.day, { from: base, to: base * rand(0.7, 1.35), len: 0.08, vol: 0.05, at });
+  }
+}
+
+// A cricket: a few very short, high pulses
+function cricket() {
+  const f = rand(4200, 4800);
+  const pulses = Math.floor(rand(3, 6));
+  for (let i = 0; i < pulses; i++) {
+    const at = ctx.currentTime + i * 0.045;
+    tone(beds.night, { from: f, to: f * 0.98, len: 0.025, vol: 0.03, at });
+  }
+}
+
+function unlock() {
+  if (listener) return;
+  if (!window.AudioContext && !window.webkitAudioContext) return;
+  listener = new THREE.AudioListener();
+  camera.add(listener);
+  ctx = listener.context;
+  out = listener.getInput();
+  noise = makeNoise();
+
+  beds = { day: ctx.createGain(), night: ctx.createGain() };
+  for (const g of Object.values(beds)) {
+    g.gain.value = 0;
+    g.connect(out);
+  }
+  noiseLoop({ type: "lowpass", freq: 700, level: 0.08, wobble: 0.04, rate: 0.09 }, beds.day);   // breeze
+  noiseLoop({ type: "lowpass", freq: 350, level: 0.05, wobble: 0.02, rate: 0.05 }, beds.night); // still air
+
+  applyMute();
+}
+
+// The pond: a ripple of filtered noise coming from its closest point to you
+function makeWater() {
+  water = new THREE.PositionalAudio(listener);
+  water.setRefDistance(3);
+  water.setRolloffFactor(1.5);
+  water.setNodeSource(noiseLoop({ type: "bandpass", freq: 520, q: 0.6, level: 0.5, wobble: 0.2, rate: 0.3 }));
+  scene.add(water);
+}
+
+export function initAudio() {
+  const events = ["pointerdown", "keydown", "touchend"];
+  const onGesture = () => {
+    unlock();
+    if (listener) for (const type of events) window.removeEventListener(type, onGesture, true);
+  };
+  for (const type of events) window.addEventListener(type, onGesture, true);
+}
+
+export function isMuted() {
+  return muted;
+}
+
+// Silence everything (and let the audio thread sleep) or bring it back;
+// fine to call before the first gesture
+export function setMuted(on) {
+  if (on === muted) return;
+  muted = on;
+  if (ctx) applyMute();
+}
+
+function applyMute() {
+  listener.setMasterVolume(muted ? 0 : 1);
+  if (muted) ctx.suspend();
+  else ctx.resume();
+}
+
+export function playClick() {
+  if (!ctx || muted) return;
+  const click = { type: "highpass", freq: 3200, q: 0.5, len: 0.012, vol: 0.3 };
+  burst(out, click);
+  burst(out, Object.assign({}, click, { freq: 2400, vol: 0.2, at: ctx.currentTime + 0.06 }));
+}
+
+// A door swinging to: a soft wooden knock
+export function playDoor() {
+  if (!ctx || muted) return;
+  tone(out, { from: 140, to: 70, len: 0.18, vol: 0.35 });
+  burst(out, { type: "lowpass", freq: 350, q: 0.8, len: 0.14, vol: 0.25 });
+}
+
+function playStep(surface, vol) {
+  const s = STEP_SOUNDS[surface];
+  burst(out, Object.assign({}, s, { vol: s.vol * vol }));
+  if (s.knock) tone(out, { from: s.knock, to: s.knock * 0.6, len: 0.09, vol: 0.25 * vol });
+}
+
+function playLanding(hard) {
+  tone(out, { from: 95, to: 40, len: 0.25, vol: 0.3 + 0.5 * hard });
+  burst(out, { type: "lowpass", freq: 500, q: 0.7, len: 0.18, vol: 0.2 + 0.4 * hard });
+}
+
+// Once per frame with the player's sim state: steps, landings, the pond's
+// position, the day / night crossfade and the odd bird or cricket
+export function updateAudio(dt, state) {
+  if (!ctx || muted) return;
+  const layout = town.layout;
+
+  const { steps: n, landing } = steps.update(state);
+  if (landing) playLanding(landing);
+  if (n && layout) playStep(surfaceAt(layout, state.x, state.z), 1 - 0.6 * state.crouch);
+
+  if (nightOn !== lighting.nightMode) {
+    nightOn = lighting.nightMode;
+    const t = ctx.currentTime;
+    beds.day.gain.setTargetAtTime(nightOn ? 0 : BED_LEVEL, t, CROSSFADE);
+    beds.night.gain.setTargetAtTime(nightOn ? BED_LEVEL : 0, t, CROSSFADE);
+  }
+  chirpIn -= dt;
+  if (chirpIn <= 0) {
+    chirpIn = rand(0.8, 3.5);
+    if (!nightOn) chirp();
+  }
+  cricketIn -= dt;
+  if (cricketIn <= 0) {
+    cricketIn = rand(0.3, 1.2);
+    if (nightOn) cricket();
+  }
+
+  if (layout && layout.water && !water) makeWater();
+  if (water) {
+    const p = nearestOnRect(layout.water, state.x, state.z);
+    water.position.set(p.x, layout.water.y, p.z);
+  }
+}
@@ -0,0 +1,72 @@
+// ========= Footsteps and landings from the player's movement =========
+// Steps come from distance actually covered on the ground (walking into a
+// wall makes no footsteps), with a longer stride the faster you go. What
+// you're standing on picks the sound: house floors, path gravel or grass.
+
+import { porch } from "../world/houseparts.js";
+import { roadNetwork } from "../world/roadgraph.js";
+
+const STRIDE_PER_MS = 0.4;  // meters of stride per m/s of speed…
+const MIN_STRIDE    = 0.6;  // …but never shorter (creeping) or longer (sprinting) than these
+const MAX_STRIDE    = 2.6;
+const MIN_FALL      = 2.5;  // m/s downward at touchdown before a landing makes a sound
+const HARD_FALL     = 12;   // m/s that lands at full volume
+
+const within = (r, x, z) => Math.abs(x - r.x) <= r.w / 2 && Math.abs(z - r.z) <= r.d / 2;
+
+// "floor" inside a house or on its porch, "gravel" on a path or road, otherwise "grass"
+function surfaceAt(layout, x, z) {
+  if (layout.houses.some((h) => within(h, x, z) || (h.porch && within(porch(h).deck, x, z)))) return "floor";
+  if (layout.paths.some((p) => within(p, x, z)) || roadNetwork(layout).onRoad(x, z)) return "gravel";
+  return "grass";
+}
+
+// Closest point of an axis-aligned rect { x, z, w, d } to (x, z) — the point itself when inside
+function nearestOnRect(r, x, z) {
+  return {
+    x: Math.max(r.x - r.w / 2, Math.min(r.x + r.w / 2, x)),
+    z: Math.max(r.z - r.d / 2, Math.min(r.z + r.d / 2, z))
+  };
+}
+
+class StepCounter {
+  constructor() {
+    this.travelled = null; // meters since the last step; null while standing still
+    this.lastState = null;
+  }
+
+  // Feed the sim state once per frame. Returns { steps, landing } where steps is
+  // how many footfalls happened (usually 0 or 1) and landing 0..1 how hard a
+  // landing this frame was (0 = none). Frames without a sim tick hand back the
+  // same state object and count for nothing.
+  update(state) {
+    const last = this.lastState;
+    if (state === last) return { steps: 0, landing: 0 };
+    this.lastState = state;
+    if (!last) return { steps: 0, landing: 0 };
+
+    let landing = 0;
+    if (state.onGround && !last.onGround && -last.vy >= MIN_FALL) {
+      landing = Math.min(1, -last.vy / HARD_FALL);
+      this.travelled = 0; // the landing is the footfall
+    }
+
+    if (!state.onGround || !last.onGround) return { steps: 0, landing };
+    const dist = Math.hypot(state.x - last.x, state.z - last.z);
+    if (dist === 0) {
+      this.travelled = null;
+      return { steps: 0, landing };
+    }
+    const stride = Math.max(MIN_STRIDE, Math.min(MAX_STRIDE, Math.hypot(state.vx, state.vz) * STRIDE_PER_MS));
+    // setting off, the first foot comes down half a stride in
+    this.travelled = (this.travelled === null ? stride / 2 : this.travelled) + dist;
+    let steps = 0;
+    while (this.travelled >= stride) {
+      this.travelled -= stride;
+      steps++;
+    }
+    return { steps, landing };
+  }
+}
+
+export { surfaceAt, nearestOnRect, StepCounter };
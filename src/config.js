@@ -0,0 +1,16 @@
+// ========= Build version, device mode and URL params =========
+// Everything here is decided once at startup; other modules import the result.
+
+export const VERSION = "v8.0";
+
+// Phones and tablets get the touch rig, fewer lights and no shadows
+const isCoarse = window.matchMedia && matchMedia("(pointer: coarse)").matches;
+const hasTouch = "ontouchstart" in window || (navigator.maxTouchPoints || 0) > 0;
+export const isMobile = !!(isCoarse || hasTouch);
+
+export const params = new URLSearchParams(location.search);
+
+export function numParam(name, fallback) {
+  const v = parseFloat(params.get(name));
+  return Number.isFinite(v) ? v : fallback;
+}
@@ -0,0 +1,443 @@
+/* global THREE */
+// ========= Town editor — orbit camera, gizmos, place / move / turn / delete =========
+// "Edit town" in the overlay swaps walking for a camera orbiting over the
+// town. Click a house, tree or path to select it; drag it around, or drag one
+// of its arrows to keep to that axis. The ring (or R) turns it a quarter,
+// Delete removes it, and the toolbar places new ones, undoes / redoes
+// (Ctrl+Z / Ctrl+Y) and exports the layout as a file for layouts/. Positions
+// snap to a 1 m grid unless G turns that off. Every change rebuilds the town
+// (src/world/town.js) — meshes, collision and the ground under the houses —
+// so the player collides with a house where it was dropped, and walks the
+// edited town straight after "Done". A drag only slides the item's meshes
+// and the gizmo along; the town is rebuilt once it's let go.
+// Drag empty ground to orbit, right-drag (or Shift) to pan, wheel to zoom;
+// on touch screens one finger orbits and two pinch and pan. WASD pans too.
+
+import { scene, camera, renderer } from "../renderer.js";
+import { town, rebuildTown, previewMove } from "../world/town.js";
+import * as TownLayout from "../world/layout.js";
+import { refreshLampLights } from "../lighting/lights.js";
+import { moveKeys } from "../input/keyboard.js";
+import { bindButton, flashDbg } from "../ui/hud.js";
+import { GRID, LayoutEdits, snap, pick, footprint, fileName } from "./edits.js";
+
+const ORBIT_SPEED = 0.006; // radians per pixel dragged
+const PITCH_MIN = 0.2;
+const PITCH_TOP = 1.55;    // straight down, near enough (exactly down confuses lookAt)
+const DIST_MIN = 6;
+const DIST_MAX = 160;
+const PAN_SPEED = 0.6;     // keyboard pan, in orbit distances per second
+
+const editor = {
+  on: false,
+  edits: null,
+  selected: null,  // { kind, index } (src/editor/edits.js)
+  placing: null,   // "house" | "tree" | "path" while the next click places one
+  grid: GRID,
+  changed: false,  // anything edited since "Edit town"
+  rebuild: false   // the town is behind the layout
+};
+const view = { target: new THREE.Vector3(), yaw: 0, pitch: 0.9, dist: 40, lastPitch: 0.9 };
+let rig = null;    // what the camera hangs off while walking
+let drag = null;   // { kind: "move" | "orbit" | "pan" | "pinch", … }
+const pointers = new Map(); // pointerId → { x, y }, for pinching
+let ui = {};
+let onLeave = () => {};
+
+// ---------- Gizmo: outline, two axis arrows and a turning ring ----------
+const gizmo = new THREE.Group();
+gizmo.visible = false;
+scene.add(gizmo);
+
+function overlayMat(color) {
+  return new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.9 });
+}
+
+const outline = new THREE.LineLoop(
+  new THREE.BufferGeometry().setFromPoints([[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]].map(([x, z]) => new THREE.Vector3(x, 0, z))),
+  new THREE.LineBasicMaterial({ color: 0xffffff, depthTest: false })
+);
+
+function makeArrow(axis, color) {
+  const g = new THREE.Group();
+  const mat = overlayMat(color);
+  const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, 1.6, 8), mat);
+  shaft.position.y = 0.8;
+  const tip = new THREE.Mesh(new THREE.ConeGeometry(0.25, 0.6, 12), mat);
+  tip.position.y = 1.9;
+  g.add(shaft, tip);
+  g.rotation.set(axis === "z" ? Math.PI / 2 : 0, 0, axis === "x" ? -Math.PI / 2 : 0); // +Y → +X / +Z
+  for (const m of [shaft, tip]) m.userData.axis = axis;
+  return g;
+}
+
+const arrows = { x: makeArrow("x", 0xe53935), z: makeArrow("z", 0x1e88e5) };
+const ring = new THREE.Mesh(new THREE.TorusGeometry(1, 0.07, 8, 48), overlayMat(0xffca28));
+ring.rotation.x = Math.PI / 2;
+ring.userData.turn = true;
+gizmo.add(outline, arrows.x, arrows.z, ring);
+for (const o of [outline, ring, ...arrows.x.children, ...arrows.z.children]) o.renderOrder = 999;
+const handles = [ring, ...arrows.x.children, ...arrows.z.children];
+
+function placeGizmo() {
+  const sel = editor.selected;
+  gizmo.visible = !!sel;
+  if (!sel) return;
+  const fp = footprint(editor.edits.layout, sel);
+  gizmo.position.set(fp.x, town.terrain.heightAt(fp.x, fp.z) + 0.15, fp.z);
+  outline.scale.set(fp.w, 1, fp.d);
+  arrows.x.position.set(fp.w / 2 + 0.3, 0, 0);
+  arrows.z.position.set(0, 0, fp.d / 2 + 0.3);
+  const r = Math.hypot(fp.w, fp.d) / 2 + 0.6;
+  ring.scale.set(r, r, 1);
+  ring.visible = sel.kind !== "tree";
+}
+
+// ---------- Camera ----------
+function placeCamera() {
+  const { target, yaw, pitch, dist } = view;
+  camera.position.set(
+    target.x + Math.sin(yaw) * Math.cos(pitch) * dist,
+    target.y + Math.sin(pitch) * dist,
+    target.z + Math.cos(yaw) * Math.cos(pitch) * dist
+  );
+  camera.lookAt(target);
+}
+
+function orbit(dx, dy) {
+  view.yaw -= dx * ORBIT_SPEED;
+  view.pitch = Math.max(PITCH_MIN, Math.min(PITCH_TOP, view.pitch + dy * ORBIT_SPEED));
+}
+
+// Screen pixels → meters on the ground at the orbit distance
+function pan(dx, dy) {
+  const k = (view.dist * 2 * Math.tan((camera.fov * Math.PI) / 360)) / renderer.domElement.clientHeight;
+  const right = new THREE.Vector3(Math.cos(view.yaw), 0, -Math.sin(view.yaw));
+  const back = new THREE.Vector3(Math.sin(view.yaw), 0, Math.cos(view.yaw));
+  view.target.addScaledVector(right, -dx * k).addScaledVector(back, -dy * k);
+}
+
+function zoom(factor) {
+  view.dist = Math.max(DIST_MIN, Math.min(DIST_MAX, view.dist * factor));
+}
+
+function toggleTopView() {
+  if (view.pitch >= PITCH_TOP) {
+    view.pitch = view.lastPitch;
+  } else {
+    view.lastPitch = view.pitch;
+    view.pitch = PITCH_TOP;
+  }
+  refreshToolbar();
+}
+
+// ---------- Picking ----------
+const raycaster = new THREE.Raycaster();
+
+function rayAt(e) {
+  const r = renderer.domElement.getBoundingClientRect();
+  const ndc = new THREE.Vector2(((e.clientX - r.left) / r.width) * 2 - 1, -((e.clientY - r.top) / r.height) * 2 + 1);
+  raycaster.setFromCamera(ndc, camera);
+  return raycaster.ray;
+}
+
+// Where the pointer's ray meets the plane y = `y` (null if it points away)
+function onPlane(ray, y) {
+  const dy = ray.direction.y;
+  if (Math.abs(dy) < 1e-6) return null;
+  const t = (y - ray.origin.y) / dy;
+  return t > 0 ? ray.origin.clone().addScaledVector(ray.direction, t) : null;
+}
+
+// Where it meets the ground: a few rounds of "plane at the height found last time"
+function onGround(ray) {
+  let p = onPlane(ray, town.terrain.heightAt(view.target.x, view.target.z));
+  for (let i = 0; p && i < 4; i++) p = onPlane(ray, town.terrain.heightAt(p.x, p.z)) || p;
+  return p;
+}
+
+// ---------- Edits ----------
+function changed() {
+  editor.changed = true;
+  editor.rebuild = true;
+  showErrors([]);
+  refreshToolbar();
+}
+
+// A drag is one change: the town catches up with it here, not on every move
+function endMove() {
+  editor.edits.settle();
+  if (drag.moved) changed();
+  else refreshToolbar();
+}
+
+// Why Export refused, listed in the toolbar until the next change
+function showErrors(errors) {
+  if (!ui.errors) return;
+  ui.errors.hidden = !errors.length;
+  ui.errors.replaceChildren(...errors.map((text) => Object.assign(document.createElement("li"), { textContent: text })));
+}
+
+function select(ref) {
+  editor.selected = ref;
+  placeGizmo();
+  refreshToolbar();
+}
+
+function turnSelected() {
+  if (editor.selected && editor.edits.rotate(editor.selected)) changed();
+}
+
+function deleteSelected() {
+  if (!editor.selected) return;
+  editor.edits.remove(editor.selected);
+  select(null);
+  changed();
+}
+
+// Item indices shift with undo / redo, so the selection goes
+function undo(redo = false) {
+  if (!(redo ? editor.edits.redo() : editor.edits.undo())) return;
+  select(null);
+  changed();
+}
+
+function setPlacing(kind) {
+  editor.placing = editor.placing === kind ? null : kind;
+  refreshToolbar();
+}
+
+function toggleSnap() {
+  editor.grid = editor.grid ? 0 : GRID;
+  refreshToolbar();
+}
+
+function download(name, text) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// The layout as a file: drop it in layouts/ and open ?layout=<its name>
+function exportLayout() {
+  const data = TownLayout.serialize(editor.edits.layout);
+  try {
+    TownLayout.parse(data, "export"); // only ever hand out a file the walk mode will load
+  } catch (err) {
+    flashDbg("not exported: the layout has problems");
+    showErrors(err.errors || [String(err.message)]);
+    return;
+  }
+  const name = fileName(editor.edits.layout);
+  download(name, JSON.stringify(data, null, 2) + "\n");
+  flashDbg(`saved ${name} — put it in layouts/ and open ?layout=${name.replace(/\.json$/, "")}`);
+}
+
+// ---------- Pointer ----------
+function onPointerDown(e) {
+  if (!editor.on) return;
+  pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  renderer.domElement.setPointerCapture(e.pointerId);
+  if (pointers.size === 2) {
+    drag = { kind: "pinch" }; // a second finger: pinch / pan, whatever the first one was doing
+    return;
+  }
+  if (e.button === 2 || e.shiftKey) {
+    drag = { kind: "pan" };
+    return;
+  }
+
+  const ray = rayAt(e);
+  const handle = editor.selected && raycaster.intersectObjects(handles.filter((h) => h.visible))[0];
+  if (handle && handle.object.userData.turn) {
+    turnSelected();
+    drag = null;
+    return;
+  }
+  const ground = onGround(ray);
+  if (!ground) {
+    drag = { kind: "orbit" };
+    return;
+  }
+  if (editor.placing) {
+    const ref = editor.edits.add(editor.placing, snap(ground.x, editor.grid), snap(ground.z, editor.grid));
+    editor.placing = null;
+    changed();
+    select(ref);
+    drag = null;
+    return;
+  }
+  const ref = handle ? editor.selected : pick(editor.edits.layout, ground.x, ground.z);
+  if (!ref) {
+    select(null);
+    drag = { kind: "orbit" };
+    return;
+  }
+  if (!handle) select(ref);
+  const item = editor.edits.item(ref);
+  editor.edits.checkpoint();
+  drag = { kind: "move", ref, axis: handle ? handle.object.userData.axis : null, from: ground, y: ground.y, x0: item.x, z0: item.z };
+}
+
+function onPointerMove(e) {
+  if (!editor.on || !pointers.has(e.pointerId)) return;
+  const last = pointers.get(e.pointerId);
+  const dx = e.clientX - last.x;
+  const dy = e.clientY - last.y;
+  pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  if (!drag) return;
+
+  if (drag.kind === "orbit") orbit(dx, dy);
+  else if (drag.kind === "pan") pan(dx, dy);
+  else if (drag.kind === "pinch" && pointers.size === 2) {
+    const [a, b] = [...pointers.values()];
+    const spread = Math.hypot(a.x - b.x, a.y - b.y);
+    if (drag.spread) zoom(drag.spread / spread);
+    drag.spread = spread;
+    pan(dx / 2, dy / 2); // each finger moves half the midpoint
+  } else if (drag.kind === "move") {
+    const p = onPlane(rayAt(e), drag.y);
+    if (!p) return;
+    const x = drag.axis === "z" ? drag.x0 : snap(drag.x0 + p.x - drag.from.x, editor.grid);
+    const z = drag.axis === "x" ? drag.z0 : snap(drag.z0 + p.z - drag.from.z, editor.grid);
+    if (editor.edits.move(drag.ref, x, z)) {
+      drag.moved = true;
+      previewMove(drag.ref, x - drag.x0, z - drag.z0);
+      placeGizmo();
+    }
+  }
+}
+
+function onPointerUp(e) {
+  pointers.delete(e.pointerId);
+  if (drag && drag.kind === "move") endMove();
+  drag = pointers.size ? drag : null;
+}
+
+function onWheel(e) {
+  if (!editor.on) return;
+  e.preventDefault();
+  zoom(Math.exp(e.deltaY * 0.001));
+}
+
+function onKey(e) {
+  if (!editor.on) return;
+  const ctrl = e.ctrlKey || e.metaKey;
+  if (ctrl && e.code === "KeyZ") undo(e.shiftKey);
+  else if (ctrl && e.code === "KeyY") undo(true);
+  else if (ctrl) return;
+  else if (e.code === "Delete" || e.code === "Backspace") deleteSelected();
+  else if (e.code === "KeyR") turnSelected();
+  else if (e.code === "KeyG") toggleSnap();
+  else if (e.code === "KeyT") toggleTopView();
+  else if (e.code === "Escape") { editor.placing = null; select(null); }
+  else return;
+  e.preventDefault();
+}
+
+// ---------- Toolbar ----------
+function refreshToolbar() {
+  if (!ui.root) return;
+  for (const kind of ["house", "tree", "path"]) ui[kind].classList.toggle("active", editor.placing === kind);
+  ui.turn.disabled = !editor.selected || editor.selected.kind === "tree";
+  ui.delete.disabled = !editor.selected;
+  ui.undo.disabled = !editor.edits || !editor.edits.canUndo;
+  ui.redo.disabled = !editor.edits || !editor.edits.canRedo;
+  ui.snap.textContent = editor.grid ? `Snap: ${editor.grid} m` : "Snap: off";
+  ui.top.classList.toggle("active", view.pitch >= PITCH_TOP);
+}
+
+// root: the toolbar, with one button per data-edit name (see index.html).
+// leave(changed) runs after "Done", once the camera is back on the player.
+export function initEditor({ root, leave }) {
+  if (!root) return;
+  onLeave = leave;
+  ui.root = root;
+  for (const el of root.querySelectorAll("[data-edit]")) ui[el.dataset.edit] = el;
+  ui.errors = root.querySelector(".editor-errors");
+  bindButton(ui.house, () => setPlacing("house"));
+  bindButton(ui.tree, () => setPlacing("tree"));
+  bindButton(ui.path, () => setPlacing("path"));
+  bindButton(ui.turn, turnSelected);
+  bindButton(ui.delete, deleteSelected);
+  bindButton(ui.undo, () => undo());
+  bindButton(ui.redo, () => undo(true));
+  bindButton(ui.snap, toggleSnap);
+  bindButton(ui.top, toggleTopView);
+  bindButton(ui.export, exportLayout);
+  bindButton(ui.done, leaveEditor);
+
+  const canvas = renderer.domElement;
+  canvas.addEventListener("pointerdown", onPointerDown);
+  canvas.addEventListener("pointermove", onPointerMove);
+  canvas.addEventListener("pointerup", onPointerUp);
+  canvas.addEventListener("pointercancel", onPointerUp);
+  canvas.addEventListener("wheel", onWheel, { passive: false });
+  canvas.addEventListener("contextmenu", (e) => { if (editor.on) e.preventDefault(); });
+  window.addEventListener("keydown", onKey);
+}
+
+export function isEditing() {
+  return editor.on;
+}
+
+// Start editing the town as it is, the camera above `from` ({ x, y, z, yaw })
+export function enterEditor(from) {
+  if (editor.on || !town.layout || !ui.root) return;
+  editor.on = true;
+  editor.edits = new LayoutEdits(town.layout);
+  editor.selected = null;
+  editor.placing = null;
+  editor.changed = false;
+  showErrors([]);
+  view.target.set(from.x, from.y, from.z);
+  view.yaw = from.yaw;
+  rig = camera.parent;
+  scene.add(camera); // off the player's head, onto the orbit
+  placeCamera();
+  ui.root.hidden = false;
+  document.body.classList.add("editing");
+  placeGizmo();
+  refreshToolbar();
+}
+
+function leaveEditor() {
+  if (!editor.on) return;
+  if (drag && drag.kind === "move") endMove();
+  if (editor.rebuild) update(0);
+  editor.on = false;
+  drag = null;
+  pointers.clear();
+  gizmo.visible = false;
+  rig.add(camera);
+  camera.position.set(0, 0, 0);
+  camera.rotation.set(0, 0, 0);
+  ui.root.hidden = true;
+  document.body.classList.remove("editing");
+  onLeave(editor.changed);
+}
+
+// Once per frame while editing: the town catches up with the layout, WASD pans
+export function updateEditor(dt) {
+  if (!editor.on) return;
+  update(dt);
+}
+
+function update(dt) {
+  if (editor.rebuild) {
+    editor.rebuild = false;
+    rebuildTown(editor.edits.layout);
+    refreshLampLights();
+    placeGizmo();
+  }
+  if (moveKeys.fwd || moveKeys.right) {
+    const k = PAN_SPEED * view.dist * dt;
+    const fwd = new THREE.Vector3(-Math.sin(view.yaw), 0, -Math.cos(view.yaw));
+    const right = new THREE.Vector3(Math.cos(view.yaw), 0, -Math.sin(view.yaw));
+    view.target.addScaledVector(fwd, moveKeys.fwd * k).addScaledVector(right, moveKeys.right * k);
+  }
+  view.target.y = town.terrain.heightAt(view.target.x, view.target.z);
+  placeCamera();
+}
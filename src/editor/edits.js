@@ -0,0 +1,155 @@
+// ========= Layout edits — place, move, turn, delete, undo / redo =========
+// The editor (src/editor/editor.js) changes a normalized layout
+// (src/world/layout.js) only through a LayoutEdits: every change can be undone
+// and redone, and serialize() turns the result back into a layout file.
+// Items are referred to as { kind: "house" | "tree" | "path", index }.
+
+import { FACINGS } from "../world/walls.js";
+
+const GRID = 1;         // meters; snapping rounds positions to this
+const TREE_R = 1.2;     // how close to a trunk counts as clicking the tree
+const MAX_UNDO = 100;
+
+const LISTS = { house: "houses", tree: "trees", path: "paths" };
+
+// A new item, apart from where it goes
+const NEW_ITEMS = {
+  house: () => ({
+    w: 4, d: 4, h: 2.6, color: 0xe5d3b3, roofColor: 0x9b6a6c, facing: "south",
+    roof: "gable", stories: 1, windows: null, chimney: false, porch: false, mail: null, interior: null
+  }),
+  tree:  () => ({ kind: "deciduous" }),
+  path:  () => ({ w: 2, d: 8 })
+};
+
+// To the nearest grid line (grid 0: to the centimeter, so exports stay tidy)
+function snap(v, grid = GRID) {
+  const r = grid > 0 ? Math.round(v / grid) * grid : Math.round(v * 100) / 100;
+  return r + 0; // + 0: no "-0" in the file
+}
+
+// The layout item under ground point (x, z): trees first (they stand on
+// houses' lawns and paths), then houses, then the smallest path there
+function pick(layout, x, z) {
+  const inRect = (r) => Math.abs(x - r.x) <= r.w / 2 && Math.abs(z - r.z) <= r.d / 2;
+  let best = null;
+  layout.trees.forEach((t, index) => {
+    const d = Math.hypot(t.x - x, t.z - z);
+    if (d <= TREE_R && (!best || d < best.d)) best = { kind: "tree", index, d };
+  });
+  if (best) return { kind: best.kind, index: best.index };
+  const house = layout.houses.findIndex(inRect);
+  if (house >= 0) return { kind: "house", index: house };
+  layout.paths.forEach((p, index) => {
+    if (inRect(p) && (!best || p.w * p.d < best.area)) best = { kind: "path", index, area: p.w * p.d };
+  });
+  return best && { kind: best.kind, index: best.index };
+}
+
+// Ground rect an item covers (trees: their crown), for gizmos and outlines
+function footprint(layout, ref) {
+  const item = layout[LISTS[ref.kind]][ref.index];
+  if (ref.kind === "tree") return { x: item.x, z: item.z, w: TREE_R * 2, d: TREE_R * 2 };
+  return { x: item.x, z: item.z, w: item.w, d: item.d };
+}
+
+// A quarter turn clockwise seen from above (north up): the footprint swaps
+// width and depth, and a house's door and interior turn with it
+function turnClockwise(kind, item) {
+  if (kind === "tree") return;
+  [item.w, item.d] = [item.d, item.w];
+  if (kind !== "house") return;
+  item.facing = FACINGS[(FACINGS.indexOf(item.facing) + 1) % FACINGS.length];
+  if (!item.interior) return;
+  const cw = (x, z) => [-z + 0, x]; // (x, z) → (-z, x), +0 so -0 doesn't end up in the file
+  for (const wl of item.interior.walls) {
+    [wl.x1, wl.z1] = cw(wl.x1, wl.z1);
+    [wl.x2, wl.z2] = cw(wl.x2, wl.z2);
+  }
+  for (const f of item.interior.furniture) {
+    [f.x, f.z] = cw(f.x, f.z);
+    [f.w, f.d] = [f.d, f.w];
+  }
+}
+
+class LayoutEdits {
+  constructor(layout) {
+    this.layout = structuredClone(layout);
+    this.undoStack = []; // layouts as they were before each change
+    this.redoStack = [];
+  }
+
+  get canUndo() { return this.undoStack.length > 0; }
+  get canRedo() { return this.redoStack.length > 0; }
+
+  // Remember the layout as it is now, before changing it. add / rotate / remove
+  // do this themselves; a drag calls it once when it starts, then move()s freely.
+  checkpoint() {
+    this.undoStack.push(structuredClone(this.layout));
+    if (this.undoStack.length > MAX_UNDO) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  // After a drag: forget its checkpoint if nothing actually moved
+  settle() {
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (last && JSON.stringify(last) === JSON.stringify(this.layout)) this.undoStack.pop();
+  }
+
+  item(ref) {
+    return this.layout[LISTS[ref.kind]][ref.index];
+  }
+
+  // New house / tree / path centered on (x, z) → its ref
+  add(kind, x, z) {
+    this.checkpoint();
+    const list = this.layout[LISTS[kind]];
+    list.push(Object.assign({ x, z }, NEW_ITEMS[kind]()));
+    return { kind, index: list.length - 1 };
+  }
+
+  // Put an item's center on (x, z); true if it moved
+  move(ref, x, z) {
+    const item = this.item(ref);
+    if (item.x === x && item.z === z) return false;
+    item.x = x;
+    item.z = z;
+    return true;
+  }
+
+  // A quarter turn clockwise; false for trees, which look the same any way round
+  rotate(ref) {
+    if (ref.kind === "tree") return false;
+    this.checkpoint();
+    turnClockwise(ref.kind, this.item(ref));
+    return true;
+  }
+
+  remove(ref) {
+    this.checkpoint();
+    this.layout[LISTS[ref.kind]].splice(ref.index, 1);
+  }
+
+  // Back one change (or forward again); false when there's nothing to go to
+  undo() {
+    if (!this.undoStack.length) return false;
+    this.redoStack.push(this.layout);
+    this.layout = this.undoStack.pop();
+    return true;
+  }
+
+  redo() {
+    if (!this.redoStack.length) return false;
+    this.undoStack.push(this.layout);
+    this.layout = this.redoStack.pop();
+    return true;
+  }
+}
+
+// "Root&Render default town" → "root-render-default-town", for the exported file
+function fileName(layout) {
+  const slug = layout.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return `${slug || "town"}.json`;
+}
+
+export { GRID, LayoutEdits, snap, pick, footprint, fileName };
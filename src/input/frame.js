@@ -0,0 +1,33 @@
+// ========= Per-frame input =========
+// Mouse / touch look and button presses pile up between frames; takeFrame()
+// hands them over as one frame (the format src/physics/fixedstep.js runs and
+// src/physics/replay.js records) and starts collecting the next.
+
+const look  = { yaw: 0, pitch: 0 };
+let presses = [];
+
+// Radians; positive yaw turns right, positive pitch looks up
+export function addLook(yaw, pitch) {
+  look.yaw += yaw;
+  look.pitch += pitch;
+}
+
+// An action button / key went down this frame ("jump", "night", …)
+export function press(name) {
+  presses.push(name);
+}
+
+// move: { fwd, right } or null; hold: held modifiers this frame ("sprint", "crouch")
+export function takeFrame(dt, move, hold = []) {
+  const frame = {
+    dt,
+    move: move ? { fwd: move.fwd, right: move.right } : null,
+    look: { yaw: look.yaw, pitch: look.pitch },
+    hold,
+    press: presses
+  };
+  look.yaw = 0;
+  look.pitch = 0;
+  presses = [];
+  return frame;
+}
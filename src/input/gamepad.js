@@ -0,0 +1,70 @@
+// ========= Gamepad: left stick moves, right stick looks, buttons act =========
+// The Gamepad API has no events for sticks or buttons, so the first connected
+// pad is polled once per frame. Buttons follow the "standard" layout
+// (Xbox names): A jump • B crouch (hold) • X flashlight • Y night/day •
+// RB use • left stick click sprint (hold) • View map • Menu overlay.
+// readPad() is plain math on a Gamepad snapshot, so it runs in Node too.
+
+export const padSettings = {
+  deadzone: 0.15,  // stick travel ignored around the center, 0..1
+  lookSpeed: 2.5,  // radians per second at full right-stick tilt
+  invertY: false
+};
+
+// Standard-mapping button index → action name
+const BUTTONS = { 0: "jump", 1: "crouch", 2: "flash", 3: "night", 5: "use", 8: "map", 9: "menu", 10: "sprint" };
+
+// Radial deadzone: nothing inside `dz`, then rescaled so full tilt still reaches 1
+export function shapeStick(x, y, dz) {
+  const len = Math.hypot(x, y);
+  if (len <= dz) return { x: 0, y: 0 };
+  const k = Math.min(1, (len - dz) / (1 - dz)) / len;
+  return { x: x * k, y: y * k };
+}
+
+// Squared response keeps small right-stick tilts slow enough to aim with
+const curve = (v) => v * Math.abs(v);
+
+// One snapshot over `dt` seconds → { move, look, down }:
+// move {fwd, right} from the left stick (null while centered), look {yaw, pitch}
+// in radians, down the names of the mapped buttons held right now
+export function readPad(gp, dt, s = padSettings) {
+  const axis = (i) => gp.axes[i] || 0;
+  const l = shapeStick(axis(0), axis(1), s.deadzone);
+  const r = shapeStick(axis(2), axis(3), s.deadzone);
+  const turn = s.lookSpeed * dt;
+  return {
+    move: l.x || l.y ? { fwd: -l.y, right: l.x } : null, // stick up reads as -1
+    look: { yaw: curve(r.x) * turn, pitch: curve(r.y) * turn * (s.invertY ? 1 : -1) },
+    down: Object.keys(BUTTONS).filter((i) => gp.buttons[i] && gp.buttons[i].pressed).map((i) => BUTTONS[i])
+  };
+}
+
+let held = [];
+
+function firstPad() {
+  const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  for (const gp of pads) if (gp && gp.connected) return gp;
+  return null;
+}
+
+// onChange(id, connected) hears controllers come and go
+export function initGamepad({ onChange } = {}) {
+  if (!onChange) return;
+  window.addEventListener("gamepadconnected",    (e) => onChange(e.gamepad.id, true));
+  window.addEventListener("gamepaddisconnected", (e) => onChange(e.gamepad.id, false));
+}
+
+// Reads the pad for this frame: { move, look } or null with no pad plugged in.
+// onPress(name) fires once for each mapped button that went down since the last poll.
+export function pollGamepad(dt, onPress) {
+  const gp = firstPad();
+  if (!gp) {
+    held = [];
+    return null;
+  }
+  const pad = readPad(gp, dt);
+  for (const name of pad.down) if (!held.includes(name)) onPress(name);
+  held = pad.down;
+  return pad;
+}
@@ -0,0 +1,56 @@
+// ========= Keyboard: held movement keys + one-shot actions =========
+// Which key does what comes from the settings (src/state/settings.js):
+// action name → [primary, alternate] KeyboardEvent.code.
+
+// -1 / 0 / 1 per axis while a movement key is held
+export const moveKeys = { fwd: 0, right: 0 };
+
+// Modifiers that last as long as their key is down
+export const heldKeys = { sprint: false, crouch: false };
+
+// Movement actions → the axis and direction they push
+const MOVE = {
+  forward: ["fwd", 1],
+  back:    ["fwd", -1],
+  left:    ["right", -1],
+  right:   ["right", 1]
+};
+
+let byCode = {}; // KeyboardEvent.code → action name
+
+// keys: { action: [code, code] }; drops anything held under the old bindings
+export function setBindings(keys) {
+  byCode = {};
+  for (const [action, codes] of Object.entries(keys)) {
+    for (const code of codes) if (code) byCode[code] = action;
+  }
+  moveKeys.fwd = 0;
+  moveKeys.right = 0;
+  heldKeys.sprint = false;
+  heldKeys.crouch = false;
+}
+
+// actions: { jump, night, flash, link, map, record, slower, faster } → () => void.
+// movement: false leaves moveKeys / heldKeys alone (phones move with the stick).
+export function initKeyboard(actions, { keys, movement = true }) {
+  setBindings(keys);
+  window.addEventListener("keydown", (e) => {
+    const action = byCode[e.code];
+    if (action && actions[action]) {
+      e.preventDefault();
+      // one press, one action — holding R or N shouldn't keep toggling
+      if (!e.repeat) actions[action]();
+    }
+    if (!movement) return;
+    const m = MOVE[action];
+    if (m) moveKeys[m[0]] = m[1];
+    if (action in heldKeys) heldKeys[action] = true;
+  });
+  window.addEventListener("keyup", (e) => {
+    if (!movement) return;
+    const action = byCode[e.code];
+    const m = MOVE[action];
+    if (m && moveKeys[m[0]] === m[1]) moveKeys[m[0]] = 0;
+    if (action in heldKeys) heldKeys[action] = false;
+  });
+}
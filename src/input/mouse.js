@@ -0,0 +1,31 @@
+/* global THREE */
+// ========= Mouse look under pointer lock =========
+// The vendored PointerLockControls (libs/) only locks and unlocks: click locks
+// the pointer, Esc (or anything else that releases it) reports back through
+// onUnlock. It wants an object to turn; it gets one nobody looks at, and the
+// raw mouse movement goes to onLook so the sim does the turning.
+
+let controls = null;
+
+export function isLocked() {
+  return !!controls && controls.isLocked;
+}
+
+export function releaseLock() {
+  if (isLocked()) controls.unlock();
+}
+
+// onLook(dx, dy) gets the mouse movement in pixels; canLock() false leaves
+// clicks alone (the town editor uses the mouse as a pointer)
+export function initMouse({ target, onLook, onLock, onUnlock, canLock = () => true }) {
+  controls = new THREE.PointerLockControls(new THREE.Object3D(), target);
+  if (onUnlock) controls.addEventListener("unlock", onUnlock);
+  target.addEventListener("click", () => {
+    if (isLocked() || !canLock()) return;
+    if (onLock) onLock();
+    controls.lock();
+  });
+  document.addEventListener("mousemove", (e) => {
+    if (isLocked()) onLook(e.movementX || 0, e.movementY || 0);
+  });
+}
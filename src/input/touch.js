@@ -0,0 +1,105 @@
+// ========= Touch input: left joystick + right look pad =========
+// Each pad follows its own finger (Touch.identifier), so moving and looking
+// at the same time works; a mouse stands in for a finger when testing on a
+// desktop browser in device mode.
+
+const JOY_MAX = 36; // px the knob may travel from where the thumb landed
+
+// Stick deflection, -1..1 each axis; y up = forward
+export const joy = { x: 0, y: 0 };
+
+const clamp = (v, mn, mx) => Math.max(mn, Math.min(mx, v));
+const pointerId = (t) => t.identifier ?? "mouse";
+
+// The touches in `e` that belong to the finger `id` (mouse events count as one)
+function touchesFor(e, id) {
+  return Array.from(e.changedTouches || [e]).filter((t) => pointerId(t) === id);
+}
+
+// Wires the pads; onLook(dx, dy) gets the look finger's movement in pixels
+export function initTouch({ stick, look, onLook }) {
+  // Keep iOS from rubber-banding / scrolling the page while a finger is down
+  document.addEventListener("touchmove", (e) => e.preventDefault(), { passive: false });
+
+  const knob = stick && stick.querySelector(".knob");
+  if (stick && knob) {
+    const st = { id: null, startX: 0, startY: 0 };
+    const reset = () => {
+      st.id = null;
+      joy.x = 0;
+      joy.y = 0;
+      knob.style.transform = "translate(0px,0px)";
+    };
+    const onStart = (e) => {
+      e.preventDefault(); e.stopPropagation();
+      if (st.id !== null) return;
+      const t = (e.changedTouches || [e])[0];
+      st.id = pointerId(t);
+      st.startX = t.clientX;
+      st.startY = t.clientY;
+      knob.style.transform = "translate(0px,0px)";
+    };
+    const onMove = (e) => {
+      if (st.id === null) return;
+      for (const t of touchesFor(e, st.id)) {
+        e.preventDefault(); e.stopPropagation();
+        const dx = t.clientX - st.startX;
+        const dy = t.clientY - st.startY;
+        const ang = Math.atan2(dy, dx);
+        const rad = Math.min(Math.hypot(dx, dy), JOY_MAX);
+        const kx = Math.cos(ang) * rad;
+        const ky = Math.sin(ang) * rad;
+        knob.style.transform = `translate(${kx}px, ${ky}px)`;
+        joy.x = clamp(kx / JOY_MAX, -1, 1);
+        joy.y = clamp(-ky / JOY_MAX, -1, 1); // up = forward
+      }
+    };
+    const onEnd = (e) => {
+      if (st.id === null || !touchesFor(e, st.id).length) return;
+      e.preventDefault(); e.stopPropagation();
+      reset();
+    };
+    stick.addEventListener("touchstart",  onStart, { passive: false });
+    stick.addEventListener("touchmove",   onMove,  { passive: false });
+    stick.addEventListener("touchend",    onEnd,   { passive: false });
+    stick.addEventListener("touchcancel", onEnd,   { passive: false });
+    stick.addEventListener("mousedown",   onStart);
+    window.addEventListener("mousemove",  onMove);
+    window.addEventListener("mouseup",    onEnd);
+  }
+
+  if (look) {
+    const ls = { id: null, lastX: 0, lastY: 0 };
+    const onStart = (e) => {
+      e.preventDefault(); e.stopPropagation();
+      if (ls.id !== null) return;
+      const t = (e.changedTouches || [e])[0];
+      ls.id = pointerId(t);
+      ls.lastX = t.clientX;
+      ls.lastY = t.clientY;
+    };
+    const onMove = (e) => {
+      if (ls.id === null) return;
+      for (const t of touchesFor(e, ls.id)) {
+        e.preventDefault(); e.stopPropagation();
+        const dx = t.clientX - ls.lastX;
+        const dy = t.clientY - ls.lastY;
+        ls.lastX = t.clientX;
+        ls.lastY = t.clientY;
+        onLook(dx, dy);
+      }
+    };
+    const onEnd = (e) => {
+      if (ls.id === null || !touchesFor(e, ls.id).length) return;
+      e.preventDefault(); e.stopPropagation();
+      ls.id = null;
+    };
+    look.addEventListener("touchstart",  onStart, { passive: false });
+    look.addEventListener("touchmove",   onMove,  { passive: false });
+    look.addEventListener("touchend",    onEnd,   { passive: false });
+    look.addEventListener("touchcancel", onEnd,   { passive: false });
+    look.addEventListener("mousedown",   onStart);
+    window.addEventListener("mousemove", onMove);
+    window.addEventListener("mouseup",   onEnd);
+  }
+}
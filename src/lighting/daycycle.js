@@ -0,0 +1,99 @@
+// ========= Day/night cycle — time of day → sun arc + palette =========
+// Time is in hours [0, 24). Keyframes are blended linearly (colors per channel);
+// intensities carry a [desktop, mobile] pair since phones render without shadows.
+
+const NIGHT = { sky: 0x050b14, ground: 0x1c3a33, water: 0x031f2d, sunColor: 0x8fa8d8, hemi: [0.12, 0.12], sun: [0.25, 0.25] };
+const DAWN  = { sky: 0xf4b58a, ground: 0x6f9a5a, water: 0x6a8fb0, sunColor: 0xffc48a, hemi: [0.35, 0.3],  sun: [0.45, 0.35] };
+const DAY   = { sky: 0xcfefff, ground: 0x87b86a, water: 0x86c5da, sunColor: 0xffffff, hemi: [0.6, 0.45],  sun: [0.85, 0.55] };
+const DUSK  = { sky: 0xf08a5d, ground: 0x5f8450, water: 0x4f6f8f, sunColor: 0xff9a5a, hemi: [0.3, 0.25],  sun: [0.4, 0.3] };
+
+const KEYS = [
+  { hour: 0,    p: NIGHT },
+  { hour: 5,    p: NIGHT },
+  { hour: 6.5,  p: DAWN },
+  { hour: 9,    p: DAY },
+  { hour: 16,   p: DAY },
+  { hour: 18.5, p: DUSK },
+  { hour: 20,   p: NIGHT },
+  { hour: 24,   p: NIGHT }
+];
+
+const SUNRISE = 6;
+const SUNSET  = 18;
+const NIGHT_TIME = 21.5;  // where "skip to night" lands
+const DAY_TIME   = 8;     // where "skip to day" lands
+
+const wrap = (h) => ((h % 24) + 24) % 24;
+
+function lerpColor(a, b, t) {
+  const ch = (shift) => {
+    const ca = (a >> shift) & 0xff, cb = (b >> shift) & 0xff;
+    return Math.round(ca + (cb - ca) * t) << shift;
+  };
+  return ch(16) | ch(8) | ch(0);
+}
+
+// Palette + light intensities for an hour of the day
+function sample(hour, mobile = false) {
+  const h = wrap(hour);
+  let i = 0;
+  while (i < KEYS.length - 2 && KEYS[i + 1].hour <= h) i++;
+  const a = KEYS[i], b = KEYS[i + 1];
+  const t = (h - a.hour) / (b.hour - a.hour);
+  const m = mobile ? 1 : 0;
+  return {
+    sky:      lerpColor(a.p.sky, b.p.sky, t),
+    ground:   lerpColor(a.p.ground, b.p.ground, t),
+    water:    lerpColor(a.p.water, b.p.water, t),
+    sunColor: lerpColor(a.p.sunColor, b.p.sunColor, t),
+    hemi:     a.p.hemi[m] + (b.p.hemi[m] - a.p.hemi[m]) * t,
+    sun:      a.p.sun[m] + (b.p.sun[m] - a.p.sun[m]) * t,
+    night:    nightFactor(h)
+  };
+}
+
+// Unit vector toward the light: the sun by day, the moon (opposite side) by night.
+// Rises in the east (+X), peaks at noon, sets in the west; tilted a little south.
+function lightDirection(hour) {
+  const h = wrap(hour);
+  const up = h >= SUNRISE && h < SUNSET;
+  const ang = up
+    ? ((h - SUNRISE) / (SUNSET - SUNRISE)) * Math.PI
+    : ((wrap(h - SUNSET)) / (24 - SUNSET + SUNRISE)) * Math.PI;
+  const x = Math.cos(ang), y = Math.max(Math.sin(ang), 0.15), z = 0.35;
+  const len = Math.hypot(x, y, z);
+  // fades to 0 at the horizon so the sun → moon hand-over at dusk/dawn doesn't pop
+  const fade = Math.min(Math.sin(ang) / 0.2, 1);
+  return { x: x / len, y: y / len, z: z / len, moon: !up, fade: Math.max(fade, 0) };
+}
+
+// 0 = full day, 1 = full night, smooth through dawn and dusk
+function nightFactor(hour) {
+  const h = wrap(hour);
+  if (h >= 20 || h < 5) return 1;
+  if (h >= 9 && h < 16) return 0;
+  if (h < 9) return 1 - (h - 5) / 4;
+  return (h - 16) / 4;
+}
+
+const isNight = (hour) => nightFactor(hour) >= 0.5;
+
+class DayCycle {
+  // timeScale: game hours per real second (default: a full day in 20 minutes)
+  constructor({ hour = 10, timeScale = 24 / 1200 } = {}) {
+    this.hour = wrap(hour);
+    this.timeScale = timeScale;
+  }
+  tick(dt) {
+    this.hour = wrap(this.hour + dt * this.timeScale);
+    return this.hour;
+  }
+  // N key / Night button: jump to the other half of the day
+  skip() {
+    this.hour = isNight(this.hour) ? DAY_TIME : NIGHT_TIME;
+    return this.hour;
+  }
+  get night() { return isNight(this.hour); }
+}
+
+export { DayCycle, sample, lightDirection, nightFactor, isNight, lerpColor, KEYS };
@@ -0,0 +1,73 @@
+// ========= Street lamps — placement along paths and roads + light budget =========
+// placeLamps() walks the long axis of each path rect, and down each road just
+// past its sidewalks, and drops posts on alternating sides. nearestLamps()
+// picks which posts get one of the few real PointLights; the rest only glow
+// (emissive bulb).
+
+import { porch } from "../world/houseparts.js";
+import { roadNetwork, pointAt } from "../world/roadgraph.js";
+
+const DEFAULTS = {
+  spacing: 10,      // meters between posts along a path
+  minLength: 6,     // shorter paths (front walks) get no lamps
+  sideGap: 0.5,     // distance from the path edge
+  minDistance: 5,   // no two posts closer than this
+  clearance: 0.8    // keep-out margin around houses (and porches), trees and water
+};
+
+const inRect = (p, r, m) => Math.abs(p.x - r.x) * 2 < r.w + m * 2 && Math.abs(p.z - r.z) * 2 < r.d + m * 2;
+
+function placeLamps(layout, options = {}) {
+  const o = Object.assign({}, DEFAULTS, options);
+  const lamps = [];
+  const porches = layout.houses.map((h) => porch(h)).filter(Boolean).map((p) => p.deck);
+  const blockers = layout.houses.concat(porches, layout.water ? [layout.water] : []);
+  const trees = layout.trees;
+  const roads = roadNetwork(layout);
+
+  const tryLamp = (lamp) => {
+    if (blockers.some((b) => inRect(lamp, b, o.clearance))) return;
+    if (layout.paths.some((q) => inRect(lamp, q, 0.1))) return;   // not in the middle of a crossing road
+    if (roads.onRoad(lamp.x, lamp.z, 0.1)) return;
+    if (trees.some((t) => Math.hypot(t.x - lamp.x, t.z - lamp.z) < o.clearance + 0.5)) return;
+    if (lamps.some((l) => Math.hypot(l.x - lamp.x, l.z - lamp.z) < o.minDistance)) return;
+    lamps.push(lamp);
+  };
+  // posts every `spacing` meters, centered on a stretch `len` long
+  const posts = (len) => {
+    const count = Math.max(1, Math.floor((len - 2) / o.spacing) + 1);
+    const start = -((count - 1) * o.spacing) / 2;
+    return Array.from({ length: count }, (_, i) => ({ along: start + i * o.spacing, side: i % 2 === 0 ? 1 : -1 }));
+  };
+
+  for (const p of layout.paths) {
+    const alongX = p.w >= p.d;
+    const len  = alongX ? p.w : p.d;
+    const half = (alongX ? p.d : p.w) / 2 + o.sideGap;
+    if (len < o.minLength) continue;
+    for (const { along, side } of posts(len)) {
+      tryLamp(alongX ? { x: p.x + along, z: p.z + side * half } : { x: p.x + side * half, z: p.z + along });
+    }
+  }
+  // roads: the first post on the right going from `from` to `to`
+  for (const e of roads.edges) {
+    if (e.length < o.minLength) continue;
+    const half = e.width / 2 + e.sidewalk + o.sideGap;
+    for (const { along, side } of posts(e.length)) {
+      const p = pointAt(e.line, e.length / 2 + along);
+      tryLamp({ x: p.x - p.dz * side * half, z: p.z + p.dx * side * half });
+    }
+  }
+  return lamps;
+}
+
+// Indices of the `n` lamps closest to (x, z)
+function nearestLamps(lamps, x, z, n) {
+  return lamps
+    .map((l, i) => ({ i, d2: (l.x - x) ** 2 + (l.z - z) ** 2 }))
+    .sort((a, b) => a.d2 - b.d2)
+    .slice(0, n)
+    .map((e) => e.i);
+}
+
+export { placeLamps, nearestLamps, DEFAULTS };
@@ -0,0 +1,121 @@
+/* global THREE */
+// ========= Scene lighting: sun / moon, sky colors, flashlight, lamp lights =========
+// Intensities, colors and the sun's position follow the day cycle
+// (src/lighting/daycycle.js); applyTimeOfDay() runs every frame.
+
+import { isMobile, numParam } from "../config.js";
+import { scene, camera } from "../renderer.js";
+import * as DayNight from "./daycycle.js";
+import * as Lamps from "./lamps.js";
+import { town } from "../world/town.js";
+import { skyMat, groundMat, waterMat, windowMat, bulbMat } from "../world/materials.js";
+
+// ?time=<hour 0-24> sets the start, ?timescale=<game hours per real second> the pace
+export const dayCycle = new DayNight.DayCycle({
+  hour: numParam("time", 10),
+  timeScale: numParam("timescale", 24 / 1200) // full day in 20 minutes
+});
+
+export const lighting = {
+  nightMode: dayCycle.night,
+  flashlightOn: false
+};
+
+const SUN_DISTANCE = 40;
+
+const hemi = new THREE.HemisphereLight(0xffffff, 0x8899aa, isMobile ? 0.45 : 0.6);
+scene.add(hemi);
+
+const sun = new THREE.DirectionalLight(0xffffff, isMobile ? 0.55 : 0.85);
+sun.castShadow = !isMobile;
+if (!isMobile) {
+  sun.shadow.mapSize.set(1024, 1024);
+  sun.shadow.camera.near = 1;
+  sun.shadow.camera.far  = 200;
+}
+scene.add(sun);
+
+// ---------- Flashlight — attached to the camera ----------
+const flash = new THREE.SpotLight(0xffffff, 0, 28, Math.PI / 6, 0.5, 1.4);
+const flashTarget = new THREE.Object3D();
+flashTarget.position.set(0, 0, -5); // 5 units forward from camera
+camera.add(flash);
+camera.add(flashTarget);
+flash.target = flashTarget;
+
+// ---------- Night lights: street lamps + lit windows ----------
+// Only LAMP_LIGHT_BUDGET real PointLights exist; they follow the lamps nearest the
+// player and every other lamp just glows through bulbMat (emissive-only fallback).
+const LAMP_LIGHT_BUDGET = isMobile ? 3 : 8;
+const lampPool = [];
+let lampsOn = false;
+let lampReassignIn = 0;
+
+for (let i = 0; i < LAMP_LIGHT_BUDGET; i++) {
+  const l = new THREE.PointLight(0xffd9a0, 0, 14, 2);
+  l.visible = false;
+  scene.add(l);
+  lampPool.push(l);
+}
+
+// Hand the real lights to the nearest lamps (cheap, so a few times a second is plenty)
+function assignLampLights(x, z) {
+  const near = Lamps.nearestLamps(town.lamps, x, z, lampPool.length);
+  lampPool.forEach((light, i) => {
+    const lamp = town.lamps[near[i]];
+    light.visible = !!lamp;
+    if (lamp) light.position.set(lamp.x, lamp.y, lamp.z);
+  });
+}
+
+// Lamps changed (town built): hand out the lights on the next frame
+export function refreshLampLights() {
+  lampReassignIn = 0;
+}
+
+export function updateNightLights(dt, x, z) {
+  const on = lighting.nightMode;
+  if (on !== lampsOn) {
+    lampsOn = on;
+    windowMat.emissiveIntensity = on ? 0.9 : 0;
+    bulbMat.emissiveIntensity   = on ? 1.2 : 0;
+    for (const l of lampPool) l.intensity = on ? 1.6 : 0;
+  }
+  if (!lampsOn) return;
+  lampReassignIn -= dt;
+  if (lampReassignIn <= 0) {
+    lampReassignIn = 0.25;
+    assignLampLights(x, z);
+  }
+}
+
+// Sun (or moon) along its arc, palette blended through dawn/noon/dusk/night.
+// Returns true when that flipped nightMode, so callers can refresh the buttons.
+export function applyTimeOfDay() {
+  const p = DayNight.sample(dayCycle.hour, isMobile);
+  skyMat.color.setHex(p.sky);
+  groundMat.color.setHex(p.ground);
+  waterMat.color.setHex(p.water);
+  const dir = DayNight.lightDirection(dayCycle.hour);
+  hemi.intensity = p.hemi;
+  sun.intensity  = p.sun * dir.fade;
+  sun.color.setHex(p.sunColor);
+  sun.position.set(dir.x * SUN_DISTANCE, dir.y * SUN_DISTANCE, dir.z * SUN_DISTANCE);
+
+  if (lighting.nightMode === dayCycle.night) return false;
+  lighting.nightMode = dayCycle.night;
+  return true;
+}
+
+// N / Night button: skip to the other half of the day
+export function skipDayNight() {
+  dayCycle.skip();
+  applyTimeOfDay();
+}
+
+export function setFlashlight(on) {
+  lighting.flashlightOn = on;
+  flash.intensity = on ? 2.2 : 0;
+}
+
+applyTimeOfDay();
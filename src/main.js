@@ -0,0 +1,292 @@
+// ========= Walkable 3D Town — entry point =========
+// Loads the town, wires input and UI, and runs the frame loop. The pieces:
+//   renderer.js            renderer / scene / camera
+//   world/                 layout format, generator, terrain, builders
+//   physics/               collision world, player sim + rig, villagers, replays
+//   lighting/              day cycle, lamps, scene lights
+//   input/                 keyboard, mouse, touch pads, gamepad, per-frame input
+//   ui/                    HUD, overlay, minimap
+//   state/                 which town, save / restore, viewpoint links, recordings
+//   audio/                 ambient beds, footsteps, water (Web Audio)
+//   editor/                in-browser town editor: orbit camera, gizmos, undo
+
+import { isMobile, params } from "./config.js";
+import { camera, render } from "./renderer.js";
+import * as TownLayout from "./world/layout.js";
+import * as TownGen from "./world/towngen.js";
+import { town, buildTown, makeTerrain, animateWater, animateProps, refreshProps } from "./world/town.js";
+import { actionLabel } from "./world/interactables.js";
+import { player, lookAngles, updatePlayer, setPose, placePlayer } from "./physics/player.js";
+import { PLAYER } from "./physics/sim.js";
+import { spawnVillagers, updateVillagers } from "./physics/villagers.js";
+import {
+  dayCycle, lighting, applyTimeOfDay, skipDayNight, setFlashlight, updateNightLights, refreshLampLights
+} from "./lighting/lights.js";
+import { moveKeys, heldKeys, initKeyboard, setBindings } from "./input/keyboard.js";
+import { joy, initTouch } from "./input/touch.js";
+import { isLocked, releaseLock, initMouse } from "./input/mouse.js";
+import { padSettings, initGamepad, pollGamepad } from "./input/gamepad.js";
+import { addLook, press, takeFrame } from "./input/frame.js";
+import {
+  buttons, bindButton, updateButtons, updateStamina, updateSoundButton, updatePrompt, showNote,
+  setBadge, appendBadge, flashDbg,
+  overlayVisible, showOverlay, hideOverlay
+} from "./ui/hud.js";
+import { Minimap } from "./ui/minimap.js";
+import { initSettingsPanel, keyName } from "./ui/settingspanel.js";
+import { initGuidance, updateGuidance, resetGuidance, guideRoute } from "./ui/guidance.js";
+import { storage, townSeed, layoutUrl, startSession, resetPosition, copyLink } from "./state/session.js";
+import * as Settings from "./state/settings.js";
+import { toggleRecording, loadReplay, isRecording, isReplaying, nextFrame } from "./state/recording.js";
+import { initAudio, isMuted, setMuted, playClick, playDoor, updateAudio } from "./audio/sound.js";
+import { initEditor, enterEditor, isEditing, updateEditor } from "./editor/editor.js";
+
+// ---------- Settings: look, FOV, walk speed, gamepad, keys (Settings in the overlay) ----------
+const settings = Settings.load(storage);
+
+function applySettings() {
+  camera.fov = settings.fov;
+  camera.updateProjectionMatrix();
+  if (!isReplaying()) player.walkSpeed = settings.walkSpeed; // a replay runs at its recorded speed
+  padSettings.lookSpeed = settings.padLook;
+  padSettings.deadzone = settings.deadzone;
+  padSettings.invertY = settings.invertY;
+  setBindings(settings.keys);
+  setMuted(settings.muted);
+  updateSoundButton(settings.muted);
+}
+applySettings();
+initSettingsPanel({
+  root: document.getElementById("settings"),
+  toggle: buttons.settings,
+  settings,
+  onChange: () => { applySettings(); Settings.save(storage, settings); }
+});
+
+// ---------- Sound: starts on the first click / tap / key; V or the overlay button mutes ----------
+initAudio();
+
+function toggleMute() {
+  settings.muted = !isMuted();
+  applySettings();
+  Settings.save(storage, settings);
+  flashDbg(settings.muted ? "🔇 sound off" : "🔊 sound on");
+}
+
+// Pixels dragged → radians; dragging down looks down unless invert-Y is on
+const look = (dx, dy, sens) => addLook(dx * sens, (settings.invertY ? dy : -dy) * sens);
+
+// ---------- Minimap: M / Map button cycles small → full → off ----------
+const mapCanvas = document.getElementById("minimap");
+const minimap = mapCanvas ? new Minimap(mapCanvas) : null;
+bindButton(mapCanvas, () => minimap.toggleFull());
+
+// ---------- Actions (shared by keys and buttons) ----------
+// Presses go into the frame's input (so recordings keep them) and take effect
+// when that frame runs; jump is handled by the player sim itself.
+const effects = {
+  night: () => { skipDayNight(); updateButtons(lighting); },
+  flash: () => { setFlashlight(!lighting.flashlightOn); updateButtons(lighting); playClick(); },
+  link: copyLink,
+  map: () => { if (minimap) minimap.cycle(); },
+  use: useTarget,
+  slower: () => { dayCycle.timeScale /= 2; },
+  faster: () => { dayCycle.timeScale = (dayCycle.timeScale || 24 / 1200) * 2; }
+};
+const REPLAY_SKIPS = ["link"]; // don't touch the clipboard from a replay
+
+// E / Use / RB on whatever is under the crosshair (src/world/interactables.js)
+function useTarget() {
+  const item = town.interact && town.interact.use(player.runner.state);
+  if (!item) return;
+  if (item.kind === "door") playDoor();
+  else if (item.kind === "switch") { refreshProps(); playClick(); }
+  else showNote(item.text);
+}
+
+// "E — Open door" under the crosshair, named after whatever does it on this device
+function promptFor(padConnected) {
+  const hit = town.interact && town.interact.target(player.runner.state);
+  if (!hit) return null;
+  const key = settings.keys.use[0] || settings.keys.use[1];
+  const how = padConnected ? "RB" : isMobile ? "Use" : key ? keyName(key) : null;
+  return how ? `${how} — ${actionLabel(hit.item)}` : actionLabel(hit.item);
+}
+
+// The editor has keys of its own; only muting still works while it's open
+const actions = { record: () => { if (!isEditing()) toggleRecording(); }, mute: toggleMute };
+for (const name of ["jump", ...Object.keys(effects)]) actions[name] = () => { if (!isEditing()) press(name); };
+
+// Phones can't hold a key while both thumbs are busy, so Duck latches
+let crouchLatched = false;
+bindButton(buttons.crouch, () => {
+  crouchLatched = !crouchLatched;
+  buttons.crouch.classList.toggle("active", crouchLatched);
+});
+
+bindButton(buttons.jump,  actions.jump);
+bindButton(buttons.use,   actions.use);
+bindButton(buttons.night, actions.night);
+bindButton(buttons.flash, actions.flash);
+bindButton(buttons.map,   actions.map);
+bindButton(buttons.reset, resetPosition);
+bindButton(buttons.link,  actions.link);
+bindButton(buttons.sound, actions.mute);
+bindButton(buttons.menu,  showOverlay);
+
+initKeyboard(actions, { keys: settings.keys, movement: !isMobile });
+
+// ---------- Overlay / pointer lock ----------
+if (!isMobile) {
+  initMouse({
+    target: document.body,
+    onLook: (dx, dy) => look(dx, dy, settings.mouseSens),
+    onLock: hideOverlay,
+    onUnlock: showOverlay, // Esc brings the overlay (and its Reset button) back
+    canLock: () => !isEditing()
+  });
+} else {
+  // First tap anywhere hides the overlay, caught in the capture phase so the
+  // pads' preventDefault can't swallow it; the overlay's buttons and settings still work
+  const tapToStart = (e) => {
+    if (overlayVisible() && !e.target.closest("button, #settings, #link-out")) hideOverlay();
+  };
+  document.addEventListener("touchstart", tapToStart, { capture: true, passive: true });
+  document.addEventListener("mousedown",  tapToStart, { capture: true, passive: true });
+
+  initTouch({
+    stick: document.getElementById("stick-left"),
+    look:  document.getElementById("look-right"),
+    onLook: (dx, dy) => look(dx, dy, settings.touchSens)
+  });
+}
+
+// ---------- Town editor: "Edit town" in the overlay, "Done" in its toolbar ----------
+initEditor({ root: document.getElementById("editor"), leave: leaveEditor });
+
+bindButton(buttons.edit, () => {
+  if (!town.layout) return;
+  if (isRecording() || isReplaying()) {
+    flashDbg("finish the recording or replay first");
+    return;
+  }
+  hideOverlay();
+  const s = player.runner.state;
+  enterEditor({ x: s.x, y: s.y, z: s.z, yaw: lookAngles().yaw });
+});
+
+// ---------- "Walk me to…" in the overlay: pick a house, follow the way there ----------
+initGuidance({
+  root: document.getElementById("guide"),
+  toggle: buttons.guide,
+  where: () => player.runner.state,
+  onStart: () => { if (isMobile) hideOverlay(); } // desktop: the same click locks the pointer
+});
+
+// Back to walking: villagers and the map learn the new town, and anyone now
+// standing inside something that was dropped on them goes back to the spawn
+function leaveEditor(changed) {
+  if (changed) {
+    spawnVillagers();
+    resetGuidance();
+    if (minimap) minimap.setLayout(town.layout, town.lamps);
+    const s = player.runner.state;
+    const look = lookAngles();
+    if (town.world.collides(s.x, s.z, PLAYER.radius, s.y + 0.05, s.y + PLAYER.height)) placePlayer(town.layout.spawn);
+    else setPose(s.x, s.z, look.yaw, look.pitch); // back on the (re-leveled) ground
+  }
+  showOverlay();
+}
+
+// ---------- Gamepad (desktop and tablet alike) ----------
+initGamepad({ onChange: (id, on) => flashDbg(`🎮 ${on ? "connected" : "disconnected"}: ${id.slice(0, 40)}`) });
+
+// Any button starts, like a click or tap; Menu opens and closes the overlay
+function padButton(name) {
+  if (name === "menu") {
+    if (isLocked()) releaseLock(); // the unlock brings the overlay back
+    else if (overlayVisible()) hideOverlay();
+    else showOverlay();
+  } else if (overlayVisible()) {
+    hideOverlay();
+  } else if (actions[name]) {
+    actions[name]();
+  }
+}
+
+// ---------- Load layout ----------
+const layoutReady = townSeed !== null
+  ? Promise.resolve().then(() => TownLayout.parse(TownGen.generate(townSeed), `seed ${townSeed}`))
+  : TownLayout.load(layoutUrl);
+
+layoutReady
+  .then(async (layout) => {
+    buildTown(layout, await makeTerrain(layout.terrain));
+    refreshLampLights();
+    spawnVillagers();
+    if (minimap) minimap.setLayout(layout, town.lamps);
+    startSession();
+    if (townSeed !== null) appendBadge(` • seed ${townSeed}`);
+    if (params.get("replay")) loadReplay(params.get("replay"));
+  })
+  .catch((err) => {
+    const tag = err instanceof TownLayout.LayoutError ? "layout" : "build";
+    if (err.errors) console.error(`[layout] ${townSeed !== null ? "seed " + townSeed : layoutUrl}\n  ` + err.errors.join("\n  "));
+    setBadge(`ERR(${tag}): ${String(err.message || err).slice(0, 120)}`);
+  });
+
+// ---------- Animate ----------
+const FULL_TILT = 0.95; // stick deflection that counts as "all the way" for sprinting
+
+let t0 = performance.now();
+function animate() {
+  requestAnimationFrame(animate);
+  const t1 = performance.now();
+  const frameDt = (t1 - t0) / 1000;
+  const dt = Math.min(frameDt, 0.05); // day cycle and lights; the player runs on fixed ticks
+  t0 = t1;
+
+  dayCycle.tick(dt);
+  if (applyTimeOfDay()) updateButtons(lighting);
+  animateWater(t1);
+  animateProps(dt);
+
+  const pad = pollGamepad(dt, padButton);
+  const canMove = !isEditing() && (isMobile || isLocked() || (!!pad && !overlayVisible()));
+  if (canMove && pad) addLook(pad.look.yaw, pad.look.pitch);
+  const stick = pad && pad.move ? pad.move : isMobile ? { fwd: joy.y, right: joy.x } : null;
+  let move = !canMove ? null : stick || moveKeys;
+  // "Walk me there" steers the way a hand on the controls would, so it records and replays the same
+  const s = player.runner.state;
+  const auto = updateGuidance(canMove ? dt : 0, { x: s.x, z: s.z, yaw: lookAngles().yaw }, !!move && (move.fwd !== 0 || move.right !== 0));
+  if (auto && canMove) {
+    addLook(auto.turn, 0);
+    move = auto.move;
+  }
+  // Sprint: Shift / stick click, or a stick pushed all the way
+  const hold = [];
+  if (canMove && (heldKeys.sprint || (pad && pad.down.includes("sprint")) ||
+      (stick && Math.hypot(stick.fwd, stick.right) >= FULL_TILT))) hold.push("sprint");
+  if (canMove && (heldKeys.crouch || (pad && pad.down.includes("crouch")) || crouchLatched)) hold.push("crouch");
+  const frame = nextFrame(takeFrame(frameDt, move, hold));
+  const replaying = isReplaying();
+  updatePlayer(frame);
+  for (const name of frame.press) {
+    if (effects[name] && !(replaying && REPLAY_SKIPS.includes(name))) effects[name]();
+  }
+
+  updateStamina(player.runner.state);
+  updatePrompt(canMove ? promptFor(!!pad) : null);
+  updateAudio(dt, player.runner.state);
+
+  const p = player.position;
+  updateNightLights(dt, p.x, p.z);
+  updateVillagers(dt, p);
+
+  if (minimap && town.layout) minimap.draw({ x: p.x, z: p.z, yaw: lookAngles().yaw }, guideRoute());
+  updateEditor(dt);
+
+  // (Flashlight stays with camera because it’s parented)
+  render();
+}
+animate();
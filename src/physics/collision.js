@@ -0,0 +1,158 @@
+// ========= Collision world — boxes, cylinders, circles on a uniform grid =========
+// The player (and anything else that moves) is a vertical capsule seen from above:
+// a circle of `radius` spanning [y0, y1]. Static shapes register once and are
+// bucketed into grid cells so a lookup only touches nearby shapes.
+
+const EPS = 1e-6;
+
+class CollisionWorld {
+  constructor({ cellSize = 4 } = {}) {
+    this.cellSize = cellSize;
+    this.cells = new Map();   // "ix,iz" → shape[]
+    this.shapes = new Set();
+    this._stamp = 0;          // dedupes shapes that span several cells
+    this._nextId = 1;
+  }
+
+  // --- registration ---
+  // Box: center x/z, half extents hx/hz. Cylinder: center + radius r.
+  // y0/y1 bound the shape vertically (default: floor to sky).
+  // Circle: a cylinder with no height limits (posts, pillars, "never walk here").
+  addBox({ x, z, hx, hz, y0 = -Infinity, y1 = Infinity, tag = null }) {
+    return this._insert({ kind: "box", x, z, hx, hz, y0, y1, tag });
+  }
+  addCylinder({ x, z, r, y0 = -Infinity, y1 = Infinity, tag = null }) {
+    return this._insert({ kind: "cylinder", x, z, r, y0, y1, tag });
+  }
+  addCircle({ x, z, r, tag = null }) {
+    return this._insert({ kind: "circle", x, z, r, y0: -Infinity, y1: Infinity, tag });
+  }
+
+  remove(shape) {
+    if (!this.shapes.delete(shape)) return;
+    for (const key of shape._cells) {
+      const list = this.cells.get(key);
+      const i = list.indexOf(shape);
+      if (i >= 0) list.splice(i, 1);
+      if (!list.length) this.cells.delete(key);
+    }
+    shape._cells = [];
+  }
+
+  // Call after changing a shape's x/z/size so it lands in the right cells.
+  update(shape) {
+    this.remove(shape);
+    this._insert(shape);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.shapes.clear();
+  }
+
+  _insert(shape) {
+    if (!shape.id) shape.id = this._nextId++;
+    const ex = shape.kind === "box" ? shape.hx : shape.r;   // cylinder / circle
+    const ez = shape.kind === "box" ? shape.hz : shape.r;
+    shape._cells = [];
+    this._forCells(shape.x - ex, shape.z - ez, shape.x + ex, shape.z + ez, (key) => {
+      let list = this.cells.get(key);
+      if (!list) this.cells.set(key, (list = []));
+      list.push(shape);
+      shape._cells.push(key);
+    });
+    this.shapes.add(shape);
+    return shape;
+  }
+
+  _forCells(minX, minZ, maxX, maxZ, fn) {
+    const cs = this.cellSize;
+    const ix0 = Math.floor(minX / cs), ix1 = Math.floor(maxX / cs);
+    const iz0 = Math.floor(minZ / cs), iz1 = Math.floor(maxZ / cs);
+    for (let ix = ix0; ix <= ix1; ix++) {
+      for (let iz = iz0; iz <= iz1; iz++) fn(`${ix},${iz}`);
+    }
+  }
+
+  // --- queries ---
+  // Shapes whose bounds may touch the circle (x, z, radius) and the [y0, y1] band.
+  query(x, z, radius, y0 = -Infinity, y1 = Infinity) {
+    const stamp = ++this._stamp;
+    const out = [];
+    this._forCells(x - radius, z - radius, x + radius, z + radius, (key) => {
+      const list = this.cells.get(key);
+      if (!list) return;
+      for (const s of list) {
+        if (s._stamp === stamp) continue;
+        s._stamp = stamp;
+        if (s.y1 <= y0 || s.y0 >= y1) continue;
+        out.push(s);
+      }
+    });
+    return out;
+  }
+
+  collides(x, z, radius, y0, y1) {
+    for (const s of this.query(x, z, radius, y0, y1)) {
+      if (penetration(s, x, z, radius)) return true;
+    }
+    return false;
+  }
+
+  // Move a circle by (dx, dz) and slide along whatever it hits.
+  // Returns the resolved { x, z } plus `hit` when something pushed back.
+  moveAndSlide(x, z, dx, dz, radius, y0 = -Infinity, y1 = Infinity) {
+    const dist  = Math.hypot(dx, dz);
+    const steps = Math.max(1, Math.ceil(dist / (radius * 0.5)));  // no tunnelling through thin walls
+    let hit = false;
+
+    for (let i = 0; i < steps; i++) {
+      x += dx / steps;
+      z += dz / steps;
+      // a few relaxation passes handle corners where two shapes push at once
+      for (let pass = 0; pass < 3; pass++) {
+        let moved = false;
+        for (const s of this.query(x, z, radius, y0, y1)) {
+          const p = penetration(s, x, z, radius);
+          if (!p) continue;
+          x += p.nx * p.depth;
+          z += p.nz * p.depth;
+          moved = hit = true;
+        }
+        if (!moved) break;
+      }
+    }
+    return { x, z, hit };
+  }
+}
+
+// How far (and which way) a circle at (x, z) must move to clear `s`; null if clear.
+function penetration(s, x, z, r) {
+  if (s.kind === "box") {
+    const cx = Math.max(s.x - s.hx, Math.min(x, s.x + s.hx));
+    const cz = Math.max(s.z - s.hz, Math.min(z, s.z + s.hz));
+    const ox = x - cx, oz = z - cz;
+    const d2 = ox * ox + oz * oz;
+    if (d2 > EPS) {
+      if (d2 >= r * r) return null;
+      const d = Math.sqrt(d2);
+      return { nx: ox / d, nz: oz / d, depth: r - d + EPS };
+    }
+    // center is inside the box: leave through the nearest face
+    const px = s.hx - Math.abs(x - s.x);
+    const pz = s.hz - Math.abs(z - s.z);
+    return px < pz
+      ? { nx: Math.sign(x - s.x) || 1, nz: 0, depth: px + r + EPS }
+      : { nx: 0, nz: Math.sign(z - s.z) || 1, depth: pz + r + EPS };
+  }
+
+  const ox = x - s.x, oz = z - s.z;
+  const rr = r + s.r;
+  const d2 = ox * ox + oz * oz;
+  if (d2 >= rr * rr) return null;
+  const d = Math.sqrt(d2);
+  if (d < EPS) return { nx: 1, nz: 0, depth: rr };
+  return { nx: ox / d, nz: oz / d, depth: rr - d + EPS };
+}
+
+export { CollisionWorld, penetration };
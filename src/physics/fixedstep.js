@@ -0,0 +1,95 @@
+// ========= Fixed-timestep accumulator =========
+// Frames arrive at whatever rate the display manages (30, 60, 120 Hz, or a
+// stall on a busy phone); the simulation always advances in equal ticks, so
+// jump height and walking speed don't depend on the frame rate. What's left
+// over in the accumulator becomes the render interpolation factor.
+
+import * as Sim from "./sim.js";
+
+const TICK = 1 / 60;
+const MAX_FRAME = 0.25; // longer frames are cut short instead of spiraling into catch-up ticks
+const EPS = 1e-9;       // 2 × (1/120) must count as one 1/60 tick despite rounding
+
+class FixedStep {
+  constructor({ tick = TICK, maxFrame = MAX_FRAME } = {}) {
+    this.tick = tick;
+    this.maxFrame = maxFrame;
+    this.acc = 0;
+  }
+
+  // Runs onTick(tick, i) for every whole tick this frame covers; returns alpha
+  advance(frameDt, onTick) {
+    this.acc += Math.min(Math.max(frameDt, 0), this.maxFrame);
+    let i = 0;
+    while (this.acc >= this.tick - EPS) {
+      onTick(this.tick, i++);
+      this.acc -= this.tick;
+    }
+    if (this.acc < 0) this.acc = 0;
+    return this.alpha;
+  }
+
+  // How far (0..1) the render frame sits between the previous and the latest tick
+  get alpha() {
+    return Math.min(this.acc / this.tick, 1);
+  }
+
+  reset() {
+    this.acc = 0;
+  }
+}
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Position for rendering between two simulation states
+function interpolate(prev, next, alpha) {
+  return {
+    x: lerp(prev.x, next.x, alpha),
+    y: lerp(prev.y, next.y, alpha),
+    z: lerp(prev.z, next.z, alpha)
+  };
+}
+
+// ---------- Player runner: one rendered frame of input → fixed sim ticks ----------
+// A frame is { dt, move: { fwd, right } | null, look: { yaw, pitch },
+// hold: [held modifiers: "sprint", "crouch"], press: [names] }.
+// Move and hold apply to every tick of the frame; look and jump to the first; on a frame too short for
+// any tick they carry over to the next one, so no input is ever dropped.
+// The browser (src/physics/player.js) and replays (src/physics/replay.js)
+// both go through runFrame(), which is what makes replays exact.
+
+function createRunner(state, { acc = 0, carry = null } = {}) {
+  const runner = {
+    state,
+    prev: state,
+    clock: new FixedStep(),
+    carry: Object.assign({ lookYaw: 0, lookPitch: 0, jump: false }, carry)
+  };
+  runner.clock.acc = acc;
+  return runner;
+}
+
+// Returns the render alpha between runner.prev and runner.state
+function runFrame(runner, frame, env) {
+  const c = runner.carry;
+  if (frame.look) {
+    c.lookYaw += frame.look.yaw;
+    c.lookPitch += frame.look.pitch;
+  }
+  if (frame.press && frame.press.includes("jump")) c.jump = true;
+
+  return runner.clock.advance(frame.dt, (dt, i) => {
+    const input = Object.assign({}, frame.move);
+    for (const name of frame.hold || []) input[name] = true;
+    if (i === 0) {
+      Object.assign(input, c);
+      c.lookYaw = 0;
+      c.lookPitch = 0;
+      c.jump = false;
+    }
+    runner.prev = runner.state;
+    runner.state = Sim.step(runner.state, input, dt, env);
+  });
+}
+
+export { TICK, MAX_FRAME, FixedStep, interpolate, createRunner, runFrame };
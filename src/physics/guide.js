@@ -0,0 +1,104 @@
+// ========= Following a route — progress and auto-walk =========
+// A guide keeps track of how far along a route (src/world/navgrid.js) the
+// player has got: the stretch they're on, how far is left, how far off the
+// route they've wandered (the guidance mode looks for a new way past a few
+// meters) and whether they've arrived. steer() turns that into the input a
+// player would give, turning toward a point a little way down the route and
+// walking, so auto-walk goes through the same sim, collisions and recordings
+// as walking by hand.
+
+const GUIDE = {
+  arrive:    1.2,   // meters from the end that count as there
+  offRoute:  3,     // farther than this from the route: time for a new one
+  lookAhead: 1.5,   // auto-walk heads for the point this far down the route
+  turnRate:  5,     // radians per second auto-walk turns
+  stuckTime: 2.5    // seconds auto-walk may go without getting closer before giving up
+};
+
+// A guide along route { points, length } to wherever it ends
+function createGuide(route) {
+  return {
+    points: route.points,
+    seg: 0,            // the stretch points[seg] → points[seg + 1] we're on
+    along: 0,          // how far down that stretch, in meters
+    off: 0,            // meters from the route
+    remaining: route.length,
+    arrived: false,
+    best: Infinity,    // least `remaining` so far
+    stuck: 0           // seconds since `remaining` last got smaller
+  };
+}
+
+const segLength = (pts, i) => Math.hypot(pts[i + 1].x - pts[i].x, pts[i + 1].z - pts[i].z);
+
+// Closest point to (x, z) on stretch i → { t: meters along it, dist }
+function onSegment(pts, i, x, z) {
+  const a = pts[i];
+  const b = pts[i + 1];
+  const len = segLength(pts, i);
+  const t = len > 0 ? Math.max(0, Math.min(len, ((x - a.x) * (b.x - a.x) + (z - a.z) * (b.z - a.z)) / len)) : 0;
+  const k = len > 0 ? t / len : 0;
+  return { t, dist: Math.hypot(x - (a.x + (b.x - a.x) * k), z - (a.z + (b.z - a.z) * k)) };
+}
+
+// Where the player at (x, z) is along the route, dt seconds after the last call
+// (never back onto a stretch already left behind, so a route that doubles back
+// isn't cut short)
+function updateGuide(g, x, z, dt = 0) {
+  const pts = g.points;
+  let best = null;
+  for (let i = g.seg; i < pts.length - 1; i++) {
+    const p = onSegment(pts, i, x, z);
+    if (!best || p.dist < best.dist - 1e-9) best = { seg: i, ...p };
+  }
+  if (best) {
+    g.seg = best.seg;
+    g.along = best.t;
+    g.off = best.dist;
+    g.remaining = segLength(pts, g.seg) - g.along;
+    for (let i = g.seg + 1; i < pts.length - 1; i++) g.remaining += segLength(pts, i);
+  }
+  const end = pts[pts.length - 1];
+  g.arrived = Math.hypot(x - end.x, z - end.z) <= GUIDE.arrive;
+  if (g.remaining < g.best - 0.05) {
+    g.best = g.remaining;
+    g.stuck = 0;
+  } else {
+    g.stuck += dt;
+  }
+  return g;
+}
+
+// The point `ahead` meters further down the route than the player → { x, z, dx, dz }
+// (dx, dz: which way the route runs there)
+function pointAhead(g, ahead) {
+  const pts = g.points;
+  let i = g.seg;
+  let t = g.along + ahead;
+  while (i < pts.length - 2 && t > segLength(pts, i)) {
+    t -= segLength(pts, i);
+    i++;
+  }
+  const a = pts[i];
+  const b = pts[Math.min(i + 1, pts.length - 1)];
+  const len = Math.hypot(b.x - a.x, b.z - a.z) || 1;
+  const k = Math.min(1, t / len);
+  return { x: a.x + (b.x - a.x) * k, z: a.z + (b.z - a.z) * k, dx: (b.x - a.x) / len, dz: (b.z - a.z) / len };
+}
+
+// Auto-walk input for a player in sim state s: { move: { fwd, right }, turn }
+// where turn is this frame's look yaw (positive turns right, like the mouse).
+// Walks only while roughly facing the way; turns on the spot otherwise.
+function steer(g, s, dt) {
+  const p = pointAhead(g, GUIDE.lookAhead);
+  const want = Math.atan2(-(p.x - s.x), -(p.z - s.z)); // yaw 0 looks down -Z
+  let delta = want - s.yaw;
+  delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+  const most = GUIDE.turnRate * dt;
+  return {
+    move: { fwd: Math.abs(delta) < 1.2 ? 1 : 0, right: 0 },
+    turn: -Math.max(-most, Math.min(most, delta))
+  };
+}
+
+export { GUIDE, createGuide, updateGuide, pointAhead, steer };
@@ -0,0 +1,217 @@
+// ========= Villager simulation — walking the waypoint graph =========
+// A villager lives in one house. By day they walk the waypoint graph
+// (src/world/waypoints.js) from spot to spot, mostly to someone's front door
+// where they stand about for a while; at night they head home and stay in
+// until morning. They slide along the same collision world as the player, give
+// the player and each other room, and step back when crowded. Villagers aren't
+// shapes in that world themselves and never open or shut doors (a shut door
+// they just let themselves in and out of, unseen), so nothing they do changes
+// where the player can walk and recordings replay the same with or without them.
+
+const NPC = {
+  radius:    0.3,
+  height:    1.7,
+  speed:     1.3,   // m/s walking
+  turnRate:  6,     // radians per second
+  arrive:    0.45,  // meters from a node that count as there
+  personal:  1.6,   // others closer than this get steered around
+  stopAhead: 1.1,   // someone this close in front: wait
+  stuckTime: 3,     // seconds without getting closer before picking somewhere else
+  doorWait:  [4, 10],
+  pathWait:  [1, 3]
+};
+
+// One villager living in `house`, standing at node `node` of the graph
+function createVillager({ house, node, y = 0, rng = Math.random }) {
+  return {
+    house,
+    x: node.x, z: node.z, y,
+    yaw: 0,
+    node: node.id,     // last node reached
+    route: [],         // node ids still to walk to, in order
+    mode: "idle",      // "walk" | "idle" | "indoors"
+    wait: rng() * NPC.pathWait[1],
+    stuck: 0,
+    best: Infinity,    // closest we've been to route[0]
+    moving: false
+  };
+}
+
+const rand = (rng, [a, b]) => a + rng() * (b - a);
+
+function setRoute(v, graph, to) {
+  const ids = to === v.node ? [to] : graph.route(v.node, to);
+  v.route = ids ? ids.slice(1) : [];
+  v.mode = v.route.length ? "walk" : "idle";
+  v.stuck = 0;
+  v.best = Infinity;
+}
+
+// Somewhere to go by day: a front door half the time, otherwise any path node
+function pickGoal(v, graph, rng) {
+  const kinds = rng() < 0.5 ? ["door"] : ["path"];
+  const options = graph.nodes.filter((n) => kinds.includes(n.kind) && n.id !== v.node);
+  if (options.length) setRoute(v, graph, options[Math.floor(rng() * options.length)].id);
+}
+
+// Push away from anyone inside `personal`, stronger the closer they are
+function crowding(v, env) {
+  let px = 0;
+  let pz = 0;
+  const others = env.others.filter((o) => o !== v && o.mode !== "indoors");
+  if (env.player) others.push(env.player);
+  for (const o of others) {
+    const dx = v.x - o.x;
+    const dz = v.z - o.z;
+    const d = Math.hypot(dx, dz);
+    if (d >= NPC.personal || d < 1e-6) continue;
+    const k = (NPC.personal - d) / NPC.personal / d;
+    px += dx * k;
+    pz += dz * k;
+  }
+  return { x: px, z: pz };
+}
+
+// Is anyone standing right in front of (x, z) going along (dx, dz)?
+function blockedAhead(v, dx, dz, env) {
+  const others = env.others.filter((o) => o !== v && o.mode !== "indoors");
+  if (env.player) others.push(env.player);
+  return others.some((o) => {
+    const ox = o.x - v.x;
+    const oz = o.z - v.z;
+    const along = ox * dx + oz * dz;
+    return along > 0 && Math.hypot(ox, oz) < NPC.stopAhead && along > Math.hypot(ox, oz) * 0.7;
+  });
+}
+
+// Stand on node `n` without walking there (through a shut door)
+function placeAt(v, n, env) {
+  v.x = n.x;
+  v.z = n.z;
+  v.y = env.terrain.heightAt(n.x, n.z);
+  v.node = n.id;
+  v.route = [];
+}
+
+// Slide (dx, dz) through the collision world and settle on the ground
+function move(v, dx, dz, env) {
+  const res = env.world.moveAndSlide(v.x, v.z, dx, dz, NPC.radius, v.y + 0.3, v.y + NPC.height);
+  v.x = res.x;
+  v.z = res.z;
+  v.y = env.terrain.heightAt(v.x, v.z);
+}
+
+function turnToward(v, yaw, dt) {
+  let d = yaw - v.yaw;
+  d = Math.atan2(Math.sin(d), Math.cos(d));
+  const step = NPC.turnRate * dt;
+  v.yaw += Math.max(-step, Math.min(step, d));
+}
+
+// Advance one villager by dt seconds.
+// env: { world, terrain, graph, night, player: { x, z } | null, others: [villagers],
+//        rng?, doorShut?(house) → true while that house's door is shut }
+function stepVillager(v, dt, env) {
+  const { graph } = env;
+  const rng = env.rng || Math.random;
+  const shut = env.doorShut ? env.doorShut(v.house) : false;
+  v.moving = false;
+
+  if (v.mode === "indoors") {
+    if (env.night) return;
+    const door = graph.doorOf(v.house); // morning: back out
+    if (shut) {
+      placeAt(v, door, env);
+      v.mode = "idle";
+      v.wait = rand(rng, NPC.pathWait);
+    } else {
+      setRoute(v, graph, door.id);
+    }
+    return;
+  }
+  if (shut && graph.nodes[v.node].kind === "home") {
+    placeAt(v, graph.doorOf(v.house), env); // shut in by the player: out the door
+    v.mode = "idle";
+    v.wait = rand(rng, NPC.pathWait);
+    return;
+  }
+
+  const home = graph.homeOf(v.house);
+  const goingHome = home && v.route.length && v.route[v.route.length - 1] === home.id;
+  if (env.night && home && !goingHome) {
+    if (v.node === home.id) {
+      v.mode = "indoors";
+      return;
+    }
+    setRoute(v, graph, home.id);
+    if (!v.route.length) return;
+  }
+
+  const push = crowding(v, env);
+  if (v.mode === "idle") {
+    if (Math.hypot(push.x, push.z) > 0.2) move(v, push.x * NPC.speed * dt, push.z * NPC.speed * dt, env);
+    v.wait -= dt;
+    if (v.wait <= 0) pickGoal(v, graph, rng);
+    return;
+  }
+
+  // walking
+  const next = graph.nodes[v.route[0]];
+  if (next.kind === "home" && shut) {
+    placeAt(v, next, env); // let themselves in and shut it behind them
+    v.mode = env.night ? "indoors" : "idle";
+    v.wait = rand(rng, NPC.pathWait);
+    return;
+  }
+  let dx = next.x - v.x;
+  let dz = next.z - v.z;
+  const dist = Math.hypot(dx, dz);
+  if (dist < NPC.arrive) {
+    v.node = v.route.shift();
+    v.best = Infinity;
+    v.stuck = 0;
+    if (v.route.length) return;
+    if (next.kind === "home" && env.night) {
+      v.mode = "indoors";
+      return;
+    }
+    v.mode = "idle";
+    v.wait = rand(rng, next.kind === "door" ? NPC.doorWait : NPC.pathWait);
+    if (next.kind === "door") {
+      const house = graph.homeOf(next.house);
+      if (house) v.yaw = Math.atan2(house.x - v.x, house.z - v.z); // face the door
+    }
+    return;
+  }
+  dx /= dist;
+  dz /= dist;
+
+  // give way: wait for whoever's in front, lean away from anyone close
+  const speed = blockedAhead(v, dx, dz, env) ? 0 : NPC.speed;
+  let mx = dx * speed + push.x * NPC.speed;
+  let mz = dz * speed + push.z * NPC.speed;
+  const len = Math.hypot(mx, mz);
+  if (len > NPC.speed) {
+    mx *= NPC.speed / len;
+    mz *= NPC.speed / len;
+  }
+  if (len > 0.05) {
+    move(v, mx * dt, mz * dt, env);
+    turnToward(v, Math.atan2(mx, mz), dt);
+    v.moving = true;
+  }
+
+  // no closer for a while (blocked, crowded): start over from the nearest node
+  const now = Math.hypot(next.x - v.x, next.z - v.z);
+  if (now < v.best - 0.05) {
+    v.best = now;
+    v.stuck = 0;
+  } else if ((v.stuck += dt) > NPC.stuckTime) {
+    const near = graph.nearest(v.x, v.z, (n) => n.kind !== "home");
+    v.node = near.id;
+    if (env.night && home) setRoute(v, graph, home.id);
+    else pickGoal(v, graph, rng);
+  }
+}
+
+export { NPC, createVillager, stepVillager };
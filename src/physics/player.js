@@ -0,0 +1,77 @@
+/* global THREE */
+// ========= Player rig — the camera riding on the simulation state =========
+// Movement, collision and jumping live in src/physics/sim.js; each frame of
+// input (src/input/frame.js) runs through fixed ticks (src/physics/fixedstep.js)
+// and the result is copied onto the rig:
+// body (feet, yaw) → head (eye height, lower when crouching; pitch) → camera.
+// The body is drawn between the last two ticks so motion stays smooth when
+// the frame rate and the tick rate don't line up.
+
+import { scene, camera } from "../renderer.js";
+import { town, ceilingAt } from "../world/town.js";
+import * as Sim from "./sim.js";
+import { createRunner, runFrame, interpolate } from "./fixedstep.js";
+
+export const EYE_HEIGHT = Sim.PLAYER.eyeHeight;
+
+const body = new THREE.Object3D();
+const head = new THREE.Object3D();
+head.position.y = EYE_HEIGHT;
+body.add(head);
+head.add(camera);
+scene.add(body);
+
+export const player = {
+  runner: createRunner(Sim.createState({ z: 18 })),
+  position: body.position, // rendered feet, for readers that want a Vector3
+  walkSpeed: Sim.PLAYER.walkSpeed // m/s, from the settings (replays bring their own)
+};
+
+// What the sim collides against; terrain is swapped when the town is built
+const env = {
+  get world() { return town.world; },
+  get terrain() { return town.terrain; },
+  get walkSpeed() { return player.walkSpeed; },
+  ceilingAt
+};
+
+// Look input still waiting for a tick is shown right away, so the view never lags the mouse
+function syncRig(alpha = 1) {
+  const { state, prev, carry } = player.runner;
+  const p = interpolate(prev, state, alpha);
+  const pc = Sim.PLAYER.pitchClamp;
+  body.position.set(p.x, p.y, p.z);
+  head.position.y = Sim.eyeHeight(prev.crouch + (state.crouch - prev.crouch) * alpha);
+  body.rotation.set(0, state.yaw - carry.lookYaw, 0);
+  head.rotation.set(Math.max(-pc, Math.min(pc, state.pitch + carry.lookPitch)), 0, 0);
+}
+
+// The view as drawn
+export function lookAngles() {
+  return { yaw: body.rotation.y, pitch: head.rotation.x };
+}
+
+// Advance by one frame of input (src/input/frame.js)
+export function updatePlayer(frame) {
+  syncRig(runFrame(player.runner, frame, env));
+}
+
+// Replace the whole runner (replays start from a recorded one)
+export function setRunner(runner) {
+  player.runner = runner;
+  syncRig();
+}
+
+// Stand at (x, z) on the ground looking along yaw/pitch (YXZ, radians)
+export function setPose(x, z, yaw, pitch) {
+  const p = Sim.PLAYER.pitchClamp;
+  const state = Sim.createState({ x, z, y: town.terrain.heightAt(x, z), yaw, pitch: Math.max(-p, Math.min(p, pitch)) });
+  setRunner(createRunner(state, { acc: player.runner.clock.acc }));
+}
+
+// Spawn point from the layout: the camera looks down -Z, so yaw points -Z at lookAt
+export function placePlayer({ x, z, lookAt }) {
+  setPose(x, z, Math.atan2(x - lookAt.x, z - lookAt.z), 0);
+}
+
+syncRig();
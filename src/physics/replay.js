@@ -0,0 +1,122 @@
+// ========= Input recordings and deterministic replay =========
+// A recording is the player's starting runner (state, leftover tick time,
+// carried input) and which doors stood open, plus every frame of input after it, as JSON:
+//   { version, town: { seed } | { layout }, hour, walkSpeed, start, frames: [...], end }
+// Frames are stored compactly: { dt, move?: [fwd, right], look?: [yaw, pitch], hold?: [...], press?: [...] }.
+// Feeding the frames back through runFrame() against the same town lands on
+// the same `end` state bit for bit — in the browser or headless in Node.
+
+import { createRunner, runFrame } from "./fixedstep.js";
+import { createState } from "./sim.js";
+
+// 2: acceleration, sprint and crouch — version 1 walks no longer land where they did
+const REPLAY_VERSION = 2;
+const STATE_KEYS = ["x", "y", "z", "yaw", "pitch", "vx", "vz", "vy", "onGround", "stamina", "winded", "crouch"];
+
+class ReplayError extends Error {
+  constructor(message) {
+    super(`replay: ${message}`);
+    this.name = "ReplayError";
+  }
+}
+
+function encodeFrame(frame) {
+  const out = { dt: frame.dt };
+  if (frame.move) out.move = [frame.move.fwd, frame.move.right];
+  if (frame.look && (frame.look.yaw || frame.look.pitch)) out.look = [frame.look.yaw, frame.look.pitch];
+  if (frame.hold && frame.hold.length) out.hold = frame.hold.slice();
+  if (frame.press && frame.press.length) out.press = frame.press.slice();
+  return out;
+}
+
+function decodeFrame(raw) {
+  return {
+    dt: raw.dt,
+    move: raw.move ? { fwd: raw.move[0], right: raw.move[1] } : null,
+    look: raw.look ? { yaw: raw.look[0], pitch: raw.look[1] } : { yaw: 0, pitch: 0 },
+    hold: raw.hold || [],
+    press: raw.press || []
+  };
+}
+
+const pickState = (s) => Object.fromEntries(STATE_KEYS.map((k) => [k, s[k]]));
+
+function sameState(a, b) {
+  return STATE_KEYS.every((k) => a[k] === b[k]);
+}
+
+class Recorder {
+  // town: { seed } or { layout }; hour: time of day when recording starts;
+  // walkSpeed: the player's setting (null for the default); props: doors and
+  // switches as they stand (Interactables.snapshot(), src/world/interactables.js)
+  constructor({ town, runner, hour = null, walkSpeed = null, props = null }) {
+    this.data = {
+      version: REPLAY_VERSION,
+      town,
+      hour,
+      walkSpeed,
+      start: {
+        state: pickState(runner.state),
+        acc: runner.clock.acc,
+        carry: Object.assign({}, runner.carry),
+        props
+      },
+      frames: [],
+      end: null
+    };
+  }
+
+  add(frame) {
+    this.data.frames.push(encodeFrame(frame));
+  }
+
+  get length() {
+    return this.data.frames.length;
+  }
+
+  // The recording, closed with the state the player ended in
+  finish(runner) {
+    this.data.end = pickState(runner.state);
+    return this.data;
+  }
+}
+
+// Throws ReplayError unless `rec` looks like something Recorder wrote
+function check(rec) {
+  if (!rec || typeof rec !== "object") throw new ReplayError("not a recording");
+  if (rec.version === 1) throw new ReplayError("recorded before sprint / crouch, can't replay the same way");
+  if (rec.version !== REPLAY_VERSION) throw new ReplayError(`unsupported version ${rec.version}`);
+  if (!rec.town || (rec.town.seed === undefined && rec.town.layout === undefined)) throw new ReplayError("missing town");
+  if (rec.walkSpeed != null && !(rec.walkSpeed > 0)) throw new ReplayError(`bad walkSpeed ${rec.walkSpeed}`);
+  if (!rec.start || !rec.start.state || !Array.isArray(rec.frames)) throw new ReplayError("missing start or frames");
+  rec.frames.forEach((f, i) => {
+    if (typeof f.dt !== "number" || !Number.isFinite(f.dt)) throw new ReplayError(`frames[${i}].dt: expected number`);
+  });
+  return rec;
+}
+
+// Fresh runner at the recording's starting point
+function startRunner(rec) {
+  const { state, acc, carry } = rec.start;
+  return createRunner(Object.assign(createState(), state), { acc, carry });
+}
+
+// Play a whole recording headless. env.interact (optional) gets the doors set
+// as recorded and opens and shuts them on "use" presses, as the browser does.
+// onFrame(runner, frame, i) sees every step.
+// Returns { state, matches } — matches is null when the recording has no `end`.
+function replay(rec, env, { onFrame } = {}) {
+  check(rec);
+  const runner = startRunner(rec);
+  const playEnv = Object.assign({}, env, { walkSpeed: rec.walkSpeed || null });
+  if (env.interact && rec.start.props) env.interact.restore(rec.start.props);
+  rec.frames.forEach((raw, i) => {
+    const frame = decodeFrame(raw);
+    runFrame(runner, frame, playEnv);
+    if (env.interact && frame.press.includes("use")) env.interact.use(runner.state);
+    if (onFrame) onFrame(runner, frame, i);
+  });
+  return { state: pickState(runner.state), matches: rec.end ? sameState(runner.state, rec.end) : null };
+}
+
+export { REPLAY_VERSION, ReplayError, Recorder, encodeFrame, decodeFrame, check, startRunner, replay, sameState };
@@ -0,0 +1,197 @@
+// ========= Player simulation step — state + input + dt → new state =========
+// Look, walking (with acceleration, sprint, stamina and crouch), collision
+// sliding, slopes, jumping and gravity in one pure function. The browser
+// feeds it keys / stick / look deltas every frame and copies the result onto
+// the camera rig; tests feed it scripted input.
+
+const PLAYER = {
+  eyeHeight:  1.6,
+  radius:     0.25,
+  height:     1.75,        // eyes + a bit of head, for walls and ceilings
+  walkSpeed:  6.0,
+  jumpSpeed:  6.0,
+  gravity:    15.0,
+  maxSlope:   0.9,         // rise/run (~42°); steeper ground blocks you like a wall
+  stepDown:   0.5,         // drops deeper than this turn into a fall
+  pitchClamp: Math.PI * 0.48,
+
+  accel:      40.0,        // m/s² toward the wanted velocity on the ground
+  decel:      30.0,        // m/s² back to a stop once the keys / stick let go
+  airAccel:   8.0,         // steering left in the air
+  sprintMul:  1.6,         // sprint speed as a multiple of walkSpeed
+  crouchMul:  0.45,
+  crouchEye:  1.0,
+  crouchHeight: 1.15,      // fits under anything from about 1.2 m up
+  crouchRate: 6.0,         // crouch amount per second (down or up in ~0.17 s)
+  staminaDrain: 0.2,       // per second of sprinting: 5 s from full
+  staminaRegen: 0.25,      // per second otherwise
+  staminaMin: 0.3          // after running dry, sprint comes back at this much
+};
+
+// Longest step we integrate; a stalled tab shouldn't teleport you through a wall
+const MAX_DT = 0.05;
+
+const clamp = (v, mn, mx) => Math.max(mn, Math.min(mx, v));
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Player state: feet position, view angles (radians, YXZ), velocity,
+// stamina 0..1 (winded: ran dry, no sprint until it refills to staminaMin)
+// and crouch 0 (standing) .. 1 (all the way down)
+function createState({ x = 0, y = 0, z = 0, yaw = 0, pitch = 0 } = {}) {
+  return { x, y, z, yaw, pitch, vx: 0, vz: 0, vy: 0, onGround: true, stamina: 1, winded: false, crouch: 0 };
+}
+
+// Eye and head-top heights above the feet for a crouch amount
+const eyeHeight  = (crouch) => lerp(PLAYER.eyeHeight, PLAYER.crouchEye, crouch);
+const bodyHeight = (crouch) => lerp(PLAYER.height, PLAYER.crouchHeight, crouch);
+
+// Input for one step (all optional):
+//   fwd, right   -1..1 each (keys or stick; y up on the stick = forward)
+//   lookYaw      radians to turn right this step
+//   lookPitch    radians to look up this step
+//   jump         true on the step the jump was pressed
+//   sprint       held: faster while going forward, uses stamina
+//   crouch       held: lower and slower; stays down while there's no room to stand
+const NO_INPUT = { fwd: 0, right: 0, lookYaw: 0, lookPitch: 0, jump: false, sprint: false, crouch: false };
+
+// env: { world: CollisionWorld, terrain: { heightAt, slopeBetween }, ceilingAt?(x, z),
+//        walkSpeed? (m/s, the player's setting; PLAYER.walkSpeed without one) }
+function step(state, input, dt, env) {
+  const inp = Object.assign({}, NO_INPUT, input);
+  dt = clamp(dt, 0, MAX_DT);
+  const s = Object.assign({}, state);
+
+  // --- look ---
+  s.yaw   = s.yaw - inp.lookYaw;
+  s.pitch = clamp(s.pitch + inp.lookPitch, -PLAYER.pitchClamp, PLAYER.pitchClamp);
+
+  // --- crouch: down freely, back up only with room overhead ---
+  if (inp.crouch) {
+    s.crouch = Math.min(1, s.crouch + PLAYER.crouchRate * dt);
+  } else if (s.crouch > 0) {
+    const up = Math.max(0, s.crouch - PLAYER.crouchRate * dt);
+    const top = s.y + bodyHeight(up);
+    const ceiling = env.ceilingAt ? env.ceilingAt(s.x, s.z) : Infinity;
+    if (top < ceiling && !env.world.collides(s.x, s.z, PLAYER.radius, s.y + 0.05, top)) s.crouch = up;
+  }
+
+  // --- sprint and stamina ---
+  const sprinting = inp.sprint && inp.fwd > 0 && !s.winded && s.crouch < 0.5;
+  if (sprinting && s.onGround) {
+    s.stamina = Math.max(0, s.stamina - PLAYER.staminaDrain * dt);
+    if (s.stamina === 0) s.winded = true;
+  } else if (!sprinting) {
+    s.stamina = Math.min(1, s.stamina + PLAYER.staminaRegen * dt);
+    if (s.winded && s.stamina >= PLAYER.staminaMin) s.winded = false;
+  }
+
+  // --- speed up / slow down toward where the keys or stick point ---
+  const speed = (env.walkSpeed || PLAYER.walkSpeed)
+    * (sprinting ? PLAYER.sprintMul : 1)
+    * lerp(1, PLAYER.crouchMul, s.crouch)
+    * Math.min(1, Math.hypot(inp.fwd, inp.right));
+  const want = desiredMove(s.yaw, inp.fwd, inp.right, speed) || { x: 0, z: 0 };
+  const rate = !s.onGround ? PLAYER.airAccel : want.x || want.z ? PLAYER.accel : PLAYER.decel;
+  const dvx = want.x - s.vx;
+  const dvz = want.z - s.vz;
+  const dv = Math.hypot(dvx, dvz);
+  const k = dv > rate * dt ? (rate * dt) / dv : 1;
+  s.vx += dvx * k;
+  s.vz += dvz * k;
+
+  // --- walk: slide along walls, trunks and furniture instead of stopping dead ---
+  if ((s.vx || s.vz) && dt > 0) {
+    const top = s.y + bodyHeight(s.crouch);
+    const slide = (dx, dz) => env.world.moveAndSlide(s.x, s.z, dx, dz, PLAYER.radius, s.y + 0.05, top);
+    const tooSteep = (res) => s.onGround && env.terrain.slopeBetween(s.x, s.z, res.x, res.z) > PLAYER.maxSlope;
+    const mx = s.vx * dt;
+    const mz = s.vz * dt;
+    // On a too-steep slope, keep whichever axis still goes somewhere (walk along the hill)
+    let res = slide(mx, mz);
+    let blocked = res.hit;
+    if (tooSteep(res)) {
+      blocked = true;
+      res = slide(mx, 0);
+      if (tooSteep(res)) res = slide(0, mz);
+      if (tooSteep(res)) res = null;
+    }
+    if (blocked) {
+      // Keep only the velocity that actually went somewhere, never more than before
+      const gotX = res ? res.x - s.x : 0;
+      const gotZ = res ? res.z - s.z : 0;
+      const was = Math.hypot(s.vx, s.vz);
+      const got = Math.hypot(gotX, gotZ) / dt;
+      const scale = got > was ? was / got : 1;
+      s.vx = (gotX / dt) * scale;
+      s.vz = (gotZ / dt) * scale;
+    }
+    if (res) {
+      s.x = res.x;
+      s.z = res.z;
+    }
+  }
+
+  // --- jump (not from a crouch: there's no room to) ---
+  if (inp.jump && s.onGround && s.crouch < 0.5) {
+    s.vy = PLAYER.jumpSpeed;
+    s.onGround = false;
+  }
+
+  // --- feet follow the terrain; walking off a drop turns into a fall ---
+  const floorY = env.terrain.heightAt(s.x, s.z);
+  if (s.onGround && s.vy <= 0) {
+    if (s.y - floorY > PLAYER.stepDown) s.onGround = false;
+    else s.y = floorY;
+  }
+  if (!s.onGround || s.vy > 0) {
+    s.vy -= PLAYER.gravity * dt;
+    let y = s.y + s.vy * dt;
+    const ceiling = env.ceilingAt ? env.ceilingAt(s.x, s.z) : Infinity;
+    const headroom = ceiling - 0.1 - eyeHeight(s.crouch);
+    if (y > headroom) {
+      y = headroom;
+      s.vy = Math.min(s.vy, 0);
+    }
+    if (y <= floorY) {
+      y = floorY;
+      s.vy = 0;
+      s.onGround = true;
+    }
+    s.y = y;
+  }
+  return s;
+}
+
+// World-space step for yaw and { fwd, right } axes: forward = -Z at yaw 0, right = +X
+function desiredMove(yaw, fwd, right, dist) {
+  if (!fwd && !right) return null;
+  const sin = Math.sin(yaw);
+  const cos = Math.cos(yaw);
+  const dx = -sin * fwd + cos * right;
+  const dz = -cos * fwd - sin * right;
+  const k = dist / Math.hypot(dx, dz);
+  return { x: dx * k, z: dz * k };
+}
+
+// Where a player put down at (x, z) can stand: there if the body fits, else
+// the nearest spot that's free on rings up to `reach` meters out, or null.
+// env: { world, terrain } as for step().
+function freeSpot(env, x, z, reach = 3) {
+  const fits = (px, pz) => {
+    const y = env.terrain.heightAt(px, pz);
+    return !env.world.collides(px, pz, PLAYER.radius, y + 0.05, y + PLAYER.height);
+  };
+  if (fits(x, z)) return { x, z };
+  for (let r = PLAYER.radius; r <= reach + 1e-9; r += PLAYER.radius) {
+    const n = Math.ceil((2 * Math.PI * r) / PLAYER.radius);
+    for (let i = 0; i < n; i++) {
+      const a = (2 * Math.PI * i) / n;
+      const p = { x: x + Math.sin(a) * r, z: z + Math.cos(a) * r };
+      if (fits(p.x, p.z)) return p;
+    }
+  }
+  return null;
+}
+
+export { PLAYER, MAX_DT, createState, step, desiredMove, freeSpot, eyeHeight, bodyHeight };
@@ -0,0 +1,100 @@
+/* global THREE */
+// ========= Villagers — simple figures riding on the villager sim =========
+// One villager per house (up to a dozen, half that on phones), walking the
+// waypoint graph built from the layout's paths (src/world/waypoints.js) by the
+// rules in src/physics/npc.js. Phones update them 15 times a second instead of
+// every frame; the figures are drawn between the last two updates so they
+// still move smoothly.
+
+import { isMobile } from "../config.js";
+import { scene } from "../renderer.js";
+import { town } from "../world/town.js";
+import { lighting } from "../lighting/lights.js";
+import { buildWaypoints } from "../world/waypoints.js";
+import { createVillager, stepVillager } from "./npc.js";
+
+const MAX_VILLAGERS = isMobile ? 6 : 12;
+const UPDATE_EVERY  = isMobile ? 1 / 15 : 0; // seconds between sim updates (0 = every frame)
+
+const SHIRTS = [0x5c6bc0, 0xef6c00, 0x2e7d32, 0xad1457, 0x00838f, 0x6d4c41, 0xf9a825, 0x455a64];
+const bodyGeo = new THREE.CylinderGeometry(0.2, 0.26, 1.3, 10);
+const headGeo = new THREE.SphereGeometry(0.16, 12, 8);
+const skinMat = new THREE.MeshStandardMaterial({ color: 0xe0b48a });
+
+const villagers = []; // { sim, mesh, prev: { x, y, z, yaw } }
+let graph = null;
+let sinceUpdate = 0;
+
+function makeFigure(i) {
+  const g = new THREE.Group();
+  const body = new THREE.Mesh(bodyGeo, new THREE.MeshStandardMaterial({ color: SHIRTS[i % SHIRTS.length] }));
+  body.position.y = 0.65;
+  const head = new THREE.Mesh(headGeo, skinMat);
+  head.position.y = 1.3 + 0.17;
+  body.castShadow = head.castShadow = !isMobile;
+  g.add(body, head);
+  scene.add(g);
+  return g;
+}
+
+const doorShut = (house) => {
+  const door = town.interact && town.interact.items.find((it) => it.kind === "door" && it.house === house);
+  return !!door && !door.on;
+};
+
+// Once the town is built (and again after it's edited): a villager for every
+// house (spread out when there are more houses than villagers), at home at
+// night and on the doorstep by day
+export function spawnVillagers() {
+  for (const v of villagers) {
+    scene.remove(v.mesh);
+    v.mesh.children[0].material.dispose();
+  }
+  villagers.length = 0;
+  graph = buildWaypoints(town.layout);
+  const houses = town.layout.houses;
+  const count = Math.min(MAX_VILLAGERS, houses.length);
+  for (let i = 0; i < count; i++) {
+    const house = Math.floor((i * houses.length) / count);
+    const node = lighting.nightMode ? graph.homeOf(house) : graph.doorOf(house);
+    const sim = createVillager({ house, node, y: town.terrain.heightAt(node.x, node.z) });
+    if (lighting.nightMode) sim.mode = "indoors";
+    villagers.push({ sim, mesh: makeFigure(i), prev: { x: sim.x, y: sim.y, z: sim.z, yaw: sim.yaw } });
+  }
+}
+
+// Every frame with the player's feet
+export function updateVillagers(dt, player) {
+  if (!graph) return;
+  sinceUpdate += dt;
+  if (sinceUpdate >= UPDATE_EVERY) {
+    const step = Math.min(sinceUpdate, 0.1);
+    sinceUpdate = 0;
+    const env = {
+      world: town.world, terrain: town.terrain, graph,
+      night: lighting.nightMode,
+      player: { x: player.x, z: player.z },
+      others: villagers.map((v) => v.sim),
+      doorShut
+    };
+    for (const v of villagers) {
+      const s = v.sim;
+      v.prev = { x: s.x, y: s.y, z: s.z, yaw: s.yaw };
+      stepVillager(s, step, env);
+    }
+  }
+
+  // between the last two updates; a light bob while walking
+  const a = UPDATE_EVERY ? Math.min(1, sinceUpdate / UPDATE_EVERY) : 1;
+  const t = performance.now() / 1000;
+  villagers.forEach((v, i) => {
+    const s = v.sim;
+    v.mesh.visible = s.mode !== "indoors";
+    if (!v.mesh.visible) return;
+    const bob = s.moving ? Math.abs(Math.sin(t * 7 + i)) * 0.04 : 0;
+    const lerp = (p, c) => p + (c - p) * a;
+    v.mesh.position.set(lerp(v.prev.x, s.x), lerp(v.prev.y, s.y) + bob, lerp(v.prev.z, s.z));
+    const dy = Math.atan2(Math.sin(s.yaw - v.prev.yaw), Math.cos(s.yaw - v.prev.yaw));
+    v.mesh.rotation.y = v.prev.yaw + dy * a;
+  });
+}
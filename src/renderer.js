@@ -0,0 +1,24 @@
+/* global THREE */
+// ========= Renderer / Scene / Camera =========
+
+import { isMobile } from "./config.js";
+
+const canvas = document.getElementById("scene");
+export const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+const DPR = Math.min(window.devicePixelRatio || 1, 1.75);
+renderer.setPixelRatio(DPR);
+renderer.setSize(window.innerWidth, window.innerHeight);
+renderer.shadowMap.enabled = !isMobile; // perf on phones
+
+export const scene  = new THREE.Scene();
+export const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+
+window.addEventListener("resize", () => {
+  camera.aspect = window.innerWidth / window.innerHeight;
+  camera.updateProjectionMatrix();
+  renderer.setSize(window.innerWidth, window.innerHeight);
+});
+
+export function render() {
+  renderer.render(scene, camera);
+}
@@ -0,0 +1,46 @@
+// ========= Deep links — a viewpoint in the URL hash =========
+// #p=12.5,-3&yaw=90&pitch=-10&night=1&seed=abc   (or &layout=name)
+// p is the ground position (x, z); yaw/pitch are degrees, same convention as
+// the player rig (yaw 0 looks down -Z, positive pitch looks up).
+
+const DEG = 180 / Math.PI;
+const fix = (v, digits) => String(Math.round(v * 10 ** digits) / 10 ** digits);
+
+// pose: { x, z, yaw, pitch (radians), night, seed?, layout? } → "#p=…"
+function format(pose) {
+  const parts = [
+    `p=${fix(pose.x, 2)},${fix(pose.z, 2)}`,
+    `yaw=${fix(pose.yaw * DEG, 1)}`,
+    `pitch=${fix(pose.pitch * DEG, 1)}`,
+    `night=${pose.night ? 1 : 0}`
+  ];
+  if (pose.seed !== null && pose.seed !== undefined) parts.push(`seed=${encodeURIComponent(pose.seed)}`);
+  else if (pose.layout) parts.push(`layout=${encodeURIComponent(pose.layout)}`);
+  return "#" + parts.join("&");
+}
+
+// "#p=…" → pose, or null when the hash isn't a viewpoint link
+function parse(hash) {
+  const q = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const parts = (q.get("p") || "").split(",");
+  // Number("") is 0, so an empty coordinate would otherwise land on the origin
+  if (parts.length !== 2 || parts.some((v) => v.trim() === "")) return null;
+  const p = parts.map(Number);
+  if (!p.every(Number.isFinite)) return null;
+
+  const angle = (name, lo, hi) => {
+    const v = Number(q.get(name) || 0);
+    return Number.isFinite(v) ? Math.max(lo, Math.min(hi, v)) / DEG : 0;
+  };
+  return {
+    x: p[0],
+    z: p[1],
+    yaw: angle("yaw", -360, 360),
+    pitch: angle("pitch", -89, 89),
+    night: q.has("night") ? q.get("night") === "1" : null,   // null = leave the clock alone
+    seed: q.get("seed"),
+    layout: q.get("layout")
+  };
+}
+
+export { format, parse };
@@ -0,0 +1,51 @@
+// ========= Player state persistence (localStorage) =========
+// What survives a reload: where you stand, where you look, the time of day and
+// the flashlight. Saved per town (layout name or seed) so a position from one
+// town never drops you into a wall of another.
+
+const KEY = "town3d.player.v1";
+const STATE_VERSION = 1;
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// Returns a clean state object, or null if `raw` isn't one we wrote.
+function sanitize(raw) {
+  if (!raw || raw.v !== STATE_VERSION || typeof raw.town !== "string") return null;
+  if (!raw.pos || !isNum(raw.pos.x) || !isNum(raw.pos.z)) return null;
+  if (!isNum(raw.yaw) || !isNum(raw.pitch)) return null;
+
+  return {
+    v: STATE_VERSION,
+    town: raw.town,
+    pos: { x: raw.pos.x, z: raw.pos.z },
+    yaw: raw.yaw,
+    pitch: Math.max(-Math.PI / 2, Math.min(Math.PI / 2, raw.pitch)),
+    hour: isNum(raw.hour) ? raw.hour : null,
+    nightMode: raw.nightMode === true,
+    flashlightOn: raw.flashlightOn === true
+  };
+}
+
+function load(storage, town) {
+  try {
+    const state = sanitize(JSON.parse(storage.getItem(KEY)));
+    return state && state.town === town ? state : null;
+  } catch (err) {
+    return null; // storage disabled (private mode) or garbage in the key
+  }
+}
+
+function save(storage, state) {
+  try {
+    storage.setItem(KEY, JSON.stringify(Object.assign({ v: STATE_VERSION }, state)));
+    return true;
+  } catch (err) {
+    return false; // quota / private mode: not worth surfacing
+  }
+}
+
+function clear(storage) {
+  try { storage.removeItem(KEY); } catch (err) { /* same as above */ }
+}
+
+export { KEY, load, save, clear, sanitize };
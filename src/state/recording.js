@@ -0,0 +1,115 @@
+// ========= Record / replay the player's input in the browser =========
+// R starts recording and R again downloads the JSON (src/physics/replay.js).
+// Dropping that file on the page — or opening ?replay=<url> — plays it back
+// through the same movement code; the badge says whether it ended on the
+// recorded spot.
+
+import * as Replay from "../physics/replay.js";
+import * as Sim from "../physics/sim.js";
+import { player, setRunner } from "../physics/player.js";
+import { town, refreshProps } from "../world/town.js";
+import { dayCycle, applyTimeOfDay } from "../lighting/lights.js";
+import { flashDbg } from "../ui/hud.js";
+import { townSeed, layoutName } from "./session.js";
+
+let recorder = null;
+let playback = null; // { rec, i, walkSpeed: the player's own, put back afterwards }
+
+const currentTown = () => (townSeed !== null ? { seed: townSeed } : { layout: layoutName });
+
+function download(rec) {
+  const blob = new Blob([JSON.stringify(rec)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `town3d-replay-${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+export function toggleRecording() {
+  if (playback) return;
+  if (recorder) {
+    const rec = recorder.finish(player.runner);
+    recorder = null;
+    download(rec);
+    flashDbg(`recorded ${rec.frames.length} frames`);
+    return;
+  }
+  recorder = new Replay.Recorder({
+    town: currentTown(), runner: player.runner, hour: dayCycle.hour, walkSpeed: player.walkSpeed,
+    props: town.interact ? town.interact.snapshot() : null
+  });
+  flashDbg("● recording (R to stop)");
+}
+
+export function startReplay(rec) {
+  try {
+    Replay.check(rec);
+  } catch (err) {
+    flashDbg(String(err.message).slice(0, 80));
+    return;
+  }
+  const here = currentTown();
+  if (rec.town.seed !== here.seed || rec.town.layout !== here.layout) {
+    const where = rec.town.seed !== undefined ? `?seed=${rec.town.seed}` : `?layout=${rec.town.layout}`;
+    flashDbg(`replay was recorded in another town — open ${where}`);
+    return;
+  }
+  recorder = null;
+  if (rec.hour !== null) {
+    dayCycle.hour = rec.hour;
+    applyTimeOfDay();
+  }
+  if (rec.start.props && town.interact) {
+    town.interact.restore(rec.start.props);
+    refreshProps();
+  }
+  setRunner(Replay.startRunner(rec));
+  playback = { rec, i: 0, walkSpeed: player.walkSpeed };
+  player.walkSpeed = rec.walkSpeed || Sim.PLAYER.walkSpeed;
+  flashDbg(`▶ replaying ${rec.frames.length} frames`);
+}
+
+export async function loadReplay(url) {
+  try {
+    const res = await fetch(url, { cache: "no-cache" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    startReplay(await res.json());
+  } catch (err) {
+    flashDbg(`replay ${url}: ${String(err.message || err).slice(0, 60)}`);
+  }
+}
+
+export function isRecording() {
+  return !!recorder;
+}
+
+export function isReplaying() {
+  return !!playback;
+}
+
+// The frame to run this time: the next recorded one while replaying,
+// otherwise the live one (kept if recording)
+export function nextFrame(live) {
+  if (playback) {
+    const { rec } = playback;
+    if (playback.i < rec.frames.length) return Replay.decodeFrame(rec.frames[playback.i++]);
+    player.walkSpeed = playback.walkSpeed;
+    playback = null;
+    if (rec.end) flashDbg(Replay.sameState(player.runner.state, rec.end) ? "replay done — same end spot" : "replay done — DIVERGED");
+    else flashDbg("replay done");
+  }
+  if (recorder) recorder.add(live);
+  return live;
+}
+
+// Drop a recording anywhere on the page to play it
+window.addEventListener("dragover", (e) => e.preventDefault());
+window.addEventListener("drop", (e) => {
+  const file = e.dataTransfer && e.dataTransfer.files[0];
+  if (!file) return;
+  e.preventDefault();
+  file.text()
+    .then((text) => startReplay(JSON.parse(text)))
+    .catch((err) => flashDbg(`replay: ${String(err.message || err).slice(0, 60)}`));
+});
@@ -0,0 +1,141 @@
+// ========= Which town, and the player's place in it =========
+// Picks the town from the URL, saves / restores the player (src/state/persist.js)
+// and reads / writes viewpoint links (src/state/deeplink.js).
+
+import { params } from "../config.js";
+import * as Persist from "./persist.js";
+import * as DeepLink from "./deeplink.js";
+import { town } from "../world/town.js";
+import { player, lookAngles, setPose, placePlayer } from "../physics/player.js";
+import { freeSpot } from "../physics/sim.js";
+import { dayCycle, lighting, applyTimeOfDay, setFlashlight } from "../lighting/lights.js";
+import { flashDbg, updateButtons, showLink } from "../ui/hud.js";
+import { releaseLock } from "../input/mouse.js";
+
+// ?seed=<anything> → generated town (src/world/towngen.js); else ?layout=name → layouts/name.json.
+// A viewpoint link (#p=…&seed=… / &layout=…) picks the town instead.
+export const deepLink   = DeepLink.parse(location.hash);
+const linkTown          = !!deepLink && (deepLink.seed !== null || deepLink.layout !== null);
+export const townSeed   = linkTown ? deepLink.seed : params.get("seed");
+export const layoutName = (linkTown ? deepLink.layout : params.get("layout")) || "default";
+export const layoutUrl  = `layouts/${encodeURIComponent(layoutName)}.json`;
+
+// Saved every few seconds and when the tab hides; keyed per town.
+const townKey = townSeed !== null ? `seed:${townSeed}` : `layout:${layoutName}`;
+export const storage = (() => { try { return window.localStorage; } catch (err) { return null; } })();
+
+export function saveState() {
+  if (!town.layout) return; // nothing worth keeping before the town exists
+  const p = player.position;
+  const look = lookAngles();
+  Persist.save(storage, {
+    town: townKey,
+    pos: { x: p.x, z: p.z },
+    yaw: look.yaw,
+    pitch: look.pitch,
+    hour: dayCycle.hour,
+    nightMode: lighting.nightMode,
+    flashlightOn: lighting.flashlightOn
+  });
+}
+
+// The saved spot goes through freeSpot() like a link's: the town may have been
+// edited since, and a save can't be allowed to start you inside a wall
+function restoreState(st) {
+  const spot = freeSpot(town, st.pos.x, st.pos.z);
+  if (spot) setPose(spot.x, spot.z, st.yaw, st.pitch);
+  else flashDbg("no room where you left off; back at the spawn point");
+  if (st.hour !== null) dayCycle.hour = st.hour;
+  else if (st.nightMode !== dayCycle.night) dayCycle.skip();
+  setFlashlight(st.flashlightOn);
+  applyTimeOfDay();
+  updateButtons(lighting);
+}
+
+// A link's viewpoint, nudged out of anything solid there (a house moved since
+// the link was made, say); false, and nothing changes, with no room near it
+function applyPose(pose) {
+  const spot = freeSpot(town, pose.x, pose.z);
+  if (!spot) {
+    flashDbg("no room to stand where the link points");
+    return false;
+  }
+  setPose(spot.x, spot.z, pose.yaw, pose.pitch);
+  if (pose.night !== null && pose.night !== dayCycle.night) dayCycle.skip();
+  applyTimeOfDay();
+  updateButtons(lighting);
+  return true;
+}
+
+// Once used, a link leaves the address bar, so a reload restores the saved
+// spot rather than jumping back; the town it picked stays, as ?seed= / ?layout=
+function forgetLink() {
+  const q = new URLSearchParams(location.search);
+  if (linkTown) {
+    q.delete("seed");
+    q.delete("layout");
+    if (townSeed !== null) q.set("seed", townSeed);
+    else q.set("layout", layoutName);
+  }
+  const search = q.toString();
+  history.replaceState(null, "", `${location.pathname}${search ? "?" + search : ""}`);
+}
+
+// Once the town is built: the link's viewpoint wins, then the saved spot, then the spawn
+export function startSession() {
+  placePlayer(town.layout.spawn);
+  const saved = Persist.load(storage, townKey);
+  const linked = !!deepLink && applyPose(deepLink);
+  if (deepLink) forgetLink();
+  if (linked) saveState();
+  else if (saved) restoreState(saved);
+
+  setInterval(saveState, 2000);
+  window.addEventListener("pagehide", saveState);
+  document.addEventListener("visibilitychange", () => { if (document.hidden) saveState(); });
+}
+
+// Overlay "Reset position": back to the layout's spawn, forget the saved spot
+export function resetPosition() {
+  Persist.clear(storage);
+  if (town.layout) placePlayer(town.layout.spawn);
+}
+
+// ---------- Viewpoint links ----------
+function currentLink() {
+  const p = player.position;
+  const look = lookAngles();
+  const hash = DeepLink.format({
+    x: p.x, z: p.z, yaw: look.yaw, pitch: look.pitch, night: lighting.nightMode,
+    seed: townSeed, layout: townSeed === null ? layoutName : null
+  });
+  return `${location.origin}${location.pathname}${location.search}${hash}`;
+}
+
+export function copyLink() {
+  const url = currentLink();
+  // No clipboard (or no permission): hand the pointer back and show the link to copy
+  const showIt = () => {
+    releaseLock();
+    showLink(url);
+  };
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(() => flashDbg("link copied"), showIt);
+  } else {
+    showIt();
+  }
+}
+
+// Pasting a new link into the same tab: same town → just move; other town → reload
+window.addEventListener("hashchange", () => {
+  const pose = DeepLink.parse(location.hash);
+  if (!pose || !town.layout) return;
+  const sameTown = (pose.seed === null && pose.layout === null) ||
+    (pose.seed !== null ? pose.seed === townSeed : townSeed === null && pose.layout === layoutName);
+  if (!sameTown) {
+    location.reload();
+    return;
+  }
+  applyPose(pose);
+  forgetLink();
+});
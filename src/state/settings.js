@@ -0,0 +1,100 @@
+// ========= Control settings (localStorage) =========
+// Key bindings, look sensitivity, invert-Y, field of view, walking speed, the
+// gamepad sticks and whether sound is muted. Not per town: these follow the person, not the place.
+
+const KEY = "town3d.settings.v1";
+const SETTINGS_VERSION = 1;
+
+// Numeric settings: default and the range the panel offers (and load() clamps to)
+const RANGES = {
+  mouseSens: { def: 0.002,  min: 0.0005, max: 0.008 }, // radians per pixel under pointer lock
+  touchSens: { def: 0.0025, min: 0.0005, max: 0.01 },  // radians per pixel dragged on the look pad
+  padLook:   { def: 2.5,    min: 0.5,    max: 6 },     // radians per second at full right-stick tilt
+  deadzone:  { def: 0.15,   min: 0,      max: 0.5 },   // gamepad stick travel ignored, 0..1
+  fov:       { def: 75,     min: 50,     max: 110 },   // vertical, degrees
+  walkSpeed: { def: 6,      min: 2,      max: 12 }     // meters per second
+};
+
+// Action → [primary, alternate] KeyboardEvent.code; null leaves a slot empty
+const DEFAULT_KEYS = {
+  forward: ["KeyW", "ArrowUp"],
+  back:    ["KeyS", "ArrowDown"],
+  left:    ["KeyA", "ArrowLeft"],
+  right:   ["KeyD", "ArrowRight"],
+  sprint:  ["ShiftLeft", "ShiftRight"],
+  crouch:  ["KeyC", null],
+  jump:    ["Space", null],
+  use:     ["KeyE", null],
+  night:   ["KeyN", null],
+  flash:   ["KeyF", null],
+  map:     ["KeyM", null],
+  link:    ["KeyL", null],
+  record:  ["KeyR", null],
+  mute:    ["KeyV", null],
+  slower:  ["BracketLeft", null],
+  faster:  ["BracketRight", null]
+};
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const isCode = (v) => typeof v === "string" && /^[A-Za-z0-9]{1,24}$/.test(v);
+
+function defaults() {
+  const s = { v: SETTINGS_VERSION, invertY: false, muted: false, keys: {} };
+  for (const [name, r] of Object.entries(RANGES)) s[name] = r.def;
+  for (const [action, codes] of Object.entries(DEFAULT_KEYS)) s.keys[action] = codes.slice();
+  return s;
+}
+
+// Puts `code` in slot 0 or 1 of `action` (null clears the slot); a key does one
+// thing only, so it's taken off whatever action had it before.
+function rebind(keys, action, slot, code) {
+  if (code !== null) {
+    for (const codes of Object.values(keys)) {
+      for (let i = 0; i < codes.length; i++) if (codes[i] === code) codes[i] = null;
+    }
+  }
+  keys[action][slot] = code;
+  return keys;
+}
+
+// A full, clean settings object from whatever `raw` holds: missing or broken
+// fields fall back to their defaults, numbers are clamped to their ranges.
+function sanitize(raw) {
+  const s = defaults();
+  if (!raw || typeof raw !== "object" || raw.v !== SETTINGS_VERSION) return s;
+  for (const [name, r] of Object.entries(RANGES)) {
+    if (isNum(raw[name])) s[name] = Math.max(r.min, Math.min(r.max, raw[name]));
+  }
+  s.invertY = raw.invertY === true;
+  s.muted = raw.muted === true;
+  if (raw.keys && typeof raw.keys === "object") {
+    for (const action of Object.keys(DEFAULT_KEYS)) {
+      const codes = raw.keys[action];
+      if (!Array.isArray(codes)) continue;
+      s.keys[action] = [null, null];
+      for (let slot = 0; slot < 2; slot++) {
+        if (isCode(codes[slot])) rebind(s.keys, action, slot, codes[slot]);
+      }
+    }
+  }
+  return s;
+}
+
+function load(storage) {
+  try {
+    return sanitize(JSON.parse(storage.getItem(KEY)));
+  } catch (err) {
+    return defaults(); // storage disabled (private mode) or garbage in the key
+  }
+}
+
+function save(storage, settings) {
+  try {
+    storage.setItem(KEY, JSON.stringify(settings));
+    return true;
+  } catch (err) {
+    return false; // quota / private mode: not worth surfacing
+  }
+}
+
+export { KEY, RANGES, DEFAULT_KEYS, defaults, rebind, sanitize, load, save };
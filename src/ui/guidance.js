@@ -0,0 +1,254 @@
+/* global THREE */
+// ========= Guidance — "walk me to" a house =========
+// "Walk me to…" in the overlay lists the town's houses; picking one finds the
+// way to its front step over the navigation grid (src/world/navgrid.js) and
+// shows it with arrows along the ground or a marker floating over the door.
+// Wander more than a few meters off and a new way is found from where you
+// are. With "Walk me there" ticked the player is walked along it by the same
+// input a hand on the keys would give (src/physics/guide.js); touching the
+// controls takes over again. The grid is built on the first pick and again
+// after the town changes.
+
+import { isMobile } from "../config.js";
+import { scene } from "../renderer.js";
+import { town, groundY } from "../world/town.js";
+import { NavGrid } from "../world/navgrid.js";
+import { frontStep } from "../world/roadgraph.js";
+import { GUIDE, createGuide, updateGuide, pointAhead, steer } from "../physics/guide.js";
+import { bindButton, flashDbg, showNote } from "./hud.js";
+
+const ARROWS = isMobile ? 8 : 14;  // arrows on the ground ahead of you
+const ARROW_GAP = 1.5;             // meters between them
+const FLOW = 1.2;                  // m/s the arrows drift down the route
+const REROUTE_EVERY = 0.5;         // seconds between looks for a new way when off the route
+const COLOR = 0xffd54f;
+
+const state = {
+  grid: null,        // NavGrid for gridLayout
+  gridLayout: null,
+  house: -1,         // index of the house we're heading for, -1 when not guiding
+  guide: null,
+  style: "trail",    // "trail" | "marker"
+  autoWalk: false,
+  walking: false,    // auto-walk is moving the player right now
+  flow: 0,
+  sinceReroute: 0
+};
+
+// ---------- Scene: a pool of ground arrows and one floating marker ----------
+const guideMat = new THREE.MeshBasicMaterial({ color: COLOR, transparent: true, opacity: 0.85, depthWrite: false });
+
+// Flat chevron pointing down -Z, lying on y = 0
+const arrowGeo = (() => {
+  const s = new THREE.Shape();
+  s.moveTo(0, 0.45);
+  s.lineTo(0.38, -0.05);
+  s.lineTo(0.2, -0.05);
+  s.lineTo(0, 0.2);
+  s.lineTo(-0.2, -0.05);
+  s.lineTo(-0.38, -0.05);
+  s.closePath();
+  return new THREE.ShapeGeometry(s).rotateX(-Math.PI / 2);
+})();
+
+const arrows = Array.from({ length: ARROWS }, () => {
+  const m = new THREE.Mesh(arrowGeo, guideMat);
+  m.visible = false;
+  scene.add(m);
+  return m;
+});
+
+const marker = new THREE.Group();
+const gem = new THREE.Mesh(new THREE.OctahedronGeometry(0.35, 0).scale(1, 1.6, 1), guideMat);
+const ring = new THREE.Mesh(new THREE.RingGeometry(0.55, 0.75, 24).rotateX(-Math.PI / 2), guideMat);
+marker.add(gem, ring);
+marker.visible = false;
+scene.add(marker);
+
+function hideAll() {
+  for (const a of arrows) a.visible = false;
+  marker.visible = false;
+}
+
+// Arrows every ARROW_GAP meters from just ahead of the player, drifting along
+function placeArrows(g) {
+  arrows.forEach((a, i) => {
+    const ahead = 1 + state.flow + i * ARROW_GAP;
+    a.visible = ahead < g.remaining;
+    if (!a.visible) return;
+    const p = pointAhead(g, ahead);
+    a.position.set(p.x, groundY(p.x, p.z) + 0.1, p.z);
+    a.rotation.y = Math.atan2(-p.dx, -p.dz);
+  });
+}
+
+function placeMarker(g, t) {
+  const end = g.points[g.points.length - 1];
+  const y = groundY(end.x, end.z);
+  marker.position.set(end.x, y, end.z);
+  ring.position.y = 0.08;
+  gem.position.y = 2.6 + Math.sin(t * 2.5) * 0.15;
+  gem.rotation.y = t * 1.5;
+  marker.visible = true;
+}
+
+// ---------- Routes ----------
+function grid() {
+  if (state.gridLayout !== town.layout) {
+    state.grid = new NavGrid({ layout: town.layout, world: town.world, terrain: town.terrain });
+    state.gridLayout = town.layout;
+  }
+  return state.grid;
+}
+
+// A new way from (x, z) to the house's front step, or null
+function routeFrom(x, z) {
+  const step = frontStep(town.layout.houses[state.house]);
+  const route = grid().findPath(x, z, step.x, step.z);
+  return route && createGuide(route);
+}
+
+export function guiding() {
+  return state.house >= 0;
+}
+
+export function stopGuidance() {
+  state.house = -1;
+  state.guide = null;
+  state.walking = false;
+  hideAll();
+}
+
+// The town was rebuilt: forget the grid (and where we were going)
+export function resetGuidance() {
+  stopGuidance();
+  state.grid = state.gridLayout = null;
+}
+
+// Points of the way still to go, for the minimap, or null
+export function guideRoute() {
+  const g = state.guide;
+  if (!g) return null;
+  const here = pointAhead(g, 0);
+  return [here, ...g.points.slice(g.seg + 1)];
+}
+
+function start(index, from) {
+  state.house = index;
+  state.guide = routeFrom(from.x, from.z);
+  if (!state.guide) {
+    stopGuidance();
+    flashDbg("no way there from here");
+    return false;
+  }
+  state.walking = state.autoWalk;
+  state.sinceReroute = 0;
+  return true;
+}
+
+// Once a frame. me: { x, z, yaw } of the player; handsOn: the player is
+// moving by hand this frame. Returns auto-walk input ({ move, turn }, turn
+// being look yaw) while it's walking, otherwise null.
+export function updateGuidance(dt, me, handsOn) {
+  const g = state.guide;
+  if (!g) return null;
+  updateGuide(g, me.x, me.z, dt);
+  if (g.arrived) {
+    showNote(`You're at house ${state.house + 1}.`);
+    stopGuidance();
+    return null;
+  }
+
+  state.sinceReroute += dt;
+  if (g.off > GUIDE.offRoute && state.sinceReroute >= REROUTE_EVERY) {
+    state.sinceReroute = 0;
+    const again = routeFrom(me.x, me.z);
+    if (again) state.guide = updateGuide(again, me.x, me.z);
+  }
+
+  const now = state.guide;
+  state.flow = (state.flow + dt * FLOW) % ARROW_GAP;
+  if (state.style === "trail") {
+    marker.visible = false;
+    placeArrows(now);
+  } else {
+    for (const a of arrows) a.visible = false;
+    placeMarker(now, performance.now() / 1000);
+  }
+
+  if (handsOn) state.walking = false;
+  if (!state.walking) return null;
+  if (now.stuck > GUIDE.stuckTime) {
+    state.walking = false;
+    flashDbg("auto-walk stopped: something's in the way");
+    return null;
+  }
+  return steer(now, me, dt);
+}
+
+// ---------- Panel (inside the overlay) ----------
+const el = (tag, props = {}, ...children) => {
+  const node = Object.assign(document.createElement(tag), props);
+  node.append(...children);
+  return node;
+};
+
+// root: the (hidden) panel; toggle: the button that opens and closes it;
+// where(): the player's { x, z }; onStart(): called once guidance begins
+export function initGuidance({ root, toggle, where, onStart }) {
+  if (!root) return;
+
+  // Clicks in here stay out of the game, except picking a house: on desktop
+  // that click goes on to lock the pointer and start walking
+  for (const type of ["click", "mousedown", "touchstart"]) {
+    root.addEventListener(type, (e) => {
+      if (!e.target.closest("[data-house]")) e.stopPropagation();
+    }, { passive: true });
+  }
+
+  function houseButton(h, i) {
+    const me = where();
+    const step = frontStep(h);
+    const far = Math.round(Math.hypot(step.x - me.x, step.z - me.z));
+    const swatch = el("span", { className: "guide-swatch" });
+    swatch.style.background = `#${h.color.toString(16).padStart(6, "0")}`;
+    const btn = el("button", { type: "button", className: "overlay-btn" + (i === state.house ? " active" : "") },
+      swatch, `House ${i + 1} · ${far} m`);
+    btn.dataset.house = i;
+    btn.addEventListener("click", () => {
+      if (start(i, where())) {
+        root.hidden = true;
+        onStart();
+      }
+    });
+    return btn;
+  }
+
+  function render() {
+    const houses = town.layout ? town.layout.houses : [];
+    const style = el("button", { type: "button", className: "overlay-btn",
+      textContent: state.style === "trail" ? "Show: arrows on the ground" : "Show: marker over the door" });
+    style.addEventListener("click", () => {
+      state.style = state.style === "trail" ? "marker" : "trail";
+      render();
+    });
+    const auto = el("input", { type: "checkbox", checked: state.autoWalk });
+    auto.addEventListener("change", () => { state.autoWalk = auto.checked; });
+    const stop = el("button", { type: "button", className: "overlay-btn", textContent: "Stop guiding" });
+    stop.addEventListener("click", () => {
+      stopGuidance();
+      render();
+    });
+    root.replaceChildren(
+      el("h2", { textContent: "Walk me to…" }),
+      el("div", { className: "guide-houses" }, ...houses.map(houseButton)),
+      el("label", { className: "settings-row" }, el("span", { textContent: "Walk me there" }), auto),
+      el("div", { className: "overlay-actions" }, style, ...(guiding() ? [stop] : []))
+    );
+  }
+
+  bindButton(toggle, () => {
+    root.hidden = !root.hidden;
+    if (!root.hidden) render();
+  });
+}
@@ -0,0 +1,135 @@
+// ========= HUD: debug badge, overlay, on-screen buttons =========
+
+import { VERSION, isMobile } from "../config.js";
+
+const dbg   = document.getElementById("dbg");
+const ui    = document.getElementById("ui");
+const touch = document.getElementById("touch-ui");
+
+export const buttons = {
+  jump:  document.getElementById("jump-btn"),
+  crouch: document.getElementById("crouch-btn"),
+  use:   document.getElementById("use-btn"),
+  night: document.getElementById("night-btn"),
+  flash: document.getElementById("flash-btn"),
+  map:   document.getElementById("map-btn"),
+  menu:  document.getElementById("menu-btn"),
+  reset: document.getElementById("reset-btn"),
+  link:  document.getElementById("link-btn"),
+  settings: document.getElementById("settings-btn"),
+  edit:  document.getElementById("edit-btn"),
+  guide: document.getElementById("guide-btn"),
+  sound: document.getElementById("sound-btn")
+};
+
+// --- debug badge catches any runtime error so builders don’t fail silently ---
+window.addEventListener("error", (e) => {
+  if (dbg) dbg.textContent = `ERR: ${String(e.message || e).slice(0, 80)}`;
+});
+if (dbg) dbg.textContent = `mode: ${isMobile ? "mobile" : "desktop"} • ${VERSION}`;
+
+export function setBadge(text) {
+  if (dbg) dbg.textContent = text;
+}
+
+export function appendBadge(text) {
+  if (dbg) dbg.textContent += text;
+}
+
+// Show a short message in the debug badge, then put the old text back
+let dbgRestore = null;
+export function flashDbg(msg) {
+  if (!dbg) return;
+  if (dbgRestore) clearTimeout(dbgRestore.timer);
+  const prev = dbgRestore ? dbgRestore.text : dbg.textContent;
+  dbg.textContent = msg;
+  dbgRestore = {
+    text: prev,
+    timer: setTimeout(() => {
+      if (dbg.textContent === msg) dbg.textContent = prev;
+      dbgRestore = null;
+    }, 1800)
+  };
+}
+
+// Toggle buttons light up while their mode is on
+export function updateButtons({ nightMode, flashlightOn }) {
+  if (buttons.night) buttons.night.classList.toggle("active", nightMode);
+  if (buttons.flash) buttons.flash.classList.toggle("active", flashlightOn);
+}
+
+export function updateSoundButton(muted) {
+  if (!buttons.sound) return;
+  buttons.sound.textContent = muted ? "Sound: off" : "Sound: on";
+}
+
+// What E would do to the thing under the crosshair ("E — Open door"), or null to hide it
+const prompt = document.getElementById("prompt");
+export function updatePrompt(text) {
+  if (!prompt) return;
+  prompt.style.display = text ? "block" : "none";
+  if (text && prompt.textContent !== text) prompt.textContent = text;
+}
+
+// A few seconds of text in the middle of the screen (mailboxes)
+const note = document.getElementById("note");
+let noteTimer = null;
+export function showNote(text) {
+  if (!note) return;
+  clearTimeout(noteTimer);
+  note.textContent = text;
+  note.style.display = "block";
+  noteTimer = setTimeout(() => { note.style.display = "none"; }, 5000);
+}
+
+// Stamina bar: hidden while full, red while winded
+const stamina = document.getElementById("stamina");
+const staminaFill = stamina && stamina.querySelector(".fill");
+export function updateStamina({ stamina: v, winded }) {
+  if (!stamina) return;
+  stamina.style.display = v < 1 ? "block" : "none";
+  staminaFill.style.width = `${Math.round(v * 100)}%`;
+  stamina.classList.toggle("winded", winded);
+}
+
+function eat(e) { e.preventDefault(); e.stopPropagation(); e.stopImmediatePropagation?.(); }
+
+// Works for taps and clicks alike, and never lets the press reach the look pad / body
+export function bindButton(el, handler) {
+  if (!el) return;
+  el.addEventListener("touchstart", eat, { passive: false });
+  el.addEventListener("touchend",   (e) => { eat(e); handler(); }, { passive: false });
+  el.addEventListener("click",      (e) => { eat(e); handler(); });
+}
+
+// A link the clipboard wouldn't take, shown in the overlay and selected for copying by hand
+const linkOut = document.getElementById("link-out");
+if (linkOut) {
+  for (const type of ["click", "mousedown", "touchstart"]) {
+    linkOut.addEventListener(type, (e) => e.stopPropagation(), { passive: true });
+  }
+}
+export function showLink(url) {
+  if (!linkOut) return;
+  showOverlay();
+  linkOut.value = url;
+  linkOut.hidden = false;
+  linkOut.focus();
+  linkOut.select();
+}
+
+// ---------- Overlay ----------
+export function overlayVisible() {
+  return !!ui && ui.style.display !== "none";
+}
+
+export function showOverlay() {
+  if (ui) ui.style.display = "block";
+}
+
+// Hiding the overlay on a phone hands the screen to the stick / look pad
+export function hideOverlay() {
+  if (ui) ui.style.display = "none";
+  if (linkOut) linkOut.hidden = true;
+  if (isMobile && touch) touch.style.display = "block";
+}
@@ -0,0 +1,190 @@
+// ========= Minimap — top-down 2D view of the layout =========
+// The static part (water, paths, roads, houses, trees, lamps) is painted once
+// into an offscreen canvas from the same layout data the 3D builders use; each
+// frame only blits a window of it and draws the player arrow on top.
+// Modes: "small" (corner, follows you), "full" (whole town), "off".
+
+import { turn, frontSize } from "../world/walls.js";
+import { SPECIES } from "../world/vegetation.js";
+import { roadNetwork } from "../world/roadgraph.js";
+
+const PX_PER_M = 4;     // resolution of the cached static layer
+const SMALL_SPAN = 60;  // meters across the small map
+const COLORS = {
+  grass: "#87b86a", water: "#86c5da", path: "#d9d2bd", road: "#6f7174",
+  house: "#f4efe6", roof: "#9b6a6c", door: "#6b4f3a",
+  tree: "#2f7d32", lamp: "#ffd27a", player: "#e53935", edge: "rgba(0,0,0,.35)", route: "#ffb300"
+};
+
+function layoutBounds(layout, lamps, margin = 8) {
+  let minX = Infinity, minZ = Infinity, maxX = -Infinity, maxZ = -Infinity;
+  const grow = (x, z, hw = 0, hd = 0) => {
+    minX = Math.min(minX, x - hw); maxX = Math.max(maxX, x + hw);
+    minZ = Math.min(minZ, z - hd); maxZ = Math.max(maxZ, z + hd);
+  };
+  for (const h of layout.houses) grow(h.x, h.z, h.w / 2, h.d / 2);
+  for (const p of layout.paths) grow(p.x, p.z, p.w / 2, p.d / 2);
+  for (const e of roadNetwork(layout).edges) for (const p of e.line) grow(p.x, p.z, e.width / 2 + e.sidewalk, e.width / 2 + e.sidewalk);
+  for (const t of layout.trees) grow(t.x, t.z);
+  for (const l of lamps) grow(l.x, l.z);
+  if (layout.water) grow(layout.water.x, layout.water.z, layout.water.w / 2, layout.water.d / 2);
+  grow(layout.spawn.x, layout.spawn.z);
+  return { minX: minX - margin, minZ: minZ - margin, maxX: maxX + margin, maxZ: maxZ + margin };
+}
+
+class Minimap {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.mode = "small";
+    this.layer = null;
+    this.bounds = null;
+  }
+
+  // Paint the static layer for a (normalized) layout plus lamp positions
+  setLayout(layout, lamps = []) {
+    const b = this.bounds = layoutBounds(layout, lamps);
+    const layer = this.layer = document.createElement("canvas");
+    layer.width  = Math.ceil((b.maxX - b.minX) * PX_PER_M);
+    layer.height = Math.ceil((b.maxZ - b.minZ) * PX_PER_M);
+    const g = layer.getContext("2d");
+    const X = (x) => (x - b.minX) * PX_PER_M;
+    const Z = (z) => (z - b.minZ) * PX_PER_M;
+    const rect = (r) => g.fillRect(X(r.x - r.w / 2), Z(r.z - r.d / 2), r.w * PX_PER_M, r.d * PX_PER_M);
+
+    g.fillStyle = COLORS.grass;
+    g.fillRect(0, 0, layer.width, layer.height);
+
+    if (layout.water) { g.fillStyle = COLORS.water; rect(layout.water); }
+    g.fillStyle = COLORS.path;
+    layout.paths.forEach(rect);
+
+    // roads: sidewalks under asphalt, both as thick lines down the middle
+    const roads = roadNetwork(layout);
+    const line = (pts) => {
+      g.beginPath();
+      pts.forEach((p, i) => (i ? g.lineTo(X(p.x), Z(p.z)) : g.moveTo(X(p.x), Z(p.z))));
+    };
+    g.lineJoin = "round";
+    for (const [color, width] of [[COLORS.path, (e) => e.width + 2 * e.sidewalk], [COLORS.road, (e) => e.width]]) {
+      g.strokeStyle = g.fillStyle = color;
+      for (const e of roads.edges) {
+        g.lineWidth = width(e) * PX_PER_M;
+        line(e.line);
+        g.stroke();
+      }
+      for (const p of roads.patches) {
+        line(color === COLORS.path ? p.walk : p.road);
+        g.fill();
+      }
+    }
+
+    for (const h of layout.houses) {
+      g.fillStyle = h.roofColor !== undefined ? `#${h.roofColor.toString(16).padStart(6, "0")}` : COLORS.roof;
+      rect(h);
+      g.fillStyle = COLORS.house;
+      rect({ x: h.x, z: h.z, w: h.w - 0.6, d: h.d - 0.6 });
+      g.fillStyle = COLORS.door;                       // on the side the house faces
+      const door = turn(0, frontSize(h).d / 2 - 0.15, h.facing);
+      const [dw, dd] = h.facing === "east" || h.facing === "west" ? [0.5, 1.6] : [1.6, 0.5];
+      rect({ x: h.x + door.x, z: h.z + door.z, w: dw, d: dd });
+    }
+
+    g.fillStyle = COLORS.tree;
+    for (const t of layout.trees) {
+      g.beginPath();
+      g.arc(X(t.x), Z(t.z), SPECIES[t.kind].spread * 0.9 * PX_PER_M, 0, Math.PI * 2);
+      g.fill();
+    }
+    g.fillStyle = COLORS.lamp;
+    for (const l of lamps) {
+      g.beginPath();
+      g.arc(X(l.x), Z(l.z), 0.35 * PX_PER_M, 0, Math.PI * 2);
+      g.fill();
+    }
+  }
+
+  // "small" → "full" → "off" → "small"
+  cycle() {
+    this.mode = this.mode === "small" ? "full" : this.mode === "full" ? "off" : "small";
+    this.canvas.classList.toggle("full", this.mode === "full");
+    this.canvas.style.display = this.mode === "off" ? "none" : "block";
+    return this.mode;
+  }
+
+  toggleFull() {
+    this.mode = this.mode === "full" ? "small" : "full";
+    this.canvas.classList.toggle("full", this.mode === "full");
+    this.canvas.style.display = "block";
+  }
+
+  // player: { x, z, yaw } — yaw 0 looks down -Z (north / up on the map);
+  // route: [{ x, z }] still to walk while guiding (src/ui/guidance.js), or null
+  draw(player, route = null) {
+    if (this.mode === "off" || !this.layer) return;
+    const c = this.canvas, ctx = this.ctx, b = this.bounds;
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    const w = Math.round(c.clientWidth * dpr), h = Math.round(c.clientHeight * dpr);
+    if (c.width !== w || c.height !== h) { c.width = w; c.height = h; }
+
+    // meters → screen pixels, and which world point sits at the canvas center
+    let scale, cx, cz;
+    if (this.mode === "full") {
+      scale = Math.min(w / (b.maxX - b.minX), h / (b.maxZ - b.minZ));
+      cx = (b.minX + b.maxX) / 2;
+      cz = (b.minZ + b.maxZ) / 2;
+    } else {
+      scale = Math.min(w, h) / SMALL_SPAN;
+      cx = player.x;
+      cz = player.z;
+    }
+
+    ctx.fillStyle = COLORS.grass;
+    ctx.fillRect(0, 0, w, h);
+    const k = scale / PX_PER_M;
+    ctx.drawImage(this.layer,
+      w / 2 + (b.minX - cx) * scale, h / 2 + (b.minZ - cz) * scale,
+      this.layer.width * k, this.layer.height * k);
+
+    if (route) {
+      ctx.strokeStyle = COLORS.route;
+      ctx.lineWidth = 3 * dpr;
+      ctx.setLineDash([6 * dpr, 4 * dpr]);
+      ctx.beginPath();
+      route.forEach((q, i) => {
+        const sx = w / 2 + (q.x - cx) * scale;
+        const sz = h / 2 + (q.z - cz) * scale;
+        if (i) ctx.lineTo(sx, sz);
+        else ctx.moveTo(sx, sz);
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    // player arrow
+    const px = w / 2 + (player.x - cx) * scale;
+    const pz = h / 2 + (player.z - cz) * scale;
+    const s = 7 * dpr;
+    ctx.save();
+    ctx.translate(px, pz);
+    ctx.rotate(-player.yaw);
+    ctx.beginPath();
+    ctx.moveTo(0, -s * 1.4);
+    ctx.lineTo(s, s);
+    ctx.lineTo(0, s * 0.4);
+    ctx.lineTo(-s, s);
+    ctx.closePath();
+    ctx.fillStyle = COLORS.player;
+    ctx.strokeStyle = "#fff";
+    ctx.lineWidth = 1.5 * dpr;
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.strokeStyle = COLORS.edge;
+    ctx.lineWidth = 2 * dpr;
+    ctx.strokeRect(0, 0, w, h);
+  }
+}
+
+export { Minimap, layoutBounds };
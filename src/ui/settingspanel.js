@@ -0,0 +1,130 @@
+// ========= Settings panel (inside the overlay) =========
+// Sliders for look sensitivity, the gamepad sticks, field of view and walking
+// speed, invert-Y, and a row per key binding: click a key's button, then press
+// the new key (Esc cancels, Backspace clears the slot). Every change is handed
+// to onChange() right away, which applies and saves it.
+
+import { isMobile } from "../config.js";
+import * as Settings from "../state/settings.js";
+import { bindButton } from "./hud.js";
+
+const times = (name) => (v) => `${(v / Settings.RANGES[name].def).toFixed(2)}×`;
+
+// only: "desktop" / "mobile" hides a row on the other kind of device
+const SLIDERS = [
+  { name: "mouseSens", label: "Mouse look",          fmt: times("mouseSens"), only: "desktop" },
+  { name: "touchSens", label: "Touch look",          fmt: times("touchSens"), only: "mobile" },
+  { name: "padLook",   label: "Controller look",     fmt: times("padLook") },
+  { name: "deadzone",  label: "Controller deadzone", fmt: (v) => `${Math.round(v * 100)}%` },
+  { name: "fov",       label: "Field of view",       fmt: (v) => `${Math.round(v)}°` },
+  { name: "walkSpeed", label: "Walk speed",          fmt: (v) => `${v.toFixed(1)} m/s` }
+];
+
+const ACTION_LABELS = {
+  forward: "Forward", back: "Back", left: "Strafe left", right: "Strafe right",
+  sprint: "Sprint (hold)", crouch: "Crouch (hold)",
+  jump: "Jump", use: "Use / interact", night: "Night / day", flash: "Flashlight", map: "Map",
+  link: "Copy link", record: "Record replay", mute: "Mute sound", slower: "Slower time", faster: "Faster time"
+};
+
+const ARROWS = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+const PUNCT = { BracketLeft: "[", BracketRight: "]", Semicolon: ";", Quote: "'", Comma: ",", Period: ".", Slash: "/", Backslash: "\\", Minus: "-", Equal: "=", Backquote: "`" };
+
+// KeyboardEvent.code → what's printed on the key
+export function keyName(code) {
+  if (!code) return "—";
+  if (ARROWS[code]) return ARROWS[code];
+  if (PUNCT[code]) return PUNCT[code];
+  const m = /^(?:Key|Digit)(.)$/.exec(code);
+  return m ? m[1] : code.replace(/(Left|Right)$/, " $1");
+}
+
+const el = (tag, props = {}, ...children) => {
+  const node = Object.assign(document.createElement(tag), props);
+  node.append(...children);
+  return node;
+};
+
+// root: the (hidden) panel element; toggle: the button that opens and closes it;
+// settings: the live object (src/state/settings.js), edited in place
+export function initSettingsPanel({ root, toggle, settings, onChange }) {
+  if (!root) return;
+  let capturing = null; // { action, slot } while waiting for a key
+
+  // Clicks in here must not reach the body (pointer lock) or the tap-to-start handler
+  for (const type of ["click", "mousedown", "touchstart"]) {
+    root.addEventListener(type, (e) => e.stopPropagation(), { passive: true });
+  }
+
+  // Catch the next key before the game's own handlers see it
+  window.addEventListener("keydown", (e) => {
+    if (!capturing) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    const { action, slot } = capturing;
+    capturing = null;
+    if (e.code === "Backspace" || e.code === "Delete") Settings.rebind(settings.keys, action, slot, null);
+    else if (e.code !== "Escape") Settings.rebind(settings.keys, action, slot, e.code);
+    render();
+    onChange();
+  }, { capture: true });
+
+  function slider({ name, label, fmt }) {
+    const r = Settings.RANGES[name];
+    const value = el("span", { className: "settings-value", textContent: fmt(settings[name]) });
+    const input = el("input", { type: "range", min: r.min, max: r.max, step: (r.max - r.min) / 100, value: settings[name] });
+    input.addEventListener("input", () => {
+      settings[name] = parseFloat(input.value);
+      value.textContent = fmt(settings[name]);
+      onChange();
+    });
+    return el("label", { className: "settings-row" }, el("span", { textContent: label }), input, value);
+  }
+
+  function checkbox(name, label) {
+    const input = el("input", { type: "checkbox", checked: settings[name] });
+    input.addEventListener("change", () => {
+      settings[name] = input.checked;
+      onChange();
+    });
+    return el("label", { className: "settings-row" }, el("span", { textContent: label }), input);
+  }
+
+  function keyRow(action) {
+    const slots = settings.keys[action].map((code, slot) => {
+      const waiting = capturing && capturing.action === action && capturing.slot === slot;
+      const btn = el("button", { type: "button", className: "key-btn" + (waiting ? " waiting" : ""), textContent: waiting ? "press a key…" : keyName(code) });
+      btn.addEventListener("click", () => {
+        capturing = waiting ? null : { action, slot };
+        render();
+      });
+      return btn;
+    });
+    return el("div", { className: "settings-row" }, el("span", { textContent: ACTION_LABELS[action] }), ...slots);
+  }
+
+  function render() {
+    const device = isMobile ? "mobile" : "desktop";
+    const reset = el("button", { type: "button", className: "overlay-btn", textContent: "Reset to defaults" });
+    reset.addEventListener("click", () => {
+      capturing = null;
+      Object.assign(settings, Settings.defaults());
+      render();
+      onChange();
+    });
+    root.replaceChildren(
+      el("h2", { textContent: "Settings" }),
+      ...SLIDERS.filter((s) => !s.only || s.only === device).map(slider),
+      checkbox("invertY", "Invert look up / down"),
+      // phones move with the stick, so there is nothing to rebind there
+      ...(isMobile ? [] : [el("h3", { textContent: "Keys" }), ...Object.keys(ACTION_LABELS).map(keyRow)]),
+      el("div", { className: "overlay-actions" }, reset)
+    );
+  }
+
+  bindButton(toggle, () => {
+    capturing = null;
+    root.hidden = !root.hidden;
+    if (!root.hidden) render();
+  });
+}
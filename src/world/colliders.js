@@ -0,0 +1,67 @@
+// ========= Solid parts of a layout → collision world =========
+// House walls and furniture are boxes, tree trunks, bushes and porch posts
+// cylinders, porch roofs boxes, lamp posts circles; flowers aren't solid. The browser builds its meshes next to these; replays and tests
+// build only these, from the same layout, and collide exactly the same.
+
+import { CollisionWorld } from "../physics/collision.js";
+import { houseColliders } from "./walls.js";
+import { porch } from "./houseparts.js";
+import { plantSolid } from "./vegetation.js";
+import * as Terrain from "./terrain.js";
+import { placeLamps } from "../lighting/lamps.js";
+import { layoutInteractables } from "./interactables.js";
+
+const POST_R  = 0.12;
+const PORCH_ROOF_T = 0.12;
+
+// Adds every solid of a normalized layout standing on `terrain` (already prepared for it)
+function addLayoutColliders(world, layout, terrain, lamps = placeLamps(layout)) {
+  for (const h of layout.houses) {
+    const y = terrain.heightAt(h.x, h.z);
+    for (const box of houseColliders(h, y)) world.addBox(box);
+    const p = porch(h);
+    if (!p) continue;
+    for (const post of p.posts) world.addCylinder({ x: post.x, z: post.z, r: post.r, y0: y, y1: y + p.roof.y, tag: "house" });
+    const { roof } = p;
+    world.addBox({ x: roof.x, z: roof.z, hx: roof.w / 2, hz: roof.d / 2, y0: y + roof.y, y1: y + roof.y + PORCH_ROOF_T, tag: "house" });
+  }
+  for (const t of layout.trees) {
+    const solid = plantSolid(t);
+    if (!solid) continue;
+    const y = terrain.heightAt(t.x, t.z);
+    world.addCylinder({ x: t.x, z: t.z, r: solid.r, y0: y, y1: y + solid.h, tag: "tree" });
+  }
+  for (const l of lamps) world.addCircle({ x: l.x, z: l.z, r: POST_R, tag: "lamp" });
+  return world;
+}
+
+// (x, z) → ceiling height over that point (a house's ground floor, a porch
+// roof), Infinity outdoors
+function ceilingLookup(layout, terrain) {
+  const rect = (r, y) => ({ x0: r.x - r.w / 2, x1: r.x + r.w / 2, z0: r.z - r.d / 2, z1: r.z + r.d / 2, y });
+  const rooms = layout.houses.flatMap((h) => {
+    const y = terrain.heightAt(h.x, h.z);
+    const p = porch(h);
+    return p ? [rect(h, y + h.h), rect(p.roof, y + p.roof.y)] : [rect(h, y + h.h)];
+  });
+  return (x, z) => {
+    for (const r of rooms) {
+      if (x > r.x0 && x < r.x1 && z > r.z0 && z < r.z1) return r.y;
+    }
+    return Infinity;
+  };
+}
+
+// Everything the player simulation needs for a layout (doors included), without a renderer.
+// Heightmap terrain needs an image decoder, so only noise / flat terrain works here.
+function headlessTown(layout) {
+  const spec = layout.terrain;
+  if (spec && spec.heightmap) throw new Error(`headless town: heightmap terrain (${spec.heightmap}) is browser-only`);
+  const hf = spec ? Terrain.fromNoise(spec) : Terrain.flat({ size: 220, resolution: 2 });
+  const terrain = Terrain.prepareForLayout(hf, layout);
+  const world = addLayoutColliders(new CollisionWorld({ cellSize: 4 }), layout, terrain);
+  const interact = layoutInteractables(world, layout, terrain);
+  return { layout, terrain, world, interact, ceilingAt: ceilingLookup(layout, terrain) };
+}
+
+export { addLayoutColliders, ceilingLookup, headlessTown };
@@ -0,0 +1,142 @@
+// ========= House parts as plain data: roofs, windows, chimneys, porches =========
+// Everything about a house's shape beyond its walls (src/world/walls.js):
+// roof triangles for pyramid, hip and gable roofs, where the windows go on
+// every wall and story, the chimney, and the porch in front of the door. The
+// builder (src/world/town.js) makes meshes from these; the porch posts and
+// porch roof are solid, so they're in the collision world and the ceiling
+// lookup too (src/world/colliders.js).
+// Roofs and chimneys are drawn "door on +Z" (x along the front, z back to
+// front, y up from the wall tops) and turned with the house; windows come out
+// in house-local coordinates (+X east, +Z south) like walls, and porches in
+// world coordinates, since everything from lamps to footsteps looks them up.
+
+import { DOOR_W, turn, facingAngle, frontSize, FACINGS } from "./walls.js";
+
+const ROOFS = ["pyramid", "hip", "gable"];
+const ROOF_PITCH = 0.7;   // rise per meter of run
+const EAVE = 0.3;         // roof overhang past the walls
+const WINDOW_W = 0.9;
+const WINDOW_H = 0.8;
+const WINDOW_GAP = 2.4;   // meters of wall per window when the layout doesn't say
+const CHIMNEY = 0.5;      // chimney width
+const PORCH_D = 1.8;      // porch depth out from the front wall
+const PORCH_W = 3.2;      // porch width, at most the front wall's
+const PORCH_H = 2.4;      // underside of the porch roof, lower on a low house
+const PORCH_POST_R = 0.08;
+
+// Height of the roof surface over (x, z), door on +Z, y from the wall tops.
+// Hip roofs slope the same on all four sides; pyramids meet in one point.
+function roofHeightAt(house, x, z) {
+  const { w, d } = frontSize(house);
+  const toSide = w / 2 - Math.abs(x);
+  const toFront = d / 2 - Math.abs(z);
+  switch (house.roof) {
+    case "gable": return toFront * ROOF_PITCH;
+    case "hip":   return Math.min(toSide, toFront) * ROOF_PITCH;
+    default: {
+      const rise = (Math.min(w, d) / 2) * ROOF_PITCH;
+      return Math.min(toSide / (w / 2), toFront / (d / 2)) * rise;
+    }
+  }
+}
+
+// Roof triangles ([[x, y, z] × 3], counter-clockwise seen from outside) and
+// the gable ends under a gable roof, which are wall, not roof. The eaves hang
+// EAVE past the walls, low enough that the roof still meets the wall tops.
+function roofTriangles(house) {
+  const { w, d } = frontSize(house);
+  const X = w / 2 + EAVE;
+  const Z = d / 2 + EAVE;
+  const low = -EAVE * ROOF_PITCH;
+  const corners = { fl: [-X, low, Z], fr: [X, low, Z], br: [X, low, -Z], bl: [-X, low, -Z] };
+  const { fl, fr, br, bl } = corners;
+  const quad = (a, b, c, e) => [[a, b, c], [a, c, e]];
+
+  if (house.roof === "gable") {
+    const top = (d / 2) * ROOF_PITCH;
+    const rl = [-X, top, 0];
+    const rr = [X, top, 0];
+    return {
+      faces: [...quad(fl, fr, rr, rl), ...quad(br, bl, rl, rr)],
+      gables: [[[-w / 2, 0, d / 2], [-w / 2, top, 0], [-w / 2, 0, -d / 2]], [[w / 2, 0, -d / 2], [w / 2, top, 0], [w / 2, 0, d / 2]]]
+    };
+  }
+  if (house.roof === "hip") {
+    // the ridge runs along the longer side, short of the ends by half the width
+    const top = (Math.min(w, d) / 2) * ROOF_PITCH;
+    const rx = Math.max(0, (w - d) / 2);
+    const rz = Math.max(0, (d - w) / 2);
+    const a = [-rx, top, -rz];
+    const b = rx || rz ? [rx, top, rz] : a; // square: it's a pyramid after all
+    const [front, back] = rx > 0 ? [[a, b], [b, a]] : [[b, b], [a, a]];
+    const [left, right] = rx > 0 ? [[a, a], [b, b]] : [[a, b], [b, a]];
+    return {
+      faces: [
+        ...quad(fl, fr, front[1], front[0]), ...quad(br, bl, back[1], back[0]),
+        ...quad(bl, fl, left[1], left[0]), ...quad(fr, br, right[1], right[0])
+      ].filter(([p, q, r]) => p !== q && q !== r && r !== p),
+      gables: []
+    };
+  }
+  const apex = [0, (Math.min(w, d) / 2) * ROOF_PITCH, 0];
+  return { faces: [[fl, fr, apex], [fr, br, apex], [br, bl, apex], [bl, fl, apex]], gables: [] };
+}
+
+// Chimney box { x, z, w, d, y0, y1 } (door on +Z, y from the wall tops) at the
+// back right, standing clear of the roof; null without one
+function chimney(house) {
+  if (!house.chimney) return null;
+  const { w, d } = frontSize(house);
+  const x = w / 2 - 0.9;
+  const z = -d / 4;
+  return { x, z, w: CHIMNEY, d: CHIMNEY, y0: 0, y1: roofHeightAt(house, x, z) + 0.7 };
+}
+
+// Every window: { x, y, z, ry } in house-local coordinates, y up from the
+// floor, ry the way it faces. `windows` per wall and story, or as many as fit;
+// the front wall's ground story gets one each side of the door instead
+// (none if the wall is too narrow).
+function windowSpots(house) {
+  const spots = [];
+  const stories = house.stories || 1;
+  for (const side of FACINGS) {
+    const wall = frontSize({ w: house.w, d: house.d, facing: side }); // its length, and twice its distance out
+    const count = house.windows ?? Math.max(1, Math.floor(wall.w / WINDOW_GAP));
+    const even = Array.from({ length: count }, (_, i) => -wall.w / 2 + ((i + 0.5) * wall.w) / count);
+    const beside = wall.w / 2 - DOOR_W / 2;
+    const byDoor = beside >= 1.1 && count > 0 ? [-1, 1].map((k) => k * (DOOR_W / 2 + beside / 2)) : [];
+    for (let story = 0; story < stories; story++) {
+      const y = story * house.h + Math.min(1.5, house.h - 0.6);
+      for (const along of side === house.facing && story === 0 ? byDoor : even) {
+        const o = turn(along, wall.d / 2 + 0.01, side);
+        spots.push({ x: o.x, y, z: o.z, ry: facingAngle(side) });
+      }
+    }
+  }
+  return spots;
+}
+
+// The porch in front of the door, in world coordinates: the deck rect, its
+// two posts { x, z, r } and the roof rect over them, its underside `y` above
+// the floor and below the eaves; null without one
+function porch(house) {
+  if (!house.porch) return null;
+  const front = frontSize(house);
+  const pw = Math.min(PORCH_W, front.w);
+  const sideways = house.facing === "east" || house.facing === "west";
+  const at = (x, z) => {
+    const o = turn(x, z, house.facing);
+    return { x: house.x + o.x, z: house.z + o.z };
+  };
+  const rect = (x, z, w, d) => Object.assign(at(x, z), sideways ? { w: d, d: w } : { w, d });
+  return {
+    deck: rect(0, front.d / 2 + PORCH_D / 2, pw, PORCH_D),
+    posts: [-1, 1].map((k) => Object.assign(at(k * (pw / 2 - 0.15), front.d / 2 + PORCH_D - 0.15), { r: PORCH_POST_R })),
+    roof: Object.assign(rect(0, front.d / 2 + PORCH_D / 2, pw + 0.3, PORCH_D + 0.15), { y: Math.min(PORCH_H, house.h - 0.2) })
+  };
+}
+
+export {
+  ROOFS, ROOF_PITCH, EAVE, WINDOW_W, WINDOW_H, PORCH_H,
+  roofHeightAt, roofTriangles, chimney, windowSpots, porch
+};
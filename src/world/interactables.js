@@ -0,0 +1,177 @@
+// ========= Things you can use: doors, light switches, mailboxes =========
+// Every house gets a door in its doorway (hinged on the left, open to begin
+// with), a light switch inside next to it and a mailbox out front. Look at one
+// within reach and press E: the target is a ray from the eyes along the view,
+// stopped by walls, and a door's collision box swings with it.
+// Pure math (no THREE / DOM) so replays and tests toggle doors exactly like
+// the browser does.
+
+import { WALL_T, DOOR_W, DOOR_H, turn, frontSize } from "./walls.js";
+import { penetration } from "../physics/collision.js";
+import { PLAYER, eyeHeight } from "../physics/sim.js";
+
+const REACH  = 2.2;   // meters from the eyes
+const DOOR_T = 0.06;  // door leaf thickness
+const SWITCH_Y = 1.2;
+const MAILBOX_H = 1.1;
+const NO_MAIL = "Nothing in the mailbox today.";
+
+// Box (x, z, hx, hz, y0, y1) the leaf fills: across the doorway when shut,
+// swung 90° into the room against its hinge when open
+function doorBox(d, open) {
+  const c = open ? turn(DOOR_T / 2, -DOOR_W / 2, d.facing) : turn(DOOR_W / 2, DOOR_T / 2, d.facing);
+  const alongX = open === sideways(d.facing);
+  return {
+    x: d.hingeX + c.x, z: d.hingeZ + c.z,
+    hx: alongX ? DOOR_W / 2 : DOOR_T / 2, hz: alongX ? DOOR_T / 2 : DOOR_W / 2,
+    y0: d.y, y1: d.y + DOOR_H
+  };
+}
+
+const sideways = (facing) => facing === "east" || facing === "west";
+
+// p moved by (x, z) drawn for a door on +Z, turned the way the house faces
+function step(p, x, z, facing) {
+  const o = turn(x, z, facing);
+  return { x: p.x + o.x, z: p.z + o.z };
+}
+
+// Where a ray (origin o, unit direction v) enters an axis-aligned box, or Infinity
+function rayBox(o, v, b) {
+  let near = 0;
+  let far = Infinity;
+  for (const [p, dir, lo, hi] of [
+    [o.x, v.x, b.x - b.hx, b.x + b.hx],
+    [o.y, v.y, b.y0, b.y1],
+    [o.z, v.z, b.z - b.hz, b.z + b.hz]
+  ]) {
+    if (Math.abs(dir) < 1e-9) {
+      if (p < lo || p > hi) return Infinity;
+      continue;
+    }
+    let t0 = (lo - p) / dir;
+    let t1 = (hi - p) / dir;
+    if (t0 > t1) [t0, t1] = [t1, t0];
+    near = Math.max(near, t0);
+    far = Math.min(far, t1);
+    if (near > far) return Infinity;
+  }
+  return near;
+}
+
+// Eyes and view direction of a sim state (src/physics/sim.js): forward is -Z at yaw 0
+function viewRay(s) {
+  const cp = Math.cos(s.pitch);
+  return {
+    o: { x: s.x, y: s.y + eyeHeight(s.crouch), z: s.z },
+    v: { x: -Math.sin(s.yaw) * cp, y: Math.sin(s.pitch), z: -Math.cos(s.yaw) * cp }
+  };
+}
+
+class Interactables {
+  constructor(world) {
+    this.world = world;
+    this.items = []; // { kind: "door" | "switch" | "mailbox", house, on, box, … }
+  }
+
+  // Door, switch and mailbox for a normalized layout house on `terrain`, on
+  // whichever side it faces
+  addHouse(house, index, terrain) {
+    const baseY = terrain.heightAt(house.x, house.z);
+    const facing = house.facing || "south";
+    const front = step(house, 0, frontSize(house).d / 2, facing);
+    const hinge = step(front, -DOOR_W / 2, -WALL_T, facing);
+    const door = { kind: "door", house: index, facing, on: true, hingeX: hinge.x, hingeZ: hinge.z, y: baseY };
+    door.shape = this.world.addBox(Object.assign(doorBox(door, true), { tag: "door" }));
+    door.box = door.shape;
+
+    const sw = step(step(front, DOOR_W / 2, -WALL_T, facing), 0.25, -0.02, facing);
+    const [shx, shz] = sideways(facing) ? [0.06, 0.1] : [0.1, 0.06];
+    const lightSwitch = {
+      kind: "switch", house: index, facing, on: false,
+      box: { x: sw.x, z: sw.z, hx: shx, hz: shz, y0: baseY + SWITCH_Y - 0.12, y1: baseY + SWITCH_Y + 0.12 }
+    };
+
+    const m = step(step(front, DOOR_W / 2, 0, facing), 0.9, 1, facing);
+    const my = terrain.heightAt(m.x, m.z);
+    const mailbox = {
+      kind: "mailbox", house: index, facing, on: false, text: house.mail || NO_MAIL,
+      box: { x: m.x, z: m.z, hx: 0.22, hz: 0.22, y0: my, y1: my + MAILBOX_H + 0.3 }
+    };
+    this.world.addCylinder({ x: m.x, z: m.z, r: 0.1, y0: my, y1: my + MAILBOX_H, tag: "mailbox" });
+
+    this.items.push(door, lightSwitch, mailbox);
+  }
+
+  // What the view of sim state `s` lands on within reach: { item, dist } or null.
+  // Walls, furniture and shut doors in front of it block the view.
+  target(s) {
+    const { o, v } = viewRay(s);
+    let best = null;
+    for (const item of this.items) {
+      const t = rayBox(o, v, item.box);
+      if (t <= REACH && (!best || t < best.dist)) best = { item, dist: t };
+    }
+    if (!best) return null;
+    for (const shape of this.world.query(o.x, o.z, REACH)) {
+      if (shape.kind !== "box" || shape === best.item.shape) continue;
+      if (rayBox(o, v, shape) < best.dist) return null;
+    }
+    return best;
+  }
+
+  // E with the view of sim state `s`: toggles the door or switch in front of
+  // you and returns it (mailboxes just come back to be read). null when
+  // there's nothing there, or a door would swing into you.
+  use(s) {
+    const hit = this.target(s);
+    if (!hit) return null;
+    const item = hit.item;
+    if (item.kind === "door") {
+      const swung = Object.assign({ kind: "box" }, doorBox(item, !item.on));
+      if (penetration(swung, s.x, s.z, PLAYER.radius)) return null; // it would swing into you
+      this.setDoor(item, !item.on);
+    } else if (item.kind === "switch") {
+      item.on = !item.on;
+    }
+    return item;
+  }
+
+  setDoor(item, open) {
+    item.on = open;
+    Object.assign(item.shape, doorBox(item, open));
+    this.world.update(item.shape);
+  }
+
+  // Which doors are open and lights on, for recordings and restoring them
+  snapshot() {
+    return this.items.map((item) => item.on);
+  }
+
+  restore(flags) {
+    this.items.forEach((item, i) => {
+      if (typeof flags[i] !== "boolean") return;
+      if (item.kind === "door") this.setDoor(item, flags[i]);
+      else item.on = flags[i];
+    });
+  }
+}
+
+// What pressing E on `item` would do, for the on-screen prompt
+function actionLabel(item) {
+  switch (item.kind) {
+    case "door":    return item.on ? "Close door" : "Open door";
+    case "switch":  return item.on ? "Switch the light off" : "Switch the light on";
+    case "mailbox": return "Read the mailbox";
+  }
+  return "Use";
+}
+
+// Every house's door, switch and mailbox, registered in `world`
+function layoutInteractables(world, layout, terrain) {
+  const props = new Interactables(world);
+  layout.houses.forEach((h, i) => props.addHouse(h, i, terrain));
+  return props;
+}
+
+export { REACH, DOOR_T, SWITCH_Y, MAILBOX_H, Interactables, actionLabel, layoutInteractables, rayBox, viewRay };
@@ -0,0 +1,390 @@
+// ========= Town layout format — load + validate =========
+// A layout is a plain JSON description of the town (see layouts/default.json).
+// No THREE / DOM in here so it can also be imported from Node.
+
+const LAYOUT_VERSION = 1;
+
+// --- schema: tiny declarative spec, enough for clear error paths ---
+const num   = (extra) => Object.assign({ type: "number" }, extra);
+const color = { type: "color" };
+
+const SCHEMA = {
+  type: "object",
+  required: ["version", "spawn", "houses", "trees", "paths"],
+  props: {
+    version: { type: "integer", min: 1 },
+    name:    { type: "string" },
+    spawn: {
+      type: "object",
+      required: ["x", "z"],
+      props: {
+        x: num(), z: num(),
+        lookAt: { type: "object", required: ["x", "z"], props: { x: num(), z: num() } }
+      }
+    },
+    water: {
+      type: "object",
+      nullable: true,
+      required: ["w", "d"],
+      props: { x: num(), z: num(), w: num({ min: 0.1 }), d: num({ min: 0.1 }), y: num() }
+    },
+    terrain: {
+      type: "object",
+      props: {
+        seed:       { type: "seed" },
+        heightmap:  { type: "string" },   // image URL; red channel = height
+        amplitude:  num({ min: 0 }),
+        scale:      num({ min: 1 }),
+        size:       num({ min: 10 }),
+        resolution: { type: "integer", min: 2, max: 513 }
+      }
+    },
+    houses: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["x", "z"],
+        props: {
+          x: num(), z: num(),
+          w: num({ min: 2.5 }), d: num({ min: 2.5 }), h: num({ min: 2.2 }),
+          color, roofColor: color,
+          facing: { type: "enum", values: ["south", "west", "north", "east"] }, // side with the front door; default south (+Z)
+          roof:    { type: "enum", values: ["pyramid", "hip", "gable"] },         // default pyramid
+          stories: { type: "integer", min: 1, max: 3 },  // h is per story; default 1
+          windows: { type: "integer", min: 0, max: 6 },  // per wall and story; default as many as fit
+          chimney: { type: "boolean" },
+          porch:   { type: "boolean" },                  // roofed porch in front of the door
+          mail: { type: "string" },   // what the mailbox out front says
+          interior: {
+            type: "object",
+            props: {
+              // partition walls in house-local coords; door = width of a centered doorway
+              walls: {
+                type: "array",
+                items: {
+                  type: "object",
+                  required: ["x1", "z1", "x2", "z2"],
+                  props: { x1: num(), z1: num(), x2: num(), z2: num(), door: num({ min: 0 }) }
+                }
+              },
+              furniture: {
+                type: "array",
+                items: {
+                  type: "object",
+                  required: ["x", "z", "w", "d", "h"],
+                  props: {
+                    x: num(), z: num(),
+                    w: num({ min: 0.1 }), d: num({ min: 0.1 }), h: num({ min: 0.1 }),
+                    y: num({ min: 0 }),   // raised off the floor (shelf, loft); default 0
+                    color
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    trees: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["x", "z"],
+        props: { x: num(), z: num(), kind: { type: "enum", values: ["conifer", "deciduous", "bush", "flowers"] } } // default conifer
+      }
+    },
+    // bushes and flower patches sprinkled over open ground (src/world/vegetation.js)
+    scatter: {
+      type: "object",
+      nullable: true,
+      required: ["count"],
+      props: { count: { type: "integer", min: 0, max: 5000 }, seed: { type: "seed" } }
+    },
+    paths: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["x", "z", "w", "d"],
+        props: { x: num(), z: num(), w: num({ min: 0.1 }), d: num({ min: 0.1 }) }
+      }
+    },
+    // road graph (src/world/roadgraph.js): named nodes, edges between them
+    roads: {
+      type: "object",
+      required: ["nodes", "edges"],
+      props: {
+        nodes: {
+          type: "array",
+          items: { type: "object", required: ["id", "x", "z"], props: { id: { type: "string" }, x: num(), z: num() } }
+        },
+        edges: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["from", "to"],
+            props: {
+              from: { type: "string" }, to: { type: "string" },
+              width:    num({ min: 1 }),   // road surface; default 4
+              sidewalk: num({ min: 0 }),   // each side; default 1
+              // points the road curves through on its way, in order
+              via: { type: "array", items: { type: "object", required: ["x", "z"], props: { x: num(), z: num() } } }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const HEX_RE = /^#?[0-9a-f]{6}$/i;
+
+function typeName(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v;
+}
+
+function check(spec, value, path, errors) {
+  if (value === null && spec.nullable) return;
+
+  switch (spec.type) {
+    case "integer":
+    case "number": {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push(`${path}: expected number, got ${typeName(value)}`);
+        return;
+      }
+      if (spec.type === "integer" && !Number.isInteger(value)) {
+        errors.push(`${path}: expected integer, got ${value}`);
+      }
+      if (spec.min !== undefined && value < spec.min) errors.push(`${path}: must be >= ${spec.min} (got ${value})`);
+      if (spec.max !== undefined && value > spec.max) errors.push(`${path}: must be <= ${spec.max} (got ${value})`);
+      return;
+    }
+    case "string":
+      if (typeof value !== "string") errors.push(`${path}: expected string, got ${typeName(value)}`);
+      return;
+    case "enum":
+      if (!spec.values.includes(value)) errors.push(`${path}: expected one of ${spec.values.join(", ")}, got ${JSON.stringify(value)}`);
+      return;
+    case "boolean":
+      if (typeof value !== "boolean") errors.push(`${path}: expected boolean, got ${typeName(value)}`);
+      return;
+    case "seed":
+      if (typeof value === "string" || (typeof value === "number" && Number.isFinite(value))) return;
+      errors.push(`${path}: expected number or string, got ${typeName(value)}`);
+      return;
+    case "color":
+      if (typeof value === "number" && Number.isInteger(value) && value >= 0 && value <= 0xffffff) return;
+      if (typeof value === "string" && HEX_RE.test(value)) return;
+      errors.push(`${path}: expected color "#rrggbb", got ${JSON.stringify(value)}`);
+      return;
+    case "array":
+      if (!Array.isArray(value)) {
+        errors.push(`${path}: expected array, got ${typeName(value)}`);
+        return;
+      }
+      value.forEach((item, i) => check(spec.items, item, `${path}[${i}]`, errors));
+      return;
+    case "object": {
+      if (typeName(value) !== "object") {
+        errors.push(`${path}: expected object, got ${typeName(value)}`);
+        return;
+      }
+      for (const key of spec.required || []) {
+        if (!(key in value)) errors.push(`${path ? path + "." : ""}${key}: missing`);
+      }
+      for (const key of Object.keys(value)) {
+        const sub = spec.props && spec.props[key];
+        const at  = path ? `${path}.${key}` : key;
+        if (!sub) { errors.push(`${at}: unknown field`); continue; }
+        check(sub, value[key], at, errors);
+      }
+      return;
+    }
+  }
+}
+
+// Checks the schema can't express: interior pieces must be axis-aligned and inside the house.
+function checkInterior(house, path, errors) {
+  const hw = (house.w ?? 4) / 2;
+  const hd = (house.d ?? 4) / 2;
+  const inside = (x, z) => Math.abs(x) <= hw && Math.abs(z) <= hd;
+
+  (house.interior.walls || []).forEach((wl, i) => {
+    const at = `${path}.interior.walls[${i}]`;
+    if (wl.x1 !== wl.x2 && wl.z1 !== wl.z2) errors.push(`${at}: walls must be axis-aligned (x1 = x2 or z1 = z2)`);
+    if (!inside(wl.x1, wl.z1) || !inside(wl.x2, wl.z2)) errors.push(`${at}: wall ends outside the ${hw * 2}×${hd * 2} house`);
+    const len = Math.hypot(wl.x2 - wl.x1, wl.z2 - wl.z1);
+    if ((wl.door || 0) >= len) errors.push(`${at}: door (${wl.door}) is wider than the wall (${len})`);
+  });
+  (house.interior.furniture || []).forEach((f, i) => {
+    if (!inside(f.x - f.w / 2, f.z - f.d / 2) || !inside(f.x + f.w / 2, f.z + f.d / 2)) {
+      errors.push(`${path}.interior.furniture[${i}]: sticks out of the house`);
+    }
+    if ((f.y || 0) + f.h > (house.h ?? 2.6)) errors.push(`${path}.interior.furniture[${i}]: pokes through the ceiling`);
+  });
+}
+
+// Road node ids must be unique, and every edge must join two different ones.
+function checkRoads(roads, errors) {
+  const ids = new Set();
+  roads.nodes.forEach((n, i) => {
+    if (ids.has(n.id)) errors.push(`roads.nodes[${i}]: id "${n.id}" is taken`);
+    ids.add(n.id);
+  });
+  roads.edges.forEach((e, i) => {
+    for (const end of ["from", "to"]) {
+      if (!ids.has(e[end])) errors.push(`roads.edges[${i}].${end}: no node "${e[end]}"`);
+    }
+    if (e.from === e.to) errors.push(`roads.edges[${i}]: goes from "${e.from}" back to itself`);
+  });
+}
+
+// Returns a list of human-readable problems; empty list = valid.
+function validate(layout) {
+  const errors = [];
+  check(SCHEMA, layout, "", errors);
+  if (!errors.length) {
+    layout.houses.forEach((h, i) => { if (h.interior) checkInterior(h, `houses[${i}]`, errors); });
+    if (layout.roads) checkRoads(layout.roads, errors);
+  }
+  if (layout && Number.isInteger(layout.version) && layout.version > LAYOUT_VERSION) {
+    errors.unshift(`version: layout v${layout.version} is newer than this build (v${LAYOUT_VERSION})`);
+  }
+  return errors;
+}
+
+function toColor(v, fallback) {
+  if (v === undefined) return fallback;
+  if (typeof v === "number") return v;
+  return parseInt(v.replace("#", ""), 16);
+}
+
+// Fills defaults and turns color strings into 0xRRGGBB numbers for the builders.
+function normalize(layout) {
+  const water = layout.water === undefined ? { w: 110, d: 110 } : layout.water;
+  return {
+    version: layout.version,
+    name: layout.name || "untitled",
+    spawn: {
+      x: layout.spawn.x,
+      z: layout.spawn.z,
+      lookAt: layout.spawn.lookAt ? { x: layout.spawn.lookAt.x, z: layout.spawn.lookAt.z } : { x: 0, z: 0 }
+    },
+    terrain: layout.terrain ? {
+      seed: layout.terrain.seed ?? 1,
+      heightmap: layout.terrain.heightmap || null,
+      amplitude: layout.terrain.amplitude ?? 3,
+      scale: layout.terrain.scale ?? 28,
+      size: layout.terrain.size ?? 220,
+      resolution: layout.terrain.resolution ?? 111
+    } : null,
+    water: water && { x: water.x || 0, z: water.z || 0, w: water.w, d: water.d, y: water.y ?? 0.05 },
+    houses: layout.houses.map((h) => ({
+      x: h.x, z: h.z,
+      w: h.w ?? 4, d: h.d ?? 4, h: h.h ?? 2.6,
+      color: toColor(h.color, 0xe5d3b3),
+      roofColor: toColor(h.roofColor, 0x9b6a6c),
+      facing: h.facing || "south",
+      roof: h.roof || "pyramid",
+      stories: h.stories ?? 1,
+      windows: h.windows ?? null, // null: as many as fit
+      chimney: !!h.chimney,
+      porch: !!h.porch,
+      mail: h.mail || null,
+      interior: h.interior ? {
+        walls: (h.interior.walls || []).map((wl) => ({ x1: wl.x1, z1: wl.z1, x2: wl.x2, z2: wl.z2, door: wl.door || 0 })),
+        furniture: (h.interior.furniture || []).map((f) => ({
+          x: f.x, z: f.z, y: f.y || 0, w: f.w, d: f.d, h: f.h, color: toColor(f.color, 0x9c7b5b)
+        }))
+      } : null
+    })),
+    trees: layout.trees.map((t) => ({ x: t.x, z: t.z, kind: t.kind || "conifer" })),
+    scatter: layout.scatter ? { count: layout.scatter.count, seed: layout.scatter.seed ?? 1 } : null,
+    paths: layout.paths.map((p) => ({ x: p.x, z: p.z, w: p.w, d: p.d })),
+    roads: layout.roads ? {
+      nodes: layout.roads.nodes.map((n) => ({ id: n.id, x: n.x, z: n.z })),
+      edges: layout.roads.edges.map((e) => ({
+        from: e.from, to: e.to, width: e.width ?? 4, sidewalk: e.sidewalk ?? 1, via: (e.via || []).map((v) => ({ x: v.x, z: v.z }))
+      }))
+    } : null
+  };
+}
+
+const toHex = (c) => `#${c.toString(16).padStart(6, "0")}`;
+
+// A normalized layout back in the file format: colors as "#rrggbb" strings,
+// empty optional entries left out. parse(serialize(layout)) gives layout again.
+function serialize(layout) {
+  const { spawn, terrain, water } = layout;
+  const out = {
+    version: layout.version,
+    name: layout.name,
+    spawn: { x: spawn.x, z: spawn.z, lookAt: { x: spawn.lookAt.x, z: spawn.lookAt.z } }
+  };
+  if (terrain) {
+    out.terrain = { seed: terrain.seed, amplitude: terrain.amplitude, scale: terrain.scale, size: terrain.size, resolution: terrain.resolution };
+    if (terrain.heightmap) out.terrain.heightmap = terrain.heightmap;
+  }
+  out.water = water && { x: water.x, z: water.z, w: water.w, d: water.d, y: water.y }; // null: no pond (left out means the default one)
+  out.houses = layout.houses.map((h) => {
+    const house = { x: h.x, z: h.z, w: h.w, d: h.d, h: h.h, color: toHex(h.color), roofColor: toHex(h.roofColor), facing: h.facing };
+    Object.assign(house, { roof: h.roof, stories: h.stories });
+    if (h.windows !== null) house.windows = h.windows;
+    if (h.chimney) house.chimney = true;
+    if (h.porch) house.porch = true;
+    if (h.mail) house.mail = h.mail;
+    if (h.interior) {
+      house.interior = {
+        walls: h.interior.walls.map((wl) => ({ x1: wl.x1, z1: wl.z1, x2: wl.x2, z2: wl.z2, door: wl.door })),
+        furniture: h.interior.furniture.map((f) => ({ x: f.x, z: f.z, y: f.y, w: f.w, d: f.d, h: f.h, color: toHex(f.color) }))
+      };
+    }
+    return house;
+  });
+  out.trees = layout.trees.map((t) => ({ x: t.x, z: t.z, kind: t.kind }));
+  if (layout.scatter) out.scatter = { count: layout.scatter.count, seed: layout.scatter.seed };
+  out.paths = layout.paths.map((p) => ({ x: p.x, z: p.z, w: p.w, d: p.d }));
+  if (layout.roads) {
+    out.roads = {
+      nodes: layout.roads.nodes.map((n) => ({ id: n.id, x: n.x, z: n.z })),
+      edges: layout.roads.edges.map((e) => {
+        const edge = { from: e.from, to: e.to, width: e.width, sidewalk: e.sidewalk };
+        if (e.via.length) edge.via = e.via.map((v) => ({ x: v.x, z: v.z }));
+        return edge;
+      })
+    };
+  }
+  return out;
+}
+
+class LayoutError extends Error {
+  constructor(source, errors) {
+    const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : "";
+    super(`layout ${source}: ${errors[0]}${more}`);
+    this.name = "LayoutError";
+    this.errors = errors;
+  }
+}
+
+// Validate + normalize, throwing LayoutError with every problem attached.
+function parse(layout, source = "inline") {
+  const errors = validate(layout);
+  if (errors.length) throw new LayoutError(source, errors);
+  return normalize(layout);
+}
+
+async function load(url) {
+  const res = await fetch(url, { cache: "no-cache" });
+  if (!res.ok) throw new LayoutError(url, [`HTTP ${res.status}`]);
+  let json;
+  try {
+    json = await res.json();
+  } catch (err) {
+    throw new LayoutError(url, [`invalid JSON (${err.message})`]);
+  }
+  return parse(json, url);
+}
+
+export { LAYOUT_VERSION as VERSION, SCHEMA, validate, normalize, serialize, parse, load, LayoutError };
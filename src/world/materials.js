@@ -0,0 +1,24 @@
+/* global THREE */
+// ========= Shared materials =========
+// One instance each so the time of day can recolor the sky, ground and water,
+// and night can switch every window / bulb with one property.
+
+export const skyMat    = new THREE.MeshBasicMaterial({ side: THREE.BackSide });
+export const groundMat = new THREE.MeshStandardMaterial({ roughness: 1 });
+
+// Gentle bobbing plane, sized by the layout
+export const waterMat = new THREE.MeshPhongMaterial({
+  transparent: true, opacity: 0.65,
+  shininess: 80, specular: 0x88aaff
+});
+
+export const windowMat = new THREE.MeshStandardMaterial({ color: 0x3d4b58, emissive: 0xffd27a, emissiveIntensity: 0 });
+export const bulbMat   = new THREE.MeshStandardMaterial({ color: 0xf2efe4, emissive: 0xffe0a3, emissiveIntensity: 0 });
+
+// Chimney bricks and porch boards look the same on every house
+export const chimneyMat = new THREE.MeshStandardMaterial({ color: 0x8d4b3a, roughness: 0.95 });
+export const porchMat   = new THREE.MeshStandardMaterial({ color: 0xa47e58, roughness: 0.9 });
+
+// Every road's asphalt and sidewalks (src/world/roads.js)
+export const roadMat     = new THREE.MeshStandardMaterial({ color: 0x5b5d60, roughness: 0.95 });
+export const sidewalkMat = new THREE.MeshStandardMaterial({ color: 0xc8c2b0, roughness: 1 });
@@ -0,0 +1,248 @@
+// ========= Navigation grid — A* over where you can walk =========
+// Half-meter cells over the town. A cell is open when the player's body fits
+// there on the ground (src/physics/collision.js, the same world the player
+// slides through) and it's out of the water; doors count as open, since you
+// can open them. Climbs too steep to walk up are closed off between cells.
+// Roads and paths cost less than grass, so routes keep to them unless that's
+// well out of the way. findPath() runs A* between two points and straightens
+// the result wherever a straight line is open and no dearer. The guidance
+// mode (src/ui/guidance.js) shows the way and can walk you along it.
+
+import { PLAYER } from "../physics/sim.js";
+import { penetration } from "../physics/collision.js";
+import { roadNetwork } from "./roadgraph.js";
+
+const CELL = 0.5;     // meters per cell
+const MARGIN = 10;    // grid reaches this far past everything in the layout
+const GRASS = 1.3;    // cost per meter off the roads and paths (on them: 1)
+const SNAP = 6;       // cells to look around a closed start or goal for an open one
+const SQRT2 = Math.SQRT2;
+
+class NavGrid {
+  // env: { layout, world, terrain } like headlessTown() or the built town
+  constructor({ layout, world, terrain }) {
+    this.terrain = terrain;
+    const things = [
+      ...layout.houses, ...layout.paths,
+      ...layout.trees.map((t) => ({ x: t.x, z: t.z, w: 0, d: 0 })),
+      ...(layout.roads ? layout.roads.nodes.map((n) => ({ x: n.x, z: n.z, w: 0, d: 0 })) : []),
+      { x: layout.spawn.x, z: layout.spawn.z, w: 0, d: 0 }
+    ];
+    const edge = terrain.size / 2 - 1;
+    const x0 = Math.max(-edge, Math.min(...things.map((r) => r.x - r.w / 2)) - MARGIN);
+    const z0 = Math.max(-edge, Math.min(...things.map((r) => r.z - r.d / 2)) - MARGIN);
+    const x1 = Math.min(edge, Math.max(...things.map((r) => r.x + r.w / 2)) + MARGIN);
+    const z1 = Math.min(edge, Math.max(...things.map((r) => r.z + r.d / 2)) + MARGIN);
+    this.x0 = x0;
+    this.z0 = z0;
+    this.cols = Math.max(1, Math.ceil((x1 - x0) / CELL));
+    this.rows = Math.max(1, Math.ceil((z1 - z0) / CELL));
+
+    // open[i]: 1 if the player fits in cell i; cost[i]: per meter through it
+    const n = this.cols * this.rows;
+    this.open = new Uint8Array(n);
+    this.cost = new Float32Array(n);
+    const roads = roadNetwork(layout);
+    const water = layout.water;
+    const within = (r, x, z) => Math.abs(x - r.x) <= r.w / 2 && Math.abs(z - r.z) <= r.d / 2;
+    for (let i = 0; i < n; i++) {
+      const { x, z } = this.center(i);
+      const y = terrain.heightAt(x, z);
+      const inWater = water && within(water, x, z);
+      const hit = world.query(x, z, PLAYER.radius, y + 0.05, y + PLAYER.height).some((s) => s.tag !== "door" && penetration(s, x, z, PLAYER.radius));
+      this.open[i] = inWater || hit ? 0 : 1;
+      this.cost[i] = layout.paths.some((p) => within(p, x, z)) || roads.onRoad(x, z) ? 1 : GRASS;
+    }
+  }
+
+  center(i) {
+    return { x: this.x0 + ((i % this.cols) + 0.5) * CELL, z: this.z0 + (Math.floor(i / this.cols) + 0.5) * CELL };
+  }
+
+  // Cell index under (x, z), or -1 off the grid
+  cellAt(x, z) {
+    const c = Math.floor((x - this.x0) / CELL);
+    const r = Math.floor((z - this.z0) / CELL);
+    return c < 0 || r < 0 || c >= this.cols || r >= this.rows ? -1 : r * this.cols + c;
+  }
+
+  isOpen(x, z) {
+    const i = this.cellAt(x, z);
+    return i >= 0 && this.open[i] === 1;
+  }
+
+  // The open cell nearest (x, z) within SNAP cells, or -1
+  nearestOpen(x, z) {
+    const i = this.cellAt(x, z);
+    if (i >= 0 && this.open[i]) return i;
+    const c = Math.floor((x - this.x0) / CELL);
+    const r = Math.floor((z - this.z0) / CELL);
+    let best = -1;
+    let bestD = Infinity;
+    for (let dr = -SNAP; dr <= SNAP; dr++) {
+      for (let dc = -SNAP; dc <= SNAP; dc++) {
+        const cc = c + dc;
+        const rr = r + dr;
+        if (cc < 0 || rr < 0 || cc >= this.cols || rr >= this.rows) continue;
+        const j = rr * this.cols + cc;
+        if (!this.open[j]) continue;
+        const p = this.center(j);
+        const d = Math.hypot(p.x - x, p.z - z);
+        if (d < bestD) { best = j; bestD = d; }
+      }
+    }
+    return best;
+  }
+
+  // Can you walk from a to b? Uphill steeper than the player can climb counts as no
+  climbable(a, b) {
+    return this.terrain.slopeBetween(a.x, a.z, b.x, b.z) <= PLAYER.maxSlope;
+  }
+
+  // Cost of walking straight from a to b, or Infinity if anything on the way is closed
+  lineCost(a, b) {
+    const len = Math.hypot(b.x - a.x, b.z - a.z);
+    const n = Math.max(1, Math.ceil(len / (CELL / 2)));
+    let cost = 0;
+    let prev = a;
+    for (let k = 1; k <= n; k++) {
+      const p = { x: a.x + ((b.x - a.x) * k) / n, z: a.z + ((b.z - a.z) * k) / n };
+      const i = this.cellAt(p.x, p.z);
+      if (i < 0 || !this.open[i] || !this.climbable(prev, p)) return Infinity;
+      cost += (this.cost[i] * len) / n;
+      prev = p;
+    }
+    return cost;
+  }
+
+  // Shortest way from (ax, az) to (bx, bz) → { points: [{ x, z }], length }
+  // from one to the other, or null if there's none (or either end is walled in)
+  findPath(ax, az, bx, bz) {
+    const start = this.nearestOpen(ax, az);
+    const goal = this.nearestOpen(bx, bz);
+    if (start < 0 || goal < 0) return null;
+    const cells = this.search(start, goal);
+    if (!cells) return null;
+
+    const pts = cells.map((i) => this.center(i));
+    if (this.isOpen(ax, az)) pts[0] = { x: ax, z: az };
+    else pts.unshift({ x: ax, z: az });
+    if (this.isOpen(bx, bz)) pts[pts.length - 1] = { x: bx, z: bz };
+    else pts.push({ x: bx, z: bz });
+
+    // straighten: from each corner, head for the furthest point a straight line
+    // reaches as cheaply as the grid did
+    const along = [0];
+    for (let i = 1; i < pts.length; i++) along.push(along[i - 1] + Math.min(this.lineCost(pts[i - 1], pts[i]), Math.hypot(pts[i].x - pts[i - 1].x, pts[i].z - pts[i - 1].z) * GRASS));
+    const points = [pts[0]];
+    for (let i = 0; i < pts.length - 1;) {
+      let j = i + 1;
+      while (j + 1 < pts.length && this.lineCost(pts[i], pts[j + 1]) <= along[j + 1] - along[i] + 1e-6) j++;
+      points.push(pts[j]);
+      i = j;
+    }
+    let length = 0;
+    for (let i = 1; i < points.length; i++) length += Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z);
+    return { points, length };
+  }
+
+  // A* from cell `start` to cell `goal` over open cells, 8 ways round (no
+  // cutting corners past a closed cell) → cell indices, or null
+  search(start, goal) {
+    const { cols, open, cost } = this;
+    const g = new Float64Array(open.length).fill(Infinity);
+    const from = new Int32Array(open.length).fill(-1);
+    const closed = new Uint8Array(open.length);
+    const gc = this.center(goal);
+    const h = (i) => {
+      const p = this.center(i);
+      const dx = Math.abs(p.x - gc.x);
+      const dz = Math.abs(p.z - gc.z);
+      return Math.max(dx, dz) + (SQRT2 - 1) * Math.min(dx, dz); // octile, at the cheapest cost
+    };
+    const heap = new Heap();
+    g[start] = 0;
+    heap.push(start, h(start));
+    while (heap.size) {
+      const i = heap.pop();
+      if (i === goal) break;
+      if (closed[i]) continue;
+      closed[i] = 1;
+      const c = i % cols;
+      const here = this.center(i);
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (!dx && !dz) continue;
+          const cc = c + dx;
+          const j = i + dz * cols + dx;
+          if (cc < 0 || cc >= cols || j < 0 || j >= open.length || !open[j] || closed[j]) continue;
+          if (dx && dz && (!open[i + dx] || !open[i + dz * cols])) continue;
+          const there = this.center(j);
+          if (!this.climbable(here, there)) continue;
+          const d = g[i] + (dx && dz ? SQRT2 : 1) * CELL * (cost[i] + cost[j]) / 2;
+          if (d < g[j]) {
+            g[j] = d;
+            from[j] = i;
+            heap.push(j, d + h(j));
+          }
+        }
+      }
+    }
+    if (g[goal] === Infinity) return null;
+    const cells = [];
+    for (let i = goal; i !== -1; i = from[i]) cells.unshift(i);
+    return cells;
+  }
+}
+
+// Binary min-heap of (item, priority)
+class Heap {
+  constructor() {
+    this.items = [];
+    this.keys = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item, key) {
+    const { items, keys } = this;
+    let i = items.length;
+    items.push(item);
+    keys.push(key);
+    while (i > 0) {
+      const up = (i - 1) >> 1;
+      if (keys[up] <= key) break;
+      items[i] = items[up];
+      keys[i] = keys[up];
+      i = up;
+    }
+    items[i] = item;
+    keys[i] = key;
+  }
+
+  pop() {
+    const { items, keys } = this;
+    const top = items[0];
+    const item = items.pop();
+    const key = keys.pop();
+    if (items.length) {
+      let i = 0;
+      for (;;) {
+        let next = 2 * i + 1;
+        if (next >= items.length) break;
+        if (next + 1 < items.length && keys[next + 1] < keys[next]) next++;
+        if (keys[next] >= key) break;
+        items[i] = items[next];
+        keys[i] = keys[next];
+        i = next;
+      }
+      items[i] = item;
+      keys[i] = key;
+    }
+    return top;
+  }
+}
+
+export { CELL, NavGrid };
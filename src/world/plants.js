@@ -0,0 +1,93 @@
+/* global THREE */
+// ========= Plants — trees, bushes and flowers, drawn instanced =========
+// Every plant is a few parts (a trunk and one or two crowns, a stem and a
+// flower head), and every part of every plant goes into one InstancedMesh per
+// shape: five draw calls for the whole town, whatever the number of plants.
+// Sizes, colors and turns come from src/world/vegetation.js; the instance
+// color tints a white material.
+
+import { isMobile } from "../config.js";
+import { plantLook } from "./vegetation.js";
+
+// Unit shapes standing on y = 0
+const SHAPES = {
+  trunk: () => new THREE.CylinderGeometry(0.18, 0.28, 1, 7).translate(0, 0.5, 0),
+  cone:  () => new THREE.ConeGeometry(1, 1, 9).translate(0, 0.5, 0),
+  ball:  () => new THREE.IcosahedronGeometry(1, 1),
+  stem:  () => new THREE.CylinderGeometry(0.012, 0.012, 1, 4).translate(0, 0.5, 0),
+  bloom: () => new THREE.IcosahedronGeometry(0.06, 0)
+};
+const SHADOWS = { trunk: true, cone: true, ball: true, stem: false, bloom: false };
+const STEM_COLOR = 0x4c7a34;
+
+// Parts of one plant: [shape, x, y, z, sx, sy, sz, color] on the ground at (x, y, z)
+function parts(plant, y) {
+  const { x, z } = plant;
+  const look = plantLook(plant);
+  const s = look.scale;
+  switch (look.kind) {
+    case "conifer":
+      return [
+        ["trunk", x, y, z, s, 1.6 * s, s, look.trunk],
+        ["cone", x, y + 1.1 * s, z, 1.25 * s, 2 * s, 1.25 * s, look.crown],
+        ["cone", x, y + 2.3 * s, z, 0.85 * s, 1.6 * s, 0.85 * s, look.crown]
+      ];
+    case "deciduous":
+      return [
+        ["trunk", x, y, z, s, 2.2 * s, s, look.trunk],
+        ["ball", x, y + 2.7 * s, z, 1.4 * s, 1.15 * s, 1.4 * s, look.crown]
+      ];
+    case "bush":
+      return [["ball", x, y + 0.3 * s, z, 0.7 * s, 0.55 * s, 0.7 * s, look.crown]];
+    default: // flowers
+      return look.flowers.flatMap((f) => [
+        ["stem", x + f.dx, y, z + f.dz, 1, f.h, 1, STEM_COLOR],
+        ["bloom", x + f.dx, y + f.h, z + f.dz, 1, 1, 1, f.color]
+      ]);
+  }
+}
+
+// One group holding every plant in `plants` (layout trees and scattered
+// undergrowth alike), each standing on groundY(x, z)
+export function makePlants(plants, groundY) {
+  const byShape = {};
+  plants.forEach((plant, n) => {
+    const yaw = plantLook(plant).yaw;
+    for (const p of parts(plant, groundY(plant.x, plant.z))) (byShape[p[0]] ||= []).push([...p, yaw, n]);
+  });
+
+  const group = new THREE.Group();
+  group.userData.slots = plants.map(() => []); // plant → its instances, for shiftPlant()
+  const m = new THREE.Matrix4();
+  const q = new THREE.Quaternion();
+  const up = new THREE.Vector3(0, 1, 0);
+  const color = new THREE.Color();
+  for (const [shape, list] of Object.entries(byShape)) {
+    const mat = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.9, flatShading: true });
+    const mesh = new THREE.InstancedMesh(SHAPES[shape](), mat, list.length);
+    list.forEach(([, x, y, z, sx, sy, sz, c, yaw, n], i) => {
+      m.compose(new THREE.Vector3(x, y, z), q.setFromAxisAngle(up, yaw), new THREE.Vector3(sx, sy, sz));
+      mesh.setMatrixAt(i, m);
+      group.userData.slots[n].push({ mesh, i, at: m.clone() });
+      mesh.setColorAt(i, color.setHex(c));
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+    mesh.frustumCulled = false; // spread over the whole town: always partly in view
+    mesh.castShadow = SHADOWS[shape] && !isMobile;
+    mesh.receiveShadow = true;
+    group.add(mesh);
+  }
+  return group;
+}
+
+// Slide plant `index` of a makePlants() group (dx, dz) from where it was built,
+// on the same ground height: the editor's drag preview, until the town is rebuilt
+export function shiftPlant(group, index, dx, dz) {
+  const shift = new THREE.Matrix4().makeTranslation(dx, 0, dz);
+  const m = new THREE.Matrix4();
+  for (const { mesh, i, at } of group.userData.slots[index] || []) {
+    mesh.setMatrixAt(i, m.multiplyMatrices(shift, at));
+    mesh.instanceMatrix.needsUpdate = true;
+  }
+}
@@ -0,0 +1,228 @@
+// ========= Road network — nodes, edges, curves, intersections, routes =========
+// A layout's "roads" are named nodes joined by edges, each with a width, a
+// sidewalk on both sides and optional "via" points the road curves through
+// (a Catmull-Rom spline from one node through the vias to the other). Where
+// two or more roads meet, each stops short of the node and an intersection
+// patch fills the gap, so crossings don't pile strips on top of each other.
+// roadNetwork() also answers where the nearest road is and the shortest way
+// along the roads between two points or two houses' front doors.
+// The builder (src/world/roads.js) makes meshes from the same data.
+
+import { turn, frontSize } from "./walls.js";
+
+const SAMPLE = 1;      // meters between points down a road's middle
+const DOOR_OUT = 1;    // routes start and end this far out from a front door
+const CORNER = 0.5;    // intersections reach this far past the widest road's edge
+
+const hypot = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+
+// Catmull-Rom through `pts` (ends held), one point about every SAMPLE meters,
+// each with s, its distance along the road
+function spline(pts) {
+  const out = [{ x: pts[0].x, z: pts[0].z }];
+  for (let i = 0; i < pts.length - 1; i++) {
+    const p0 = pts[Math.max(0, i - 1)];
+    const p1 = pts[i];
+    const p2 = pts[i + 1];
+    const p3 = pts[Math.min(pts.length - 1, i + 2)];
+    const n = Math.max(1, Math.ceil(hypot(p1, p2) / SAMPLE));
+    for (let k = 1; k <= n; k++) {
+      const t = k / n;
+      const c = (a, b, c2, d) =>
+        0.5 * (2 * b + (-a + c2) * t + (2 * a - 5 * b + 4 * c2 - d) * t * t + (-a + 3 * b - 3 * c2 + d) * t * t * t);
+      out.push({ x: c(p0.x, p1.x, p2.x, p3.x), z: c(p0.z, p1.z, p2.z, p3.z) });
+    }
+  }
+  let s = 0;
+  out.forEach((p, i) => {
+    if (i) s += hypot(out[i - 1], p);
+    p.s = s;
+  });
+  return out;
+}
+
+// Point and unit direction at distance s down a line
+function pointAt(line, s) {
+  const last = line.length - 1;
+  let i = 1;
+  while (i < last && line[i].s < s) i++;
+  const a = line[i - 1];
+  const b = line[i];
+  const len = b.s - a.s || 1;
+  const t = Math.max(0, Math.min(1, (s - a.s) / len));
+  return { x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t, dx: (b.x - a.x) / len, dz: (b.z - a.z) / len };
+}
+
+// The points of a line from s0 to s1 (either way round), ends included
+function slice(line, s0, s1) {
+  const [lo, hi] = s0 <= s1 ? [s0, s1] : [s1, s0];
+  const pts = [pointAt(line, lo), ...line.filter((p) => p.s > lo && p.s < hi), pointAt(line, hi)].map(({ x, z }) => ({ x, z }));
+  return s0 <= s1 ? pts : pts.reverse();
+}
+
+// Convex hull (counter-clockwise seen from above, +Z south) of { x, z } points
+function hull(points) {
+  const pts = points.slice().sort((a, b) => a.x - b.x || a.z - b.z);
+  const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+  const half = (list) => {
+    const h = [];
+    for (const p of list) {
+      while (h.length >= 2 && cross(h[h.length - 2], h[h.length - 1], p) >= 0) h.pop();
+      h.push(p);
+    }
+    h.pop();
+    return h;
+  };
+  return half(pts).concat(half(pts.reverse()));
+}
+
+// Is (x, z) inside convex polygon `poly`?
+function insideConvex(poly, x, z) {
+  let sign = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i];
+    const b = poly[(i + 1) % poly.length];
+    const c = Math.sign((b.x - a.x) * (z - a.z) - (b.z - a.z) * (x - a.x));
+    if (c && sign && c !== sign) return false;
+    sign = sign || c;
+  }
+  return true;
+}
+
+class RoadNetwork {
+  constructor(roads) {
+    this.nodes = roads ? roads.nodes.map((n) => ({ id: n.id, x: n.x, z: n.z, edges: [] })) : [];
+    const byId = new Map(this.nodes.map((n) => [n.id, n]));
+    // { from, to, width, sidewalk, line, length, trim: [s0, s1] (where it gives way to its intersections) }
+    this.edges = (roads ? roads.edges : []).map((e, i) => {
+      const a = byId.get(e.from);
+      const b = byId.get(e.to);
+      a.edges.push(i);
+      b.edges.push(i);
+      const line = spline([a, ...e.via, b]);
+      return { index: i, from: e.from, to: e.to, width: e.width, sidewalk: e.sidewalk, line, length: line[line.length - 1].s, trim: [0, line[line.length - 1].s] };
+    });
+
+    // Intersections: every road meeting another stops CORNER past the widest one's edge
+    this.patches = [];
+    for (const node of this.nodes) {
+      if (node.edges.length < 2) continue;
+      const ends = node.edges.map((i) => this.edges[i]);
+      const reach = Math.max(...ends.map((e) => e.width / 2 + e.sidewalk)) + CORNER;
+      const road = [];
+      const walk = [];
+      for (const e of ends) {
+        const atStart = e.from === node.id;
+        const s = Math.min(reach, e.length / 2);
+        if (atStart) e.trim[0] = s;
+        else e.trim[1] = e.length - s;
+        const p = pointAt(e.line, atStart ? s : e.length - s);
+        for (const [list, r] of [[road, e.width / 2], [walk, e.width / 2 + e.sidewalk]]) {
+          list.push({ x: p.x - p.dz * r, z: p.z + p.dx * r }, { x: p.x + p.dz * r, z: p.z - p.dx * r });
+        }
+      }
+      this.patches.push({ node: node.id, x: node.x, z: node.z, road: hull(road), walk: hull(walk) });
+    }
+  }
+
+  // Closest point on any road's middle line → { x, z, edge, s, dist, onRoad }
+  // (onRoad: within the road or its sidewalks); null without roads
+  nearest(x, z) {
+    let best = null;
+    for (const e of this.edges) {
+      for (let i = 1; i < e.line.length; i++) {
+        const a = e.line[i - 1];
+        const b = e.line[i];
+        const len = b.s - a.s;
+        const t = len > 0 ? Math.max(0, Math.min(1, ((x - a.x) * (b.x - a.x) + (z - a.z) * (b.z - a.z)) / (len * len))) : 0;
+        const px = a.x + (b.x - a.x) * t;
+        const pz = a.z + (b.z - a.z) * t;
+        const dist = Math.hypot(x - px, z - pz);
+        if (!best || dist < best.dist) best = { x: px, z: pz, edge: e.index, s: a.s + len * t, dist };
+      }
+    }
+    if (best) best.onRoad = best.dist <= this.edges[best.edge].width / 2 + this.edges[best.edge].sidewalk;
+    return best;
+  }
+
+  // Is (x, z) on a road (its sidewalks and intersections included), with margin to spare?
+  onRoad(x, z, margin = 0) {
+    const near = this.nearest(x, z);
+    if (!near) return false;
+    const e = this.edges[near.edge];
+    return near.dist <= e.width / 2 + e.sidewalk + margin || this.patches.some((p) => insideConvex(p.walk, x, z));
+  }
+
+  // Shortest way along the roads from (ax, az) to (bx, bz): straight to the
+  // nearest road, down the roads, straight off again → { points, length },
+  // or null without roads or a way between them
+  route(ax, az, bx, bz) {
+    const a = this.nearest(ax, az);
+    const b = this.nearest(bx, bz);
+    if (!a || !b) return null;
+
+    // Dijkstra over the road nodes plus the two spots where we join and leave
+    const START = "\u0000start";
+    const END = "\u0000end";
+    const links = new Map(this.nodes.map((n) => [n.id, []]));
+    links.set(START, []);
+    links.set(END, []);
+    const join = (u, v, cost, edge, s0, s1) => {
+      links.get(u).push({ to: v, cost, edge, s0, s1 });
+      links.get(v).push({ to: u, cost, edge, s0: s1, s1: s0 });
+    };
+    for (const e of this.edges) {
+      const cuts = [[a.edge === e.index, a.s, START], [b.edge === e.index, b.s, END]].filter(([on]) => on).map(([, s, id]) => ({ s, id }));
+      const stops = [{ s: 0, id: e.from }, ...cuts.sort((p, q) => p.s - q.s), { s: e.length, id: e.to }];
+      for (let i = 1; i < stops.length; i++) join(stops[i - 1].id, stops[i].id, stops[i].s - stops[i - 1].s, e, stops[i - 1].s, stops[i].s);
+    }
+    const dist = new Map([[START, 0]]);
+    const prev = new Map();
+    const done = new Set();
+    for (;;) {
+      let u = null;
+      for (const [id, d] of dist) if (!done.has(id) && (u === null || d < dist.get(u))) u = id;
+      if (u === null) return null;
+      if (u === END) break;
+      done.add(u);
+      for (const l of links.get(u)) {
+        const d = dist.get(u) + l.cost;
+        if (d < (dist.has(l.to) ? dist.get(l.to) : Infinity)) {
+          dist.set(l.to, d);
+          prev.set(l.to, { from: u, link: l });
+        }
+      }
+    }
+    const legs = [];
+    for (let id = END; id !== START; id = prev.get(id).from) legs.unshift(prev.get(id).link);
+    const points = [{ x: ax, z: az }];
+    for (const l of legs) points.push(...slice(l.edge.line, l.s0, l.s1));
+    points.push({ x: bx, z: bz });
+    const clean = points.filter((p, i) => i === 0 || hypot(p, points[i - 1]) > 1e-6);
+    let length = 0;
+    for (let i = 1; i < clean.length; i++) length += hypot(clean[i - 1], clean[i]);
+    return { points: clean, length };
+  }
+
+  // route() from one house's front step to another's
+  routeBetween(houseA, houseB) {
+    const a = frontStep(houseA);
+    const b = frontStep(houseB);
+    return this.route(a.x, a.z, b.x, b.z);
+  }
+}
+
+// Just outside a house's front door
+function frontStep(house) {
+  const o = turn(0, frontSize(house).d / 2 + DOOR_OUT, house.facing);
+  return { x: house.x + o.x, z: house.z + o.z };
+}
+
+// One network per layout, built the first time it's asked for
+const cache = new WeakMap();
+function roadNetwork(layout) {
+  if (!cache.has(layout)) cache.set(layout, new RoadNetwork(layout.roads));
+  return cache.get(layout);
+}
+
+export { SAMPLE, RoadNetwork, roadNetwork, frontStep, pointAt, slice, hull };
@@ -0,0 +1,79 @@
+/* global THREE */
+// ========= Roads — asphalt, sidewalks and intersection patches =========
+// Every road is a strip down its spline (src/world/roadgraph.js) between the
+// intersections at its ends, with a sidewalk strip on each side; every
+// intersection is one patch of sidewalk with one of asphalt on top. All of it
+// drapes over the terrain a few centimeters up, above any plain path.
+
+import { roadMat, sidewalkMat } from "./materials.js";
+import { slice } from "./roadgraph.js";
+
+const ROAD_Y = 0.04;  // asphalt over the ground (paths sit at 0.02)
+const WALK_Y = 0.06;  // sidewalks a touch higher, like a kerb
+
+// Triangles [[x, y, z] × 3] → geometry, each wound to face up
+function upward(tris) {
+  const pos = [];
+  for (const [a, b, c] of tris) {
+    const up = (b[2] - a[2]) * (c[0] - a[0]) - (b[0] - a[0]) * (c[2] - a[2]);
+    pos.push(...a, ...(up >= 0 ? b : c), ...(up >= 0 ? c : b));
+  }
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.Float32BufferAttribute(pos, 3));
+  geo.computeVertexNormals();
+  return geo;
+}
+
+// Triangles of a strip from r0 to r1 meters left of the line `pts`, draped at lift
+function strip(pts, r0, r1, lift, groundY) {
+  const at = (p, i, r) => {
+    const a = pts[Math.max(0, i - 1)];
+    const b = pts[Math.min(pts.length - 1, i + 1)];
+    const len = Math.hypot(b.x - a.x, b.z - a.z) || 1;
+    const x = p.x - ((b.z - a.z) / len) * r;
+    const z = p.z + ((b.x - a.x) / len) * r;
+    return [x, groundY(x, z) + lift, z];
+  };
+  const tris = [];
+  for (let i = 1; i < pts.length; i++) {
+    const [p, q] = [pts[i - 1], pts[i]];
+    const a0 = at(p, i - 1, r0), a1 = at(p, i - 1, r1), b0 = at(q, i, r0), b1 = at(q, i, r1);
+    tris.push([a0, a1, b1], [a0, b1, b0]);
+  }
+  return tris;
+}
+
+// Triangles fanning out from (x, z) to the corners of polygon `poly`
+function fan(x, z, poly, lift, groundY) {
+  const v = (p) => [p.x, groundY(p.x, p.z) + lift, p.z];
+  const mid = [x, groundY(x, z) + lift, z];
+  return poly.map((p, i) => [mid, v(p), v(poly[(i + 1) % poly.length])]);
+}
+
+// One group with every road, sidewalk and intersection of a RoadNetwork
+export function makeRoads(net, groundY) {
+  const asphalt = [];
+  const walks = [];
+  for (const e of net.edges) {
+    const pts = slice(e.line, e.trim[0], e.trim[1]);
+    const half = e.width / 2;
+    asphalt.push(...strip(pts, -half, half, ROAD_Y, groundY));
+    if (e.sidewalk > 0) {
+      walks.push(...strip(pts, half, half + e.sidewalk, WALK_Y, groundY));
+      walks.push(...strip(pts, -half - e.sidewalk, -half, WALK_Y, groundY));
+    }
+  }
+  for (const p of net.patches) {
+    walks.push(...fan(p.x, p.z, p.walk, ROAD_Y + 0.01, groundY)); // the corners, under the asphalt
+    asphalt.push(...fan(p.x, p.z, p.road, ROAD_Y + 0.02, groundY));
+  }
+
+  const group = new THREE.Group();
+  for (const [tris, mat] of [[asphalt, roadMat], [walks, sidewalkMat]]) {
+    if (!tris.length) continue;
+    const m = new THREE.Mesh(upward(tris), mat);
+    m.receiveShadow = true;
+    group.add(m);
+  }
+  return group;
+}
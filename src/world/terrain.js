@@ -0,0 +1,172 @@
+// ========= Terrain heightfield — seeded noise or heightmap image =========
+// A square grid of heights centered on the origin. heightAt() is bilinear, so
+// the ground mesh, the player's feet and everything placed on the ground agree.
+
+import { hashSeed } from "./towngen.js";
+import { porch } from "./houseparts.js";
+
+const smooth = (t) => t * t * (3 - 2 * t);
+const lerp   = (a, b, t) => a + (b - a) * t;
+
+// Deterministic lattice value in [0, 1) for integer (ix, iz) and a 32-bit seed
+function lattice(ix, iz, seed) {
+  let h = seed ^ Math.imul(ix, 374761393) ^ Math.imul(iz, 668265263);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+function valueNoise(x, z, seed) {
+  const ix = Math.floor(x), iz = Math.floor(z);
+  const fx = smooth(x - ix), fz = smooth(z - iz);
+  const a = lattice(ix, iz, seed),     b = lattice(ix + 1, iz, seed);
+  const c = lattice(ix, iz + 1, seed), d = lattice(ix + 1, iz + 1, seed);
+  return lerp(lerp(a, b, fx), lerp(c, d, fx), fz);
+}
+
+// Three octaves of value noise, normalized to [0, 1]
+function fbm(x, z, seed) {
+  let sum = 0, amp = 1, freq = 1, norm = 0;
+  for (let o = 0; o < 3; o++) {
+    sum  += valueNoise(x * freq, z * freq, (seed + o * 1013) | 0) * amp;
+    norm += amp;
+    amp  *= 0.5;
+    freq *= 2;
+  }
+  return sum / norm;
+}
+
+class Heightfield {
+  constructor({ size = 220, resolution = 111 } = {}) {
+    this.size = size;
+    this.resolution = resolution;           // samples per side
+    this.step = size / (resolution - 1);
+    this.heights = new Float32Array(resolution * resolution);
+  }
+
+  // --- sampling ---
+  heightAt(x, z) {
+    const n = this.resolution;
+    const gx = Math.min(Math.max((x + this.size / 2) / this.step, 0), n - 1);
+    const gz = Math.min(Math.max((z + this.size / 2) / this.step, 0), n - 1);
+    const ix = Math.min(Math.floor(gx), n - 2), iz = Math.min(Math.floor(gz), n - 2);
+    const fx = gx - ix, fz = gz - iz;
+    const h = this.heights;
+    const a = h[iz * n + ix],       b = h[iz * n + ix + 1];
+    const c = h[(iz + 1) * n + ix], d = h[(iz + 1) * n + ix + 1];
+    return lerp(lerp(a, b, fx), lerp(c, d, fx), fz);
+  }
+
+  // An independent copy (shaping one doesn't touch the other)
+  clone() {
+    const hf = new Heightfield({ size: this.size, resolution: this.resolution });
+    hf.heights.set(this.heights);
+    return hf;
+  }
+
+  // Rise over run between two ground points (positive = uphill)
+  slopeBetween(x0, z0, x1, z1) {
+    const run = Math.hypot(x1 - x0, z1 - z0);
+    if (run < 1e-6) return 0;
+    return (this.heightAt(x1, z1) - this.heightAt(x0, z0)) / run;
+  }
+
+  // Grid position of sample (i, j) in world x/z
+  sampleX(i) { return -this.size / 2 + i * this.step; }
+  sampleZ(j) { return -this.size / 2 + j * this.step; }
+
+  // --- shaping ---
+  // Blend the ground toward `y` over rect { x, z, w, d }, fading out over `falloff` meters.
+  flatten({ x, z, w, d }, y, falloff = 4) {
+    const n = this.resolution;
+    for (let j = 0; j < n; j++) {
+      for (let i = 0; i < n; i++) {
+        const dx = Math.max(Math.abs(this.sampleX(i) - x) - w / 2, 0);
+        const dz = Math.max(Math.abs(this.sampleZ(j) - z) - d / 2, 0);
+        const dist = Math.hypot(dx, dz);
+        if (dist > 0 && dist >= falloff) continue;
+        const t = dist <= 0 ? 1 : smooth(1 - dist / falloff);
+        const k = j * n + i;
+        this.heights[k] = lerp(this.heights[k], y, t);
+      }
+    }
+  }
+
+  // Average ground height under a rect (used to pick a level pad for a house)
+  averageOver({ x, z, w, d }) {
+    let sum = 0;
+    const pts = [[0, 0], [-1, -1], [1, -1], [-1, 1], [1, 1]];
+    for (const [sx, sz] of pts) sum += this.heightAt(x + (sx * w) / 2, z + (sz * d) / 2);
+    return sum / pts.length;
+  }
+}
+
+// --- constructors ---
+function flat(opts) {
+  return new Heightfield(opts);
+}
+
+function fromNoise({ seed = 1, amplitude = 3, scale = 28, size, resolution } = {}) {
+  const hf = new Heightfield({ size, resolution });
+  const s = hashSeed(seed) | 0;
+  const n = hf.resolution;
+  for (let j = 0; j < n; j++) {
+    for (let i = 0; i < n; i++) {
+      hf.heights[j * n + i] = amplitude * fbm(hf.sampleX(i) / scale, hf.sampleZ(j) / scale, s);
+    }
+  }
+  return hf;
+}
+
+// imageData: { width, height, data } as from CanvasRenderingContext2D.getImageData().
+// Red channel 0..255 maps to 0..amplitude.
+function fromImageData(imageData, { amplitude = 3, size, resolution } = {}) {
+  const hf = new Heightfield({ size, resolution });
+  const { width, height, data } = imageData;
+  const n = hf.resolution;
+  for (let j = 0; j < n; j++) {
+    for (let i = 0; i < n; i++) {
+      const px = Math.round((i / (n - 1)) * (width - 1));
+      const py = Math.round((j / (n - 1)) * (height - 1));
+      hf.heights[j * n + i] = (data[(py * width + px) * 4] / 255) * amplitude;
+    }
+  }
+  return hf;
+}
+
+// Rect around a house (and its porch deck) with `spare` meters to spare all round
+function around(h, deck, spare) {
+  if (!deck) return { x: h.x, z: h.z, w: h.w + spare * 2, d: h.d + spare * 2 };
+  const x0 = Math.min(h.x - h.w / 2, deck.x - deck.w / 2), x1 = Math.max(h.x + h.w / 2, deck.x + deck.w / 2);
+  const z0 = Math.min(h.z - h.d / 2, deck.z - deck.d / 2), z1 = Math.max(h.z + h.d / 2, deck.z + deck.d / 2);
+  return { x: (x0 + x1) / 2, z: (z0 + z1) / 2, w: x1 - x0 + spare * 2, d: z1 - z0 + spare * 2 };
+}
+
+// Level pads under houses and a basin under the water so the town sits on the surface.
+function prepareForLayout(hf, layout) {
+  if (layout.water) {
+    hf.flatten(layout.water, layout.water.y - 0.6, 5);
+  }
+  // heightAt() blends the four samples round a point, so the pad reaches a whole
+  // grid step past the walls or the floor would tilt toward its edges
+  const spare = Math.max(0.5, hf.step);
+  const pads = layout.houses.map((h) => around(h, porch(h)?.deck, spare));
+  const level = pads.map((pad) => hf.averageOver(pad));
+  // Pads that touch share one level (their average), else one would cut into the other
+  const root = pads.map((_, i) => i);
+  const find = (i) => (root[i] === i ? i : (root[i] = find(root[i])));
+  const touch = (a, b) => Math.abs(a.x - b.x) * 2 <= a.w + b.w && Math.abs(a.z - b.z) * 2 <= a.d + b.d;
+  for (let i = 0; i < pads.length; i++) {
+    for (let j = i + 1; j < pads.length; j++) if (touch(pads[i], pads[j])) root[find(j)] = find(i);
+  }
+  for (const r of new Set(pads.map((_, i) => find(i)))) {
+    const members = pads.map((_, i) => i).filter((i) => find(i) === r);
+    const y = members.reduce((sum, i) => sum + level[i], 0) / members.length;
+    for (const i of members) level[i] = y;
+  }
+  pads.forEach((pad, i) => hf.flatten(pad, level[i], 4));
+  // and again without the falloff, so no neighbour's slope is left on a pad
+  pads.forEach((pad, i) => hf.flatten(pad, level[i], 0));
+  return hf;
+}
+
+export { Heightfield, flat, fromNoise, fromImageData, prepareForLayout, fbm };
@@ -0,0 +1,395 @@
+/* global THREE */
+// ========= Town builders — layout (src/world/layout.js) → meshes + collision =========
+// Everything solid registers in town.world (src/world/colliders.js) so the
+// player (and anything else that moves) collides against the same data the
+// meshes were built from. rebuildTown() throws it all away and builds again
+// from an edited layout (src/editor/).
+
+import { isMobile } from "../config.js";
+import { scene } from "../renderer.js";
+import { CollisionWorld } from "../physics/collision.js";
+import * as Terrain from "./terrain.js";
+import * as Lamps from "../lighting/lamps.js";
+import { WALL_T, DOOR_W, DOOR_H, turn, facingAngle, wallHeight, wallPieces, houseWalls } from "./walls.js";
+import { WINDOW_W, WINDOW_H, roofTriangles, chimney, windowSpots, porch } from "./houseparts.js";
+import { addLayoutColliders, ceilingLookup } from "./colliders.js";
+import { scatterPlants } from "./vegetation.js";
+import { makePlants, shiftPlant } from "./plants.js";
+import { roadNetwork } from "./roadgraph.js";
+import { makeRoads } from "./roads.js";
+import { DOOR_T, MAILBOX_H, layoutInteractables } from "./interactables.js";
+import { skyMat, groundMat, waterMat, windowMat, bulbMat, chimneyMat, porchMat, roadMat, sidewalkMat } from "./materials.js";
+
+export const LAMP_H = 3.2;
+
+// The built town; layout stays null until buildTown() ran
+export const town = {
+  layout:  null,
+  terrain: Terrain.flat({ size: 220, resolution: 2 }), // flat until the layout loads
+  baseTerrain: null, // the heightfield before houses and water were leveled into it
+  world:   new CollisionWorld({ cellSize: 4 }),
+  houses:  [],
+  lamps:   [],   // { x, z, y } — y is where the light sits
+  water:   null,
+  interact: null, // doors, switches, mailboxes (src/world/interactables.js) once built
+  ceilingAt: () => Infinity
+};
+
+// Everything buildTown() makes hangs off this, so a rebuild can drop it all
+const built = new THREE.Group();
+scene.add(built);
+// "house:2" / "path:0" → the meshes built for that layout item, where they were
+// built, so previewMove() can slide them along while the editor drags one
+const itemMeshes = new Map();
+let plants = null; // the makePlants() group; layout trees come first in it
+function own(key, ...objects) {
+  if (!itemMeshes.has(key)) itemMeshes.set(key, []);
+  for (const o of objects) itemMeshes.get(key).push({ o, x: o.position.x, z: o.position.z });
+}
+const SHARED_MATS = new Set([skyMat, groundMat, waterMat, windowMat, bulbMat, chimneyMat, porchMat, roadMat, sidewalkMat]);
+
+// ---------- Sky Dome ----------
+const sky = new THREE.Mesh(new THREE.SphereGeometry(220, 32, 32), skyMat);
+scene.add(sky);
+
+// ---------- Ground ----------
+const ground = new THREE.Mesh(terrainGeometry(town.terrain), groundMat);
+ground.receiveShadow = true;
+scene.add(ground);
+
+function terrainGeometry(hf) {
+  const n = hf.resolution;
+  const geo = new THREE.PlaneGeometry(hf.size, hf.size, n - 1, n - 1);
+  geo.rotateX(-Math.PI / 2);
+  const pos = geo.attributes.position;
+  for (let i = 0; i < pos.count; i++) pos.setY(i, hf.heightAt(pos.getX(i), pos.getZ(i)));
+  geo.computeVertexNormals();
+  return geo;
+}
+
+export function groundY(x, z) { return town.terrain.heightAt(x, z); }
+
+// Ceiling height over a point (Infinity outdoors) so jumps indoors stop at the ceiling
+export function ceilingAt(x, z) { return town.ceilingAt(x, z); }
+
+// Meshes for one wall (pieces from src/world/walls.js) in house-local coords
+function makeWall(g, mat, wall, h) {
+  for (const p of wallPieces(wall, h)) {
+    const m = new THREE.Mesh(new THREE.BoxGeometry(p.sx, p.y1 - p.y0, p.sz), mat);
+    m.position.set(p.x, (p.y0 + p.y1) / 2, p.z);
+    m.castShadow = !isMobile;
+    m.receiveShadow = true;
+    g.add(m);
+  }
+}
+
+// Flat-shaded mesh from [[x, y, z] × 3] triangles
+function triangles(tris) {
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.Float32BufferAttribute(tris.flat(2), 3));
+  geo.computeVertexNormals();
+  return geo;
+}
+
+// Deck, two posts and a flat roof in front of the door (parts from src/world/houseparts.js, world coords)
+function makePorch(g, house, { deck, posts, roof }) {
+  const local = (r) => ({ x: r.x - house.x, z: r.z - house.z });
+  const boards = new THREE.Mesh(new THREE.BoxGeometry(deck.w, 0.08, deck.d), porchMat);
+  boards.position.set(local(deck).x, 0.04, local(deck).z);
+  boards.receiveShadow = true;
+  g.add(boards);
+  for (const p of posts) {
+    const m = new THREE.Mesh(new THREE.CylinderGeometry(p.r, p.r, roof.y, 8), porchMat);
+    m.position.set(local(p).x, roof.y / 2, local(p).z);
+    m.castShadow = !isMobile;
+    g.add(m);
+  }
+  const cover = new THREE.Mesh(new THREE.BoxGeometry(roof.w, 0.12, roof.d), new THREE.MeshStandardMaterial({ color: house.roofColor }));
+  cover.position.set(local(roof).x, roof.y + 0.06, local(roof).z);
+  cover.castShadow = !isMobile;
+  g.add(cover);
+}
+
+function makeHouse(house, index) {
+  const { x, z, w, d, h, color, roofColor, interior } = house;
+  const baseY = groundY(x, z); // terrain is leveled under houses (Terrain.prepareForLayout)
+  const g = new THREE.Group();
+  g.position.set(x, baseY, z);
+
+  // Shell: four walls, every story tall, the one the house faces with the doorway
+  const walls = houseWalls(house);
+  const wallMat = new THREE.MeshStandardMaterial({ color });
+  for (const wall of walls.shell) makeWall(g, wallMat, wall, wallHeight(house));
+
+  // Windows on every wall and story; on the ground floor's front, beside the door
+  const winGeo = new THREE.PlaneGeometry(WINDOW_W, WINDOW_H);
+  for (const spot of windowSpots(house)) {
+    const m = new THREE.Mesh(winGeo, windowMat);
+    m.position.set(spot.x, spot.y, spot.z);
+    m.rotation.y = spot.ry;
+    g.add(m);
+  }
+
+  const floor = new THREE.Mesh(
+    new THREE.PlaneGeometry(w - WALL_T * 2, d - WALL_T * 2),
+    new THREE.MeshStandardMaterial({ color: 0xb08a64, roughness: 0.9 })
+  );
+  floor.rotation.x = -Math.PI / 2;
+  floor.position.y = 0.02;
+  floor.receiveShadow = true;
+  g.add(floor);
+
+  const ceiling = new THREE.Mesh(
+    new THREE.PlaneGeometry(w - WALL_T * 2, d - WALL_T * 2),
+    new THREE.MeshStandardMaterial({ color: 0xf4efe6 })
+  );
+  ceiling.rotation.x = Math.PI / 2; // faces down
+  ceiling.position.y = h - 0.02;
+  g.add(ceiling);
+
+  // Roof (and chimney) on the wall tops, drawn door-on-+Z and turned to face the same way
+  const top = new THREE.Group();
+  top.position.y = wallHeight(house);
+  top.rotation.y = facingAngle(house.facing);
+  g.add(top);
+  const { faces, gables } = roofTriangles(house);
+  const roof = new THREE.Mesh(triangles(faces), new THREE.MeshStandardMaterial({ color: roofColor, side: THREE.DoubleSide }));
+  roof.castShadow = !isMobile;
+  top.add(roof);
+  if (gables.length) top.add(new THREE.Mesh(triangles(gables), wallMat));
+  const stack = chimney(house);
+  if (stack) {
+    const m = new THREE.Mesh(new THREE.BoxGeometry(stack.w, stack.y1 - stack.y0, stack.d), chimneyMat);
+    m.position.set(stack.x, (stack.y0 + stack.y1) / 2, stack.z);
+    m.castShadow = !isMobile;
+    top.add(m);
+  }
+
+  const front = porch(house);
+  if (front) makePorch(g, house, front);
+
+  // Optional interior: partition walls (with doorways) and furniture placeholders
+  if (interior) {
+    const innerMat = new THREE.MeshStandardMaterial({ color: 0xefe7da });
+    for (const wall of walls.inner) makeWall(g, innerMat, wall, h);
+
+    for (const f of interior.furniture) {
+      const m = new THREE.Mesh(
+        new THREE.BoxGeometry(f.w, f.h, f.d),
+        new THREE.MeshStandardMaterial({ color: f.color })
+      );
+      m.position.set(f.x, f.y + f.h / 2, f.z);
+      m.castShadow = !isMobile;
+      m.receiveShadow = true;
+      g.add(m);
+    }
+  }
+
+  built.add(g);
+  own(`house:${index}`, g);
+  town.houses.push(g);
+}
+
+// Paths drape over the terrain: one vertex roughly every terrain sample
+function makePath({ x, z, w, d }, index) {
+  const segW = Math.max(1, Math.ceil(w / town.terrain.step));
+  const segD = Math.max(1, Math.ceil(d / town.terrain.step));
+  const geo = new THREE.PlaneGeometry(w, d, segW, segD);
+  geo.rotateX(-Math.PI / 2);
+  const pos = geo.attributes.position;
+  for (let i = 0; i < pos.count; i++) pos.setY(i, groundY(x + pos.getX(i), z + pos.getZ(i)) + 0.02);
+  geo.computeVertexNormals();
+
+  const m = new THREE.Mesh(geo, new THREE.MeshStandardMaterial({ color: 0xc8c2b0, roughness: 1 }));
+  m.position.set(x, 0, z);
+  m.receiveShadow = true;
+  built.add(m);
+  own(`path:${index}`, m);
+}
+
+function makeWater({ x, z, w, d, y }) {
+  const m = new THREE.Mesh(new THREE.PlaneGeometry(w, d, 1, 1), waterMat);
+  m.rotation.x = -Math.PI / 2;
+  m.position.set(x, y, z);
+  m.userData.baseY = y;
+  built.add(m);
+  return m;
+}
+
+// Street lamp: post + emissive bulb; the real lights are lent out by src/lighting/lights.js
+function makeLamp(x, z) {
+  const y = groundY(x, z);
+  const post = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.06, 0.09, LAMP_H, 8),
+    new THREE.MeshStandardMaterial({ color: 0x3a3f44, roughness: 0.6 })
+  );
+  post.position.set(x, y + LAMP_H / 2, z);
+  post.castShadow = !isMobile;
+  built.add(post);
+
+  const bulb = new THREE.Mesh(new THREE.SphereGeometry(0.18, 12, 8), bulbMat);
+  bulb.position.set(x, y + LAMP_H + 0.1, z);
+  built.add(bulb);
+
+  town.lamps.push({ x, z, y: y + LAMP_H - 0.1 });
+}
+
+// ---------- Doors, light switches, mailboxes ----------
+// The items and their collision live in src/world/interactables.js; these are
+// their meshes, looked up by item. Doors swing toward their state in animateProps().
+const propViews = new Map();
+const DOOR_SWING = 4; // radians per second
+const SWITCH_GLOW = 1.5; // emissiveIntensity of a ceiling bulb switched on
+
+function makeDoor(item) {
+  const pivot = new THREE.Group(); // on the hinge; the leaf swings into the room around it
+  const shut = facingAngle(item.facing);
+  pivot.position.set(item.hingeX, item.y, item.hingeZ);
+  pivot.rotation.y = shut + (item.on ? Math.PI / 2 : 0);
+  const leaf = new THREE.Mesh(
+    new THREE.BoxGeometry(DOOR_W, DOOR_H - 0.02, DOOR_T),
+    new THREE.MeshStandardMaterial({ color: 0x8a5a3b, roughness: 0.8 })
+  );
+  leaf.position.set(DOOR_W / 2, DOOR_H / 2, DOOR_T / 2);
+  leaf.castShadow = !isMobile;
+  const knob = new THREE.Mesh(new THREE.SphereGeometry(0.05, 8, 6), new THREE.MeshStandardMaterial({ color: 0xc9a227, metalness: 0.6 }));
+  knob.position.set(DOOR_W - 0.15, 1.0, DOOR_T / 2);
+  pivot.add(leaf, knob);
+  built.add(pivot);
+  own(`house:${item.house}`, pivot);
+  propViews.set(item, { pivot, shut });
+}
+
+// Switch plate by the door, and the ceiling light it works
+function makeSwitch(item, house) {
+  const plate = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.12, 0.02), new THREE.MeshStandardMaterial({ color: 0xf5f5f0 }));
+  const out = turn(0, 0.01, item.facing);
+  plate.position.set(item.box.x + out.x, (item.box.y0 + item.box.y1) / 2, item.box.z + out.z);
+  plate.rotation.y = facingAngle(item.facing);
+  built.add(plate);
+  // Emissive-only, like the lamps past the light budget (src/lighting/lights.js):
+  // a real PointLight per house would cost every shader a light, on or off
+  const glow = new THREE.MeshStandardMaterial({ color: 0xf2efe4, emissive: 0xffe2b0, emissiveIntensity: item.on ? SWITCH_GLOW : 0 });
+  const bulb = new THREE.Mesh(new THREE.SphereGeometry(0.12, 12, 8), glow);
+  bulb.position.set(house.x, groundY(house.x, house.z) + house.h - 0.3, house.z);
+  built.add(bulb);
+  own(`house:${item.house}`, plate, bulb);
+  propViews.set(item, { glow });
+}
+
+function makeMailbox(item) {
+  const { x, z, y0 } = item.box;
+  const post = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.05, 0.05, MAILBOX_H, 8),
+    new THREE.MeshStandardMaterial({ color: 0x6d4c41 })
+  );
+  post.position.set(x, y0 + MAILBOX_H / 2, z);
+  const box = new THREE.Mesh(new THREE.BoxGeometry(0.24, 0.22, 0.4), new THREE.MeshStandardMaterial({ color: 0x3b6ea5 }));
+  box.position.set(x, y0 + MAILBOX_H + 0.1, z);
+  box.rotation.y = facingAngle(item.facing);
+  post.castShadow = box.castShadow = !isMobile;
+  built.add(post, box);
+  own(`house:${item.house}`, post, box);
+}
+
+// Lights follow their switches right away (after E, or a replay restoring them)
+export function refreshProps() {
+  for (const [item, view] of propViews) {
+    if (view.glow) view.glow.emissiveIntensity = item.on ? SWITCH_GLOW : 0;
+  }
+}
+
+// Doors swing open or shut over a fraction of a second
+export function animateProps(dt) {
+  for (const [item, view] of propViews) {
+    if (!view.pivot) continue;
+    const want = view.shut + (item.on ? Math.PI / 2 : 0);
+    const r = view.pivot.rotation;
+    r.y += Math.max(-DOOR_SWING * dt, Math.min(DOOR_SWING * dt, want - r.y));
+  }
+}
+
+// Heightfield for the layout's `terrain` entry: noise, a heightmap image, or flat
+export async function makeTerrain(spec) {
+  if (!spec) return Terrain.flat({ size: 220, resolution: 2 });
+  if (spec.heightmap) return Terrain.fromImageData(await loadHeightmap(spec.heightmap), spec);
+  return Terrain.fromNoise(spec);
+}
+
+function loadHeightmap(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const c = document.createElement("canvas");
+      c.width = img.width;
+      c.height = img.height;
+      const ctx = c.getContext("2d");
+      ctx.drawImage(img, 0, 0);
+      resolve(ctx.getImageData(0, 0, c.width, c.height));
+    };
+    img.onerror = () => reject(new Error(`heightmap ${url} failed to load`));
+    img.src = url;
+  });
+}
+
+// Build town from a normalized layout on top of its heightfield
+export function buildTown(layout, hf) {
+  town.baseTerrain = hf;
+  town.terrain = Terrain.prepareForLayout(hf.clone(), layout);
+  ground.geometry.dispose();
+  ground.geometry = terrainGeometry(town.terrain);
+
+  const lamps = Lamps.placeLamps(layout);
+  layout.houses.forEach(makeHouse);
+  const undergrowth = scatterPlants(layout).filter((_, i) => !isMobile || i % 2 === 0); // phones: half of it
+  plants = makePlants(layout.trees.concat(undergrowth), groundY);
+  built.add(plants);
+  layout.paths.forEach(makePath);
+  built.add(makeRoads(roadNetwork(layout), groundY));
+  if (layout.water) town.water = makeWater(layout.water);
+  for (const l of lamps) makeLamp(l.x, l.z);
+
+  addLayoutColliders(town.world, layout, town.terrain, lamps);
+  town.interact = layoutInteractables(town.world, layout, town.terrain);
+  for (const item of town.interact.items) {
+    if (item.kind === "door") makeDoor(item);
+    else if (item.kind === "switch") makeSwitch(item, layout.houses[item.house]);
+    else makeMailbox(item);
+  }
+  town.ceilingAt = ceilingLookup(layout, town.terrain);
+  town.layout = layout;
+}
+
+// Drop every mesh, collider and prop of the current town and build `layout`
+// on the same ground (the editor does this after each change)
+export function rebuildTown(layout) {
+  built.traverse((o) => {
+    if (o.geometry) o.geometry.dispose();
+    if (o.material && !SHARED_MATS.has(o.material)) o.material.dispose();
+  });
+  built.clear();
+  propViews.clear();
+  itemMeshes.clear();
+  town.world.clear();
+  town.houses = [];
+  town.lamps = [];
+  town.water = null;
+  buildTown(layout, town.baseTerrain);
+}
+
+// Slide the meshes of layout item `ref` ({ kind, index }, src/editor/edits.js)
+// (dx, dz) from where they were built. Collision and the ground stay as they
+// were: the editor rebuilds the town once the drag is over.
+export function previewMove(ref, dx, dz) {
+  if (ref.kind === "tree") {
+    if (plants) shiftPlant(plants, ref.index, dx, dz);
+    return;
+  }
+  for (const { o, x, z } of itemMeshes.get(`${ref.kind}:${ref.index}`) || []) o.position.set(x + dx, o.position.y, z + dz);
+}
+
+// Water bobs a couple of centimeters; t in ms
+export function animateWater(t) {
+  const w = town.water;
+  if (w) w.position.y = w.userData.baseY + Math.sin(t * 0.0012) * 0.02;
+}
@@ -0,0 +1,172 @@
+// ========= Seeded town generator =========
+// generate(seed) → layout object in the src/world/layout.js format. Same seed, same
+// town.
+
+import { ROOFS, porch } from "./houseparts.js";
+
+// --- seeded PRNG (mulberry32) + string seeds via FNV-1a ---
+function hashSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function makeRng(seed) {
+  let a = hashSeed(seed);
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.range = (mn, mx) => mn + next() * (mx - mn);
+  next.int   = (mn, mx) => Math.floor(next.range(mn, mx + 1));
+  next.pick  = (arr) => arr[Math.floor(next() * arr.length)];
+  return next;
+}
+
+const HOUSE_COLORS = ["#d8e2dc", "#ffe5d9", "#cdeac0", "#a3cef1", "#f1e3c6", "#e8d6f0"];
+const ROOF_COLORS  = ["#9b6a6c", "#8b4a2f", "#6d597a", "#7f5539"];
+
+const DEFAULTS = {
+  streets: [2, 3],        // east-west streets (min, max)
+  streetGap: 16,          // distance between streets
+  streetLength: [30, 46],
+  roadWidth: 3,
+  houseSpacing: 8,        // slot width along a street
+  houseChance: 0.8,       // probability a slot gets a house
+  trees: 24,
+  treeClearance: 1.2,     // keep-out margin around houses and paths
+  treeSpacing: 2.2,
+  interiorChance: 0.6,
+  storyChance: 0.3,       // two stories instead of one
+  chimneyChance: 0.4,
+  porchChance: 0.4,       // where there's room between the house and the street
+  bushChance: 0.15,       // trees that are bushes instead; the rest half conifers, half broadleaf
+  scatter: 700            // bushes and flower patches sprinkled over open ground
+};
+
+// Axis-aligned rects are { x, z, w, d } (center + size), same as layout paths.
+function overlaps(a, b, margin = 0) {
+  return Math.abs(a.x - b.x) * 2 < a.w + b.w + margin * 2 &&
+         Math.abs(a.z - b.z) * 2 < a.d + b.d + margin * 2;
+}
+
+const round = (v) => Math.round(v * 100) / 100;
+
+function generate(seed, options = {}) {
+  const o   = Object.assign({}, DEFAULTS, options);
+  const rng = makeRng(seed);
+
+  const paths = [];
+  const houses = [];
+  const trees = [];
+
+  // --- road network: E-W streets hung off one N-S main road ---
+  const nStreets = rng.int(o.streets[0], o.streets[1]);
+  const mainX    = round(rng.range(-4, 4));
+  const z0       = -((nStreets - 1) * o.streetGap) / 2;
+  const streets  = [];
+
+  for (let i = 0; i < nStreets; i++) {
+    const len  = round(rng.range(o.streetLength[0], o.streetLength[1]));
+    const skew = round(rng.range(-0.25, 0.25) * len);
+    streets.push({ x: mainX + skew, z: z0 + i * o.streetGap, w: len, d: o.roadWidth });
+  }
+  const southZ = streets[streets.length - 1].z + 10;
+  const northZ = streets[0].z - 4;
+  const main = { x: mainX, z: (northZ + southZ) / 2, w: o.roadWidth, d: southZ - northZ };
+  paths.push(main, ...streets);
+
+  // --- houses on the north side of each street, doors (+Z) facing it ---
+  for (const st of streets) {
+    const left  = st.x - st.w / 2;
+    const slots = Math.floor(st.w / o.houseSpacing);
+    for (let s = 0; s < slots; s++) {
+      if (rng() > o.houseChance) continue;
+      const w = round(rng.range(3.5, 5.5));
+      const d = round(rng.range(3.5, 5));
+      const h = round(rng.range(2.4, 3.2));
+      const x = round(left + (s + 0.5) * o.houseSpacing + rng.range(-0.8, 0.8));
+      const setback = round(rng.range(1.5, 3));
+      const z = round(st.z - st.d / 2 - setback - d / 2);
+      const rect = { x, z, w, d };
+      if (overlaps(rect, main, 0.5) || houses.some((hh) => overlaps(rect, hh, 0.5))) continue;
+
+      houses.push({ x, z, w, d, h, color: rng.pick(HOUSE_COLORS), roofColor: rng.pick(ROOF_COLORS) });
+      // short front walk from the door down to the street
+      paths.push({ x, z: round(z + d / 2 + setback / 2), w: 1.4, d: setback });
+    }
+  }
+
+  // --- pond off to one side of town ---
+  const pondSide = rng() < 0.5 ? -1 : 1;
+  const pondW = round(rng.range(12, 20));
+  const pondD = round(rng.range(10, 16));
+  const xMax  = Math.max(...streets.map((st) => Math.abs(st.x) + st.w / 2));
+  const water = { x: round(pondSide * (xMax + pondW / 2 + 6)), z: round(rng.range(-8, 8)), w: pondW, d: pondD, y: 0.05 };
+
+  // --- trees: rejection sampling, never on houses, paths, the pond or each other ---
+  const span = xMax + 12;
+  const blockers = houses.concat(paths, [water]);
+  for (let tries = 0; trees.length < o.trees && tries < o.trees * 40; tries++) {
+    const t = { x: round(rng.range(-span, span)), z: round(rng.range(northZ - 12, southZ + 6)), w: 0.7, d: 0.7 };
+    if (blockers.some((b) => overlaps(t, b, o.treeClearance))) continue;
+    if (trees.some((other) => Math.hypot(other.x - t.x, other.z - t.z) < o.treeSpacing)) continue;
+    trees.push({ x: t.x, z: t.z });
+  }
+
+  // --- simple interiors, rolled last so they don't shift the outdoor layout ---
+  for (const hs of houses) {
+    if (rng() > o.interiorChance) continue;
+    const innerW = round(hs.w / 2 - 0.15);
+    const splitZ = round(-hs.d / 2 + hs.d * rng.range(0.4, 0.5));
+    const bedW   = round(Math.min(1.4, innerW - 0.2));
+    hs.interior = {
+      walls: [{ x1: -innerW, z1: splitZ, x2: innerW, z2: splitZ, door: 1 }],
+      furniture: [{
+        x: round(rng() < 0.5 ? -innerW + bedW / 2 + 0.05 : innerW - bedW / 2 - 0.05),
+        z: round((-hs.d / 2 + 0.15 + splitZ) / 2),
+        w: bedW, d: round(Math.min(1.8, splitZ + hs.d / 2 - 0.5)), h: 0.5,
+        color: rng.pick(["#c5cae9", "#d7ccc8", "#b2dfdb"])
+      }]
+    };
+  }
+
+  const terrain = { seed, amplitude: round(rng.range(1.5, 3.5)), scale: round(rng.range(22, 36)) };
+
+  // --- house styles, after everything else for the same reason ---
+  const roads = [main, ...streets];
+  for (const hs of houses) {
+    hs.roof = rng.pick(ROOFS);
+    if (rng() < o.storyChance) hs.stories = 2;
+    if (rng() < o.chimneyChance) hs.chimney = true;
+    if (rng() < o.porchChance) {
+      const { deck } = porch(Object.assign({ facing: "south", porch: true }, hs));
+      const clear = !roads.some((r) => overlaps(deck, r, 0.3)) && !trees.some((t) => overlaps(deck, { x: t.x, z: t.z, w: 0.7, d: 0.7 }, 0.3));
+      if (clear) hs.porch = true;
+    }
+  }
+
+  // --- tree species, last of all ---
+  for (const t of trees) t.kind = rng() < o.bushChance ? "bush" : rng.pick(["conifer", "deciduous"]);
+
+  return {
+    version: 1,
+    name: `seed ${seed}`,
+    spawn: { x: mainX, z: round(southZ - 2), lookAt: { x: mainX, z: streets[0].z } },
+    terrain,
+    water,
+    houses,
+    trees,
+    scatter: { count: o.scatter, seed },
+    paths
+  };
+}
+
+export { generate, makeRng, hashSeed, overlaps, DEFAULTS };
@@ -0,0 +1,113 @@
+// ========= Plants as plain data: species, seeded looks, scattered undergrowth =========
+// Every layout tree has a species. A plant's size, colors and turn come from
+// a generator seeded by its species and spot, so it looks the same every
+// visit and on every device. The layout's "scatter" sprinkles bushes and
+// flower patches over open ground besides; those are only for looking at and
+// never get in anyone's way. The builder (src/world/plants.js) draws all of
+// them instanced, a handful of draw calls however many there are.
+
+import { makeRng, hashSeed } from "./towngen.js";
+import { porch } from "./houseparts.js";
+import { placeLamps } from "../lighting/lamps.js";
+import { roadNetwork } from "./roadgraph.js";
+
+// size: scale range; hue / sat / light: the crown's color, ± jitter;
+// spread: crown radius at scale 1 (the minimap draws it); solid: collision
+// cylinder { r, h } at scale 1, or null to walk through
+const SPECIES = {
+  conifer:   { size: [0.8, 1.3],  hue: [0.34, 0.03], sat: [0.45, 0.08], light: [0.27, 0.04], spread: 1.2,  solid: { r: 0.35, h: 2 } },
+  deciduous: { size: [0.8, 1.25], hue: [0.27, 0.05], sat: [0.5, 0.1],   light: [0.36, 0.06], spread: 1.4,  solid: { r: 0.35, h: 2 } },
+  bush:      { size: [0.7, 1.3],  hue: [0.3, 0.04],  sat: [0.4, 0.08],  light: [0.3, 0.05],  spread: 0.7,  solid: { r: 0.5, h: 0.9 } },
+  flowers:   { size: [0.8, 1.2],  hue: [0.3, 0.03],  sat: [0.45, 0.05], light: [0.32, 0.04], spread: 0.6,  solid: null }
+};
+const KINDS = Object.keys(SPECIES);
+const PETALS = [0xf06292, 0xfff176, 0xfafafa, 0xba68c8, 0xff8a65, 0x64b5f6];
+const TRUNKS = [0x8b5a2b, 0x7a4e2a, 0x6d4c41];
+const FLOWERS_PER_PATCH = 5;
+const MAX_SCATTER = 5000;
+
+// HSL (0..1 each) → 0xRRGGBB
+function hsl(h, s, l) {
+  const k = (n) => (n + h * 12) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => Math.round(255 * (l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1))));
+  return (f(0) << 16) | (f(8) << 8) | f(4);
+}
+
+// How one plant looks: { kind, scale, yaw, crown, trunk } colors as 0xRRGGBB;
+// flower patches also list their flowers { dx, dz, h, color }
+function plantLook(plant) {
+  const kind = plant.kind || "conifer";
+  const sp = SPECIES[kind];
+  const rng = makeRng(hashSeed(`${kind}@${plant.x},${plant.z}`));
+  const jitter = ([mid, spread]) => mid + (rng() * 2 - 1) * spread;
+  const look = {
+    kind,
+    scale: rng.range(sp.size[0], sp.size[1]),
+    yaw: rng() * Math.PI * 2,
+    crown: hsl(jitter(sp.hue), jitter(sp.sat), jitter(sp.light)),
+    trunk: rng.pick(TRUNKS)
+  };
+  if (kind === "flowers") {
+    const color = rng.pick(PETALS); // one kind of flower to a patch, a stray one now and then
+    look.flowers = Array.from({ length: FLOWERS_PER_PATCH }, () => {
+      const a = rng() * Math.PI * 2;
+      const r = Math.sqrt(rng()) * sp.spread * look.scale;
+      return { dx: Math.cos(a) * r, dz: Math.sin(a) * r, h: rng.range(0.2, 0.4), color: rng() < 0.15 ? rng.pick(PETALS) : color };
+    });
+  }
+  return look;
+}
+
+// Collision cylinder { r, h } for a layout tree, or null for none
+function plantSolid(plant) {
+  const { solid } = SPECIES[plant.kind || "conifer"];
+  if (!solid) return null;
+  if (plant.kind !== "bush") return solid; // trunks are the same whatever the crown
+  const s = plantLook(plant).scale;
+  return { r: solid.r * s, h: solid.h * s };
+}
+
+// The layout's undergrowth: `scatter.count` bushes and flower patches
+// ({ x, z, kind }) on open ground around the town, clear of houses, porches,
+// paths, roads, water, lamps, trees and the spawn point. Same layout, same plants.
+function scatterPlants(layout) {
+  const spec = layout.scatter;
+  if (!spec || !spec.count) return [];
+  const rng = makeRng(hashSeed(spec.seed));
+  const count = Math.min(spec.count, MAX_SCATTER);
+
+  // around everything the layout puts down, on the terrain
+  const dot = (p) => ({ x: p.x, z: p.z, w: 0, d: 0 });
+  const things = [...layout.houses, ...layout.paths, ...layout.trees.map(dot), ...(layout.roads ? layout.roads.nodes.map(dot) : [])];
+  const edge = (layout.terrain ? layout.terrain.size : 220) / 2 - 2;
+  const x0 = Math.max(-edge, Math.min(...things.map((r) => r.x - r.w / 2)) - 15);
+  const x1 = Math.min(edge, Math.max(...things.map((r) => r.x + r.w / 2)) + 15);
+  const z0 = Math.max(-edge, Math.min(...things.map((r) => r.z - r.d / 2)) - 15);
+  const z1 = Math.min(edge, Math.max(...things.map((r) => r.z + r.d / 2)) + 15);
+
+  const rects = [
+    ...layout.houses.map((h) => [h, 0.6]),
+    ...layout.houses.map((h) => porch(h)).filter(Boolean).map((p) => [p.deck, 0.4]),
+    ...layout.paths.map((p) => [p, 0.3]),
+    ...(layout.water ? [[layout.water, 1]] : [])
+  ];
+  const spots = [
+    ...layout.trees.map((t) => [t, 1]),
+    ...placeLamps(layout).map((l) => [l, 0.6]),
+    [layout.spawn, 2]
+  ];
+  const roads = roadNetwork(layout);
+  const plants = [];
+  for (let tries = 0; plants.length < count && tries < count * 4; tries++) {
+    const p = { x: rng.range(x0, x1), z: rng.range(z0, z1) };
+    const kind = rng() < 0.4 ? "bush" : "flowers";
+    if (rects.some(([r, m]) => Math.abs(p.x - r.x) < r.w / 2 + m && Math.abs(p.z - r.z) < r.d / 2 + m)) continue;
+    if (spots.some(([s, m]) => Math.hypot(p.x - s.x, p.z - s.z) < m)) continue;
+    if (roads.onRoad(p.x, p.z, 0.3)) continue;
+    plants.push({ x: Math.round(p.x * 100) / 100, z: Math.round(p.z * 100) / 100, kind });
+  }
+  return plants;
+}
+
+export { SPECIES, KINDS, MAX_SCATTER, hsl, plantLook, plantSolid, scatterPlants };
@@ -0,0 +1,105 @@
+// ========= House walls as plain data =========
+// Where every wall piece of a house goes and which of them are solid. The
+// builders (src/world/town.js) turn the pieces into meshes; the collision
+// boxes come from here too, so tests can build the exact same world in Node.
+
+const WALL_T = 0.15;  // wall thickness
+const DOOR_W = 1.6;
+const DOOR_H = 2.0;
+
+// Which way a house's front door faces (+Z is south on the map), clockwise
+// seen from above; each as the cos / sin of its turn from "south" so quarter
+// turns stay exact
+const FACINGS = ["south", "west", "north", "east"];
+const TURNS = { south: [1, 0], west: [0, -1], north: [-1, 0], east: [0, 1] };
+
+// Offset (x, z) drawn for a door on +Z → the same offset for a door facing
+// `facing` (the rotation THREE applies for facingAngle())
+function turn(x, z, facing = "south") {
+  const [c, s] = TURNS[facing];
+  return { x: x * c + z * s, z: -x * s + z * c };
+}
+
+function facingAngle(facing = "south") {
+  const [c, s] = TURNS[facing];
+  return Math.atan2(s, c);
+}
+
+// Width along the front wall and depth back from it
+function frontSize({ w, d, facing = "south" }) {
+  return facing === "east" || facing === "west" ? { w: d, d: w } : { w, d };
+}
+
+// Outer walls are this tall; `h` is one story (and the ground floor's ceiling)
+const wallHeight = (house) => house.h * (house.stories || 1);
+
+// One axis-aligned wall from (x1,z1) to (x2,z2) in house-local coords, with an
+// optional centered doorway → pieces { x, z, y0, y1, sx, sz, solid } (center + size).
+function wallPieces({ x1, z1, x2, z2, door = 0 }, h) {
+  const alongX = z1 === z2;
+  const a = alongX ? Math.min(x1, x2) : Math.min(z1, z2);
+  const b = alongX ? Math.max(x1, x2) : Math.max(z1, z2);
+  const c = alongX ? z1 : x1;
+  const mid = (a + b) / 2;
+  const pieces = [];
+
+  const piece = (from, to, y0, y1, solid) => {
+    if (to - from < 0.01) return;
+    const len = to - from;
+    const center = (from + to) / 2;
+    pieces.push({
+      x: alongX ? center : c,
+      z: alongX ? c : center,
+      y0, y1,
+      sx: alongX ? len : WALL_T,
+      sz: alongX ? WALL_T : len,
+      solid
+    });
+  };
+
+  if (door > 0) {
+    piece(a, mid - door / 2, 0, h, true);
+    piece(mid + door / 2, b, 0, h, true);
+    piece(mid - door / 2, mid + door / 2, Math.min(DOOR_H, h), h, true); // lintel: above a standing head, not a jumping one
+  } else {
+    piece(a, b, 0, h, true);
+  }
+  return pieces;
+}
+
+// Shell (north, west, east, south) with the doorway in the wall the house
+// faces, plus interior partitions
+function houseWalls({ w, d, facing = "south", interior }) {
+  const hw = w / 2 - WALL_T / 2;
+  const hd = d / 2 - WALL_T / 2;
+  const shell = [
+    { x1: -w / 2, z1: -hd, x2: w / 2, z2: -hd, side: "north" },
+    { x1: -hw, z1: -hd + WALL_T / 2, x2: -hw, z2: hd - WALL_T / 2, side: "west" },
+    { x1: hw,  z1: -hd + WALL_T / 2, x2: hw,  z2: hd - WALL_T / 2, side: "east" },
+    { x1: -w / 2, z1: hd, x2: w / 2, z2: hd, side: "south" }
+  ];
+  for (const wall of shell) if (wall.side === facing) wall.door = DOOR_W;
+  return { shell, inner: interior ? interior.walls : [] };
+}
+
+// World-space collision boxes for a normalized layout house standing at baseY
+// (partitions are one story tall, the shell all of them)
+function houseColliders(house, baseY = 0) {
+  const { shell, inner } = houseWalls(house);
+  const boxes = [];
+  const walls = shell.map((wall) => [wall, wallHeight(house)]).concat(inner.map((wall) => [wall, house.h]));
+  for (const [wall, h] of walls) {
+    for (const p of wallPieces(wall, h)) {
+      if (p.solid) boxes.push({ x: p.x, z: p.z, hx: p.sx / 2, hz: p.sz / 2, y0: p.y0, y1: p.y1 });
+    }
+  }
+  // Furniture may hang off the floor (shelves, lofts): crouch to get under it
+  const furniture = house.interior ? house.interior.furniture : [];
+  for (const f of furniture) boxes.push({ x: f.x, z: f.z, hx: f.w / 2, hz: f.d / 2, y0: f.y, y1: f.y + f.h });
+
+  return boxes.map((b) => ({
+    x: b.x + house.x, z: b.z + house.z, hx: b.hx, hz: b.hz, y0: baseY + b.y0, y1: baseY + b.y1, tag: "house"
+  }));
+}
+
+export { WALL_T, DOOR_W, DOOR_H, FACINGS, turn, facingAngle, frontSize, wallHeight, wallPieces, houseWalls, houseColliders };
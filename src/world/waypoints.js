@@ -0,0 +1,262 @@
+// ========= Waypoint graph for villagers, built from the layout's paths and roads =========
+// Each path rect gets nodes down its middle every few meters; where two paths
+// cross, the crossing point joins both. Roads get nodes down their middle
+// line too, sharing one at each road node (src/world/roadgraph.js). Every
+// house adds a "door" node a meter out from its doorway (on whichever side it
+// faces), linked to the nearest path node it can walk to in a straight line, a
+// "home" node just inside, and "corner" nodes around it.
+// Whatever is still cut off gets joined across the grass. route() finds the
+// shortest way between two nodes.
+
+import { turn, frontSize } from "./walls.js";
+import { roadNetwork, pointAt } from "./roadgraph.js";
+
+const SPACING = 4;      // meters between nodes along a path
+const DOOR_OUT = 1;     // door node: this far out from the front wall
+const HOME_IN = 1;      // home node: this far inside
+const CLEARANCE = 0.4;  // links keep this far from houses and the pond
+
+const within = (r, x, z, m = 0) => Math.abs(x - r.x) <= r.w / 2 + m && Math.abs(z - r.z) <= r.d / 2 + m;
+const overlapping = (a, b) => Math.abs(a.x - b.x) * 2 <= a.w + b.w && Math.abs(a.z - b.z) * 2 <= a.d + b.d;
+
+// Does the segment (ax, az) → (bx, bz) pass through rect r grown by m?
+function segmentHitsRect(ax, az, bx, bz, r, m) {
+  let t0 = 0;
+  let t1 = 1;
+  for (const [a, d, lo, hi] of [
+    [ax, bx - ax, r.x - r.w / 2 - m, r.x + r.w / 2 + m],
+    [az, bz - az, r.z - r.d / 2 - m, r.z + r.d / 2 + m]
+  ]) {
+    if (Math.abs(d) < 1e-9) {
+      if (a < lo || a > hi) return false;
+      continue;
+    }
+    let u0 = (lo - a) / d;
+    let u1 = (hi - a) / d;
+    if (u0 > u1) [u0, u1] = [u1, u0];
+    t0 = Math.max(t0, u0);
+    t1 = Math.min(t1, u1);
+    if (t0 > t1) return false;
+  }
+  return true;
+}
+
+class WaypointGraph {
+  constructor() {
+    this.nodes = []; // { id, x, z, kind: "path" | "door" | "home" | "corner", house?, links: [id] }
+  }
+
+  add(x, z, kind = "path", house = null) {
+    const node = { id: this.nodes.length, x, z, kind, house, links: [] };
+    this.nodes.push(node);
+    return node;
+  }
+
+  link(a, b) {
+    if (a === b || a.links.includes(b.id)) return;
+    a.links.push(b.id);
+    b.links.push(a.id);
+  }
+
+  // Closest node to (x, z) passing `ok(node)` (all nodes by default)
+  nearest(x, z, ok = () => true) {
+    let best = null;
+    let bestD = Infinity;
+    for (const n of this.nodes) {
+      const d = Math.hypot(n.x - x, n.z - z);
+      if (d < bestD && ok(n)) {
+        best = n;
+        bestD = d;
+      }
+    }
+    return best;
+  }
+
+  doorOf(house) {
+    return this.nodes.find((n) => n.kind === "door" && n.house === house) || null;
+  }
+
+  homeOf(house) {
+    return this.nodes.find((n) => n.kind === "home" && n.house === house) || null;
+  }
+
+  // Node ids from `from` to `to` (both included), shortest by distance; null if unreachable
+  route(from, to) {
+    const dist = new Array(this.nodes.length).fill(Infinity);
+    const prev = new Array(this.nodes.length).fill(-1);
+    const done = new Array(this.nodes.length).fill(false);
+    dist[from] = 0;
+    for (;;) {
+      let u = -1;
+      for (let i = 0; i < dist.length; i++) if (!done[i] && dist[i] < Infinity && (u < 0 || dist[i] < dist[u])) u = i;
+      if (u < 0) return null;
+      if (u === to) break;
+      done[u] = true;
+      const a = this.nodes[u];
+      for (const v of a.links) {
+        const b = this.nodes[v];
+        const d = dist[u] + Math.hypot(b.x - a.x, b.z - a.z);
+        if (d < dist[v]) {
+          dist[v] = d;
+          prev[v] = u;
+        }
+      }
+    }
+    const ids = [];
+    for (let u = to; u >= 0; u = prev[u]) ids.unshift(u);
+    return ids;
+  }
+}
+
+// Groups of nodes linked to each other, as node lists
+function components(graph) {
+  const seen = new Set();
+  const parts = [];
+  for (const start of graph.nodes) {
+    if (seen.has(start.id)) continue;
+    const part = [];
+    const stack = [start];
+    seen.add(start.id);
+    while (stack.length) {
+      const n = stack.pop();
+      part.push(n);
+      for (const id of n.links) {
+        if (!seen.has(id)) {
+          seen.add(id);
+          stack.push(graph.nodes[id]);
+        }
+      }
+    }
+    parts.push(part);
+  }
+  return parts;
+}
+
+// Nodes down the middle of a path rect: { t (meters along it), x, z }
+function spine(p) {
+  const alongX = p.w >= p.d;
+  const len = alongX ? p.w : p.d;
+  const ends = Math.max(0, len / 2 - Math.min(p.w, p.d) / 2); // stop half a width short of the ends
+  const count = Math.max(1, Math.ceil((ends * 2) / SPACING) + 1);
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const t = count === 1 ? 0 : -ends + (i * ends * 2) / (count - 1);
+    out.push(alongX ? { t, x: p.x + t, z: p.z } : { t, x: p.x, z: p.z + t });
+  }
+  return { alongX, points: out };
+}
+
+function buildWaypoints(layout) {
+  const graph = new WaypointGraph();
+  const blockers = layout.houses.concat(layout.water ? [layout.water] : []);
+  const blocked = (x, z) => blockers.some((r) => within(r, x, z, CLEARANCE));
+  const clear = (a, b) => !blockers.some((r) => segmentHitsRect(a.x, a.z, b.x, b.z, r, CLEARANCE));
+
+  // Spines, plus a shared node wherever two paths' middle lines cross inside both
+  const spines = layout.paths.map(spine);
+  layout.paths.forEach((p, i) => {
+    for (let j = i + 1; j < layout.paths.length; j++) {
+      const q = layout.paths[j];
+      if (spines[i].alongX === spines[j].alongX) continue;
+      const [h, v] = spines[i].alongX ? [p, q] : [q, p];
+      const cross = { x: v.x, z: h.z };
+      if (!within(p, cross.x, cross.z) || !within(q, cross.x, cross.z) || blocked(cross.x, cross.z)) continue;
+      const node = graph.add(cross.x, cross.z);
+      spines[i].points.push({ t: spines[i].alongX ? cross.x - p.x : cross.z - p.z, node });
+      spines[j].points.push({ t: spines[j].alongX ? cross.x - q.x : cross.z - q.z, node });
+    }
+  });
+  // Paths run under houses in some layouts: no nodes in there, and no links through them
+  for (const s of spines) {
+    s.points.sort((a, b) => a.t - b.t);
+    let last = null;
+    for (const pt of s.points) {
+      if (!pt.node && blocked(pt.x, pt.z)) continue;
+      const node = pt.node || graph.add(pt.x, pt.z);
+      if (last && clear(last, node)) graph.link(last, node);
+      last = node;
+    }
+  }
+  // Roads: a node at each road node, and as many between as SPACING asks for
+  const roads = roadNetwork(layout);
+  const roadNodes = new Map(roads.nodes.map((n) => [n.id, blocked(n.x, n.z) ? null : graph.add(n.x, n.z)]));
+  for (const e of roads.edges) {
+    const count = Math.max(1, Math.ceil(e.length / SPACING));
+    let last = roadNodes.get(e.from);
+    for (let i = 1; i <= count; i++) {
+      const p = pointAt(e.line, (i * e.length) / count);
+      if (i < count && blocked(p.x, p.z)) continue;
+      const node = i === count ? roadNodes.get(e.to) : graph.add(p.x, p.z);
+      if (last && node && clear(last, node)) graph.link(last, node);
+      last = node;
+    }
+  }
+
+  // Paths that overlap side by side (no crossing point): join their two closest nodes
+  const pathNodes = graph.nodes.slice();
+  layout.paths.forEach((p, i) => {
+    for (let j = i + 1; j < layout.paths.length; j++) {
+      const q = layout.paths[j];
+      if (!overlapping(p, q)) continue;
+      const mine = pathNodes.filter((n) => within(p, n.x, n.z, 0.01));
+      const theirs = pathNodes.filter((n) => within(q, n.x, n.z, 0.01));
+      if (mine.some((n) => theirs.includes(n))) continue; // already share a crossing
+      const best = closestClearPair(mine, theirs, clear);
+      if (best) graph.link(best.a, best.b);
+    }
+  });
+
+  // Door and home nodes, and a ring of corner nodes around each house so a
+  // door facing away from every path can still be reached. The door also links
+  // straight to the closest path node in plain view.
+  layout.houses.forEach((h, i) => {
+    const size = frontSize(h);
+    const at = (x, z) => {
+      const o = turn(x, z, h.facing);
+      return { x: h.x + o.x, z: h.z + o.z };
+    };
+    const out = at(0, size.d / 2 + DOOR_OUT);
+    const inside = at(0, size.d / 2 - HOME_IN);
+    const door = graph.add(out.x, out.z, "door", i);
+    const home = graph.add(inside.x, inside.z, "home", i);
+    graph.link(door, home);
+
+    const gx = size.w / 2 + DOOR_OUT;
+    const gz = size.d / 2 + DOOR_OUT;
+    const ring = [[-gx, gz], [gx, gz], [gx, -gz], [-gx, -gz]].map(([dx, dz]) => {
+      const c = at(dx, dz);
+      return blocked(c.x, c.z) ? null : graph.add(c.x, c.z, "corner", i);
+    });
+    ring.forEach((c, k) => {
+      const next = ring[(k + 1) % 4];
+      if (c && next && clear(c, next)) graph.link(c, next);
+    });
+    for (const c of ring.slice(0, 2)) if (c && clear(door, c)) graph.link(door, c);
+
+    const near = graph.nearest(door.x, door.z, (n) => n.kind === "path" && clear(door, n));
+    if (near) graph.link(door, near);
+  });
+
+  // Whatever still doesn't touch: cross the grass between the closest nodes
+  for (let parts = components(graph); parts.length > 1; parts = components(graph)) {
+    const outside = (part) => part.filter((n) => n.kind !== "home");
+    const best = closestClearPair(outside(parts[0]), parts.slice(1).flatMap(outside), clear);
+    if (!best) break; // walled off by houses / water: leave it be
+    graph.link(best.a, best.b);
+  }
+  return graph;
+}
+
+// Closest pair (a from `as`, b from `bs`) with a clear line between them, or null
+function closestClearPair(as, bs, clear) {
+  let best = null;
+  for (const a of as) {
+    for (const b of bs) {
+      const d = Math.hypot(a.x - b.x, a.z - b.z);
+      if ((!best || d < best.d) && clear(a, b)) best = { a, b, d };
+    }
+  }
+  return best;
+}
+
+export { SPACING, WaypointGraph, buildWaypoints, segmentHitsRect };
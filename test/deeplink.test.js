@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as DeepLink from "../src/state/deeplink.js";
+
+const close = (a, b, eps, what) => assert.ok(Math.abs(a - b) <= eps, `${what}: ${a} vs ${b}`);
+
+test("a viewpoint survives format and parse, to the digits the link keeps", () => {
+  const pose = { x: 12.345, z: -3.2, yaw: 1.2345, pitch: -0.3, night: true, seed: null, layout: "default" };
+  const back = DeepLink.parse(DeepLink.format(pose));
+  close(back.x, pose.x, 0.005, "x");
+  close(back.z, pose.z, 0.005, "z");
+  close(back.yaw, pose.yaw, 0.05 / (180 / Math.PI), "yaw");
+  close(back.pitch, pose.pitch, 0.05 / (180 / Math.PI), "pitch");
+  assert.equal(back.night, true);
+  assert.equal(back.layout, "default");
+  assert.equal(back.seed, null);
+});
+
+test("a seed wins over a layout, and odd seeds and layout names come back whole", () => {
+  const pose = { x: 0, z: 0, yaw: 0, pitch: 0, night: false };
+  const seeded = DeepLink.format(Object.assign({ seed: "hill & dale", layout: "default" }, pose));
+  assert.ok(!seeded.includes("layout="), seeded);
+  assert.equal(DeepLink.parse(seeded).seed, "hill & dale");
+  assert.equal(DeepLink.parse(seeded).layout, null);
+
+  const laid = DeepLink.parse(DeepLink.format(Object.assign({ seed: null, layout: "my town" }, pose)));
+  assert.equal(laid.layout, "my town");
+  assert.equal(laid.seed, null);
+  assert.equal(DeepLink.parse("#p=1,2").night, null, "no night= should leave the clock alone");
+});
+
+test("a hash that isn't a viewpoint gives null, and angles out of range are clamped", () => {
+  for (const hash of ["", "#", "#top", "#p=1", "#p=1,2,3", "#p=a,2", "#p=1,NaN", "#p=,&yaw=10"]) {
+    assert.equal(DeepLink.parse(hash), null, `"${hash}" parsed`);
+  }
+  const pose = DeepLink.parse("#p=1,2&yaw=720&pitch=-120");
+  close(pose.yaw, 2 * Math.PI, 1e-9, "yaw");
+  close(pose.pitch, -89 / (180 / Math.PI), 1e-9, "pitch");
+  assert.equal(DeepLink.parse("#p=1,2&yaw=west").yaw, 0);
+});
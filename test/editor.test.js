@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as TownLayout from "../src/world/layout.js";
+import { headlessTown } from "../src/world/colliders.js";
+import { buildWaypoints } from "../src/world/waypoints.js";
+import { LayoutEdits, snap, pick, fileName } from "../src/editor/edits.js";
+import { defaultLayout, seeded, oneHouse, walkFrom } from "./helpers.js";
+
+// One 4×4 house at the origin with a shelf in the north-west corner
+const shelfHouse = (facing) =>
+  oneHouse({ ...(facing && { facing }), interior: { furniture: [{ x: -1.2, z: -1.4, w: 1.2, d: 0.6, h: 0.4, y: 1.2 }] } });
+
+test("serialize gives back a layout file that parses to the same town", () => {
+  for (const layout of [defaultLayout(), seeded(7)]) {
+    const file = JSON.parse(JSON.stringify(TownLayout.serialize(layout)));
+    assert.deepEqual(TownLayout.validate(file), []);
+    assert.deepEqual(TownLayout.parse(file), layout);
+  }
+  const pondless = shelfHouse();
+  assert.equal(TownLayout.parse(TownLayout.serialize(pondless)).water, null);
+});
+
+test("a house facing east has its doorway, door and door node on the east wall", () => {
+  const env = headlessTown(shelfHouse("east"));
+  assert.ok(walkFrom(env, 3.5, 0, Math.PI / 2).x < 1, "couldn't get in from the east");
+  assert.ok(walkFrom(env, 0, 3.5, 0).z > 2, "walked in through the south wall");
+
+  const door = env.interact.items.find((it) => it.kind === "door");
+  env.interact.setDoor(door, false);
+  assert.ok(Math.abs(door.shape.x - 1.88) < 0.01 && Math.abs(door.shape.z) < 0.01, `shut door at ${door.shape.x}, ${door.shape.z}`);
+  assert.ok(walkFrom(env, 3.5, 0, Math.PI / 2).x > 2, "walked through the shut door");
+  const node = buildWaypoints(env.layout).doorOf(0);
+  assert.deepEqual([node.x, node.z], [3, 0]);
+});
+
+test("turning a house four times brings it back; each turn keeps it a valid layout", () => {
+  const edits = new LayoutEdits(TownLayout.parse({
+    version: 1, spawn: { x: 0, z: 8 }, water: null, trees: [], paths: [],
+    houses: [{
+      x: 0, z: 0, w: 6, d: 4,
+      interior: { walls: [{ x1: 1, z1: -1.85, x2: 1, z2: 1.85, door: 0.9 }], furniture: [{ x: -2, z: -1, w: 1, d: 1.5, h: 0.8 }] }
+    }]
+  }));
+  const before = structuredClone(edits.layout);
+  const ref = { kind: "house", index: 0 };
+  const facings = [];
+  for (let i = 0; i < 4; i++) {
+    edits.rotate(ref);
+    const h = edits.item(ref);
+    facings.push(h.facing);
+    assert.deepEqual(TownLayout.validate(TownLayout.serialize(edits.layout)), [], `after ${i + 1} turns`);
+  }
+  assert.deepEqual(facings, ["west", "north", "east", "south"]);
+  assert.deepEqual(edits.layout, before);
+
+  edits.undo();
+  assert.equal(edits.item(ref).facing, "east");
+  assert.deepEqual([edits.item(ref).w, edits.item(ref).d], [4, 6]);
+  assert.equal(edits.rotate({ kind: "tree", index: 0 }), false);
+});
+
+test("moves, additions and deletions undo and redo in order", () => {
+  const edits = new LayoutEdits(defaultLayout());
+  const house = { kind: "house", index: 0 };
+  const start = structuredClone(edits.layout);
+
+  edits.checkpoint();           // a drag …
+  edits.move(house, 12, -5);
+  edits.move(house, 14, -6);    // … ends here
+  edits.settle();
+  const tree = edits.add("tree", 0, 0);
+  edits.remove({ kind: "path", index: 0 });
+  assert.equal(edits.layout.trees.length, start.trees.length + 1);
+  assert.deepEqual(edits.item(tree), { x: 0, z: 0, kind: "deciduous" });
+
+  assert.ok(edits.undo() && edits.undo());
+  assert.deepEqual([edits.item(house).x, edits.item(house).z], [14, -6]);
+  assert.ok(edits.undo());
+  assert.deepEqual(edits.layout, start);
+  assert.equal(edits.undo(), false);
+
+  assert.ok(edits.redo() && edits.redo() && edits.redo());
+  assert.equal(edits.layout.paths.length, start.paths.length - 1);
+  assert.equal(edits.redo(), false);
+
+  edits.checkpoint();           // a click that didn't drag anything
+  edits.settle();
+  edits.undo();
+  assert.equal(edits.layout.trees.length, start.trees.length + 1, "an empty drag took an undo step");
+});
+
+test("a moved house collides where it now stands, not where it was", () => {
+  const edits = new LayoutEdits(shelfHouse());
+  edits.checkpoint();
+  edits.move({ kind: "house", index: 0 }, 10, 0);
+  const env = headlessTown(edits.layout);
+  assert.equal(env.world.collides(0, -2, 0.25, 0.1, 1.7), false);
+  assert.equal(env.world.collides(10, -2, 0.25, 0.1, 1.7), true);
+  assert.ok(walkFrom(env, 10, 3.5, 0).z < 1, "the doorway didn't move with the house");
+});
+
+test("picking prefers trees, then houses, then the smallest path; snapping rounds to the grid", () => {
+  const layout = defaultLayout();
+  const t = layout.trees[0];
+  assert.deepEqual(pick(layout, t.x + 0.5, t.z), { kind: "tree", index: 0 });
+  const h = layout.houses[3];
+  assert.deepEqual(pick(layout, h.x + 1, h.z - 1), { kind: "house", index: 3 });
+  assert.equal(pick(layout, 100, 100), null);
+
+  assert.equal(snap(2.6), 3);
+  assert.equal(snap(-0.4), 0);
+  assert.ok(!Object.is(snap(-0.4), -0));
+  assert.equal(snap(2.4, 0.5), 2.5);
+  assert.equal(snap(1.23456, 0), 1.23);
+  assert.equal(fileName(layout), "root-render-default-town.json");
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as Sim from "../src/physics/sim.js";
+import { FixedStep, TICK, interpolate } from "../src/physics/fixedstep.js";
+import { makeEnv } from "./helpers.js";
+
+const env = makeEnv();
+
+// Drive the sim the way the browser does: per frame, some fixed ticks; jump on frame 0
+function simulate(hz, seconds) {
+  const clock = new FixedStep();
+  let s = Sim.createState();
+  let jumped = false;
+  let peak = 0;
+  const frames = Math.round(seconds * hz);
+  for (let f = 0; f < frames; f++) {
+    clock.advance(1 / hz, (dt, i) => {
+      const input = { fwd: 1 };
+      if (i === 0 && !jumped) { input.jump = true; jumped = true; }
+      s = Sim.step(s, input, dt, env);
+      peak = Math.max(peak, s.y);
+    });
+  }
+  return { s, peak };
+}
+
+test("runs whole ticks and keeps the remainder", () => {
+  const clock = new FixedStep();
+  let ticks = 0;
+  const alpha = clock.advance(2.5 * TICK, () => ticks++);
+  assert.equal(ticks, 2);
+  assert.ok(Math.abs(alpha - 0.5) < 1e-9);
+
+  clock.advance(0.5 * TICK, () => ticks++);
+  assert.equal(ticks, 3);
+  assert.ok(clock.alpha < 1e-6);
+});
+
+test("two 120 Hz frames make exactly one 60 Hz tick", () => {
+  const clock = new FixedStep();
+  let ticks = 0;
+  for (let f = 0; f < 120; f++) clock.advance(1 / 120, () => ticks++);
+  assert.equal(ticks, 60);
+});
+
+test("a stalled frame is cut to maxFrame", () => {
+  const clock = new FixedStep({ maxFrame: 0.25 });
+  let ticks = 0;
+  clock.advance(5, () => ticks++);
+  assert.equal(ticks, Math.round(0.25 / TICK));
+});
+
+test("walking and jumping come out identical at 30, 60 and 120 Hz", () => {
+  const a = simulate(30, 2);
+  const b = simulate(60, 2);
+  const c = simulate(120, 2);
+  assert.deepEqual(a, b);
+  assert.deepEqual(b, c);
+  assert.ok(Math.abs(-b.s.vz - Sim.PLAYER.walkSpeed) < 1e-9, "got up to full walking speed");
+  assert.ok(-b.s.z > Sim.PLAYER.walkSpeed * 1.5, `walked ${(-b.s.z).toFixed(2)} m in 2 s`);
+});
+
+test("interpolates the rendered position between ticks", () => {
+  const p = interpolate({ x: 0, y: 0, z: 0 }, { x: 2, y: 1, z: -4 }, 0.25);
+  assert.deepEqual(p, { x: 0.5, y: 0.25, z: -1 });
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { shapeStick, readPad } from "../src/input/gamepad.js";
+
+const SETTINGS = { deadzone: 0.2, lookSpeed: 2, invertY: false };
+
+// A standard-mapping Gamepad snapshot: axes [lx, ly, rx, ry], the listed buttons held
+function snapshot(axes, held = []) {
+  const buttons = Array.from({ length: 17 }, (_, i) => ({ pressed: held.includes(i), value: held.includes(i) ? 1 : 0 }));
+  return { axes, buttons };
+}
+
+test("sticks inside the deadzone read as centered", () => {
+  assert.deepEqual(shapeStick(0.1, -0.15, 0.2), { x: 0, y: 0 });
+  const pad = readPad(snapshot([0.12, 0.1, -0.1, 0.15]), 1 / 60, SETTINGS);
+  assert.equal(pad.move, null);
+  assert.ok(pad.look.yaw === 0 && pad.look.pitch === 0);
+});
+
+test("past the deadzone the stick ramps from 0 up to full tilt", () => {
+  const just = shapeStick(0.21, 0, 0.2);
+  assert.ok(just.x > 0 && just.x < 0.02);
+  assert.ok(Math.abs(shapeStick(1, 0, 0.2).x - 1) < 1e-12);
+  const diag = shapeStick(Math.SQRT1_2, Math.SQRT1_2, 0.2);
+  assert.ok(Math.abs(Math.hypot(diag.x, diag.y) - 1) < 1e-12, "diagonals reach full tilt too, not more");
+});
+
+test("left stick up walks forward, right strafes right", () => {
+  const pad = readPad(snapshot([1, -1, 0, 0]), 1 / 60, SETTINGS);
+  assert.ok(pad.move.fwd > 0.7 && pad.move.right > 0.7);
+});
+
+test("right stick turns at lookSpeed per second, up looks up unless inverted", () => {
+  const dt = 0.5;
+  const right = readPad(snapshot([0, 0, 1, 0]), dt, SETTINGS);
+  assert.ok(Math.abs(right.look.yaw - SETTINGS.lookSpeed * dt) < 1e-12);
+  const up = readPad(snapshot([0, 0, 0, -1]), dt, SETTINGS);
+  assert.ok(up.look.pitch > 0);
+  const inverted = readPad(snapshot([0, 0, 0, -1]), dt, { ...SETTINGS, invertY: true });
+  assert.equal(inverted.look.pitch, -up.look.pitch);
+});
+
+test("A, B, X, Y, RB, left stick click, View and Menu map to their actions", () => {
+  const held = [0, 1, 2, 3, 5, 8, 9, 10];
+  assert.deepEqual(readPad(snapshot([0, 0, 0, 0], held), 1 / 60, SETTINGS).down, ["jump", "crouch", "flash", "night", "use", "map", "menu", "sprint"]);
+  assert.deepEqual(readPad(snapshot([0, 0, 0, 0], [4, 6]), 1 / 60, SETTINGS).down, []);
+});
@@ -0,0 +1,62 @@
+// Shared by the tests: the worlds and layouts they build their towns from
+import { readFileSync } from "node:fs";
+
+import { CollisionWorld } from "../src/physics/collision.js";
+import * as Sim from "../src/physics/sim.js";
+import { createRunner, runFrame } from "../src/physics/fixedstep.js";
+import { houseColliders } from "../src/world/walls.js";
+import * as Terrain from "../src/world/terrain.js";
+import * as TownLayout from "../src/world/layout.js";
+import * as TownGen from "../src/world/towngen.js";
+
+// A flat world with the given houses (normalized layout entries) built like the browser does
+export function makeEnv(houses = []) {
+  const world = new CollisionWorld({ cellSize: 4 });
+  for (const h of houses) for (const box of houseColliders(h, 0)) world.addBox(box);
+  const ceilingAt = (x, z) => {
+    for (const h of houses) {
+      if (Math.abs(x - h.x) < h.w / 2 && Math.abs(z - h.z) < h.d / 2) return h.h;
+    }
+    return Infinity;
+  };
+  return { world, terrain: Terrain.flat({ size: 220, resolution: 2 }), ceilingAt };
+}
+
+export const house = (extra = {}) => Object.assign({ x: 0, z: 0, w: 4, d: 4, h: 2.6, interior: null }, extra);
+
+// One 60 Hz frame of input holding forward, for runFrame()
+export const walk = { dt: 1 / 60, move: { fwd: 1, right: 0 }, look: { yaw: 0, pitch: 0 }, hold: [], press: [] };
+
+// Walk straight ahead for two seconds from (x, z) along yaw
+export function walkFrom(env, x, z, yaw) {
+  const runner = createRunner(Sim.createState({ x, z, yaw }));
+  for (let i = 0; i < 120; i++) runFrame(runner, walk, env);
+  return runner.state;
+}
+
+// A layout of one 4×4 house at the origin (extra fields merged into it), spawn out front
+export const oneHouse = (extra = {}) => TownLayout.parse({
+  version: 1,
+  spawn: { x: 0, z: 8 },
+  water: null,
+  houses: [Object.assign({ x: 0, z: 0 }, extra)],
+  trees: [],
+  paths: []
+});
+
+// layouts/default.json, parsed afresh each call so a test can change it freely
+export const defaultLayout = () =>
+  TownLayout.parse(JSON.parse(readFileSync(new URL("../layouts/default.json", import.meta.url), "utf8")), "default");
+
+// The town ?seed= would build
+export const seeded = (seed) => TownLayout.parse(TownGen.generate(seed), `seed ${seed}`);
+
+// Just enough of localStorage
+export function memoryStorage(initial = {}) {
+  const data = Object.assign({}, initial);
+  return {
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v); },
+    data
+  };
+}
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as TownLayout from "../src/world/layout.js";
+import { headlessTown } from "../src/world/colliders.js";
+import { FACINGS, DOOR_W, frontSize, turn } from "../src/world/walls.js";
+import { EAVE, WINDOW_W, PORCH_H, roofHeightAt, roofTriangles, chimney, windowSpots, porch } from "../src/world/houseparts.js";
+import { placeLamps } from "../src/lighting/lamps.js";
+import { surfaceAt } from "../src/audio/steps.js";
+import { oneHouse, walkFrom, seeded } from "./helpers.js";
+
+test("roofs cover the house to the eaves, face outward and peak where the roof is highest", () => {
+  for (const roof of ["pyramid", "hip", "gable"]) {
+    for (const facing of FACINGS) {
+      const house = oneHouse({ w: 6, d: 4, roof, facing }).houses[0];
+      const { w, d } = frontSize(house);
+      const { faces } = roofTriangles(house);
+      let top = 0;
+      for (const [a, b, c] of faces) {
+        for (const [x, y, z] of [a, b, c]) {
+          assert.ok(Math.abs(x) <= w / 2 + EAVE + 1e-9 && Math.abs(z) <= d / 2 + EAVE + 1e-9, `${roof}: a corner past the eaves`);
+          top = Math.max(top, y);
+        }
+        const ny = (b[2] - a[2]) * (c[0] - a[0]) - (b[0] - a[0]) * (c[2] - a[2]); // up part of (b - a) × (c - a)
+        assert.ok(ny > 0, `${roof} facing ${facing}: a roof face points down`);
+      }
+      assert.ok(Math.abs(top - roofHeightAt(house, 0, 0)) < 1e-9, `${roof}: peak isn't over the middle`);
+      assert.ok(Math.abs(roofHeightAt(house, 0, d / 2)) < 1e-9, `${roof}: roof doesn't meet the wall tops`);
+      if (roof !== "gable") assert.ok(Math.abs(roofHeightAt(house, w / 2, 0)) < 1e-9, `${roof}: roof doesn't meet the side walls`);
+    }
+  }
+  const wide = oneHouse({ w: 6, d: 4, roof: "hip" }).houses[0];
+  const ridge = roofTriangles(wide).faces.flat().filter((p) => p[1] === roofHeightAt(wide, 0, 0)).map((p) => p[0]);
+  assert.equal(Math.max(...ridge) - Math.min(...ridge), 2, "a hip roof's ridge is the length minus the width");
+  assert.equal(roofTriangles(wide).gables.length, 0);
+  assert.equal(roofTriangles(oneHouse({ roof: "gable" }).houses[0]).gables.length, 2);
+});
+
+test("a chimney stands clear of its roof", () => {
+  for (const roof of ["pyramid", "hip", "gable"]) {
+    const house = oneHouse({ w: 5, d: 4.5, roof, chimney: true }).houses[0];
+    const c = chimney(house);
+    for (const [dx, dz] of [[-1, -1], [-1, 1], [1, -1], [1, 1]]) {
+      assert.ok(c.y1 > roofHeightAt(house, c.x + (dx * c.w) / 2, c.z + (dz * c.d) / 2) + 0.3, `${roof}: chimney buried in the roof`);
+    }
+  }
+  assert.equal(chimney(oneHouse({}).houses[0]), null);
+});
+
+test("windows go on every wall and story, never over the doorway", () => {
+  for (const facing of FACINGS) {
+    const house = oneHouse({ w: 6, d: 5, stories: 2, facing }).houses[0];
+    const spots = windowSpots(house);
+    const front = frontSize(house);
+    const inFront = (s) => Math.abs(turn(s.x, s.z, facing).z - front.d / 2) < 0.1; // on the door wall
+    for (const s of spots.filter((s) => inFront(s) && s.y < house.h)) {
+      assert.ok(Math.abs(turn(s.x, s.z, facing).x) >= DOOR_W / 2 + WINDOW_W / 2, `facing ${facing}: a window over the door`);
+    }
+    assert.ok(spots.filter(inFront).length >= 3, "no windows upstairs over the door");
+    assert.equal(new Set(spots.map((s) => s.ry)).size, 4, "a wall without windows");
+    assert.deepEqual([...new Set(spots.map((s) => s.y))].sort(), [1.5, 4.1]);
+  }
+  assert.equal(windowSpots(oneHouse({ windows: 3 }).houses[0]).length, 2 + 3 * 3);
+  assert.equal(windowSpots(oneHouse({ windows: 0 }).houses[0]).length, 0);
+});
+
+test("upper stories make the walls taller, but the ceiling stays over the ground floor", () => {
+  const env = headlessTown(oneHouse({ h: 2.5, stories: 3 }));
+  assert.equal(env.world.collides(0, -1.95, 0.25, 7, 7.4), true, "the third story has no walls");
+  assert.equal(env.world.collides(0, -1.95, 0.25, 7.6, 8), false);
+  assert.equal(env.ceilingAt(0, 0), 2.5);
+  assert.deepEqual(TownLayout.validate({ version: 1, spawn: { x: 0, z: 0 }, houses: [{ x: 0, z: 0, stories: 4, porch: "yes" }], trees: [], paths: [] }),
+    ["houses[0].stories: must be <= 3 (got 4)", 'houses[0].porch: expected boolean, got string']);
+});
+
+test("a porch follows the door, lets you in between its posts and keeps its roof over your head", () => {
+  for (const facing of FACINGS) {
+    const layout = oneHouse({ facing, porch: true });
+    const env = headlessTown(layout);
+    const p = porch(layout.houses[0]);
+    const out = turn(0, 5, facing);                      // out front, facing the door
+    const yaw = Math.atan2(out.x, out.z);
+    const inside = walkFrom(env, out.x, out.z, yaw);
+    assert.ok(Math.max(Math.abs(inside.x), Math.abs(inside.z)) < 2, `facing ${facing}: couldn't get past the porch and in the door`);
+    for (const post of p.posts) assert.equal(env.world.collides(post.x, post.z, 0.25, 0.1, 1.7), true);
+    assert.equal(env.ceilingAt(p.deck.x, p.deck.z), PORCH_H);
+    assert.equal(surfaceAt(layout, p.deck.x, p.deck.z), "floor");
+  }
+  const walkway = [{ x: 0, z: 2.5, w: 6, d: 1 }]; // along the front, its one lamp between the path and the porch's edge
+  assert.equal(placeLamps(Object.assign({}, oneHouse({}), { paths: walkway })).length, 1);
+  assert.equal(placeLamps(Object.assign({}, oneHouse({ porch: true }), { paths: walkway })).length, 0, "a lamp on the porch");
+
+  const low = oneHouse({ h: 2.2, porch: true });
+  const { roof, deck } = porch(low.houses[0]);
+  assert.ok(roof.y < low.houses[0].h, "the porch roof is above the eaves of a low house");
+  assert.equal(headlessTown(low).ceilingAt(deck.x, deck.z), roof.y);
+});
+
+test("generated houses get styles, and porches only where they fit", () => {
+  for (const seed of [1, 7, 42, "abc"]) {
+    const layout = seeded(seed);
+    const roads = layout.paths.filter((r) => r.w > 2 && r.d > 2);
+    for (const h of layout.houses.filter((hh) => hh.porch)) {
+      const { deck } = porch(h);
+      assert.ok(!roads.some((r) => Math.abs(deck.x - r.x) * 2 < deck.w + r.w && Math.abs(deck.z - r.z) * 2 < deck.d + r.d), `seed ${seed}: porch on the street`);
+    }
+    assert.ok(layout.houses.every((h) => ["pyramid", "hip", "gable"].includes(h.roof)));
+  }
+  const all = [1, 2, 3, 4, 5, 6].flatMap((seed) => seeded(seed).houses);
+  assert.ok(all.some((h) => h.porch) && all.some((h) => h.chimney) && all.some((h) => h.stories > 1), "styles never come up");
+});
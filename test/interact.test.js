@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as TownLayout from "../src/world/layout.js";
+import { headlessTown } from "../src/world/colliders.js";
+import { actionLabel } from "../src/world/interactables.js";
+import * as Sim from "../src/physics/sim.js";
+import { createRunner, runFrame } from "../src/physics/fixedstep.js";
+import { Recorder, replay } from "../src/physics/replay.js";
+import { walk } from "./helpers.js";
+
+// One 4×4 house at the origin: doorway x -0.8..0.8 in the front wall (z 1.85..2),
+// door hinged at x -0.8, switch inside at x 1.05, mailbox out front at (1.7, 3)
+function town() {
+  return headlessTown(TownLayout.parse({
+    version: 1,
+    spawn: { x: 0, z: 8 },
+    water: null,
+    houses: [{ x: 0, z: 0, mail: "Gas bill." }],
+    trees: [],
+    paths: []
+  }));
+}
+
+// Standing at (x, z); yaw 0 looks toward -Z, PI toward +Z
+const at = (x, z, yaw = 0, pitch = 0) => Sim.createState({ x, z, yaw, pitch });
+
+test("doors start open; E shuts one and it blocks the doorway until opened again", () => {
+  const env = town();
+  const outside = at(-0.77, 3.2);
+  const hit = env.interact.target(outside);
+  assert.equal(hit.item.kind, "door");
+  assert.equal(actionLabel(hit.item), "Close door");
+
+  assert.equal(env.interact.use(outside), hit.item);
+  assert.equal(hit.item.on, false);
+  assert.equal(actionLabel(env.interact.target(outside).item), "Open door");
+
+  const runner = createRunner(at(0, 3.2));
+  for (let i = 0; i < 120; i++) runFrame(runner, walk, env);
+  assert.ok(runner.state.z > 2, `walked through a shut door to z=${runner.state.z}`);
+
+  env.interact.use(outside);
+  for (let i = 0; i < 120; i++) runFrame(runner, walk, env);
+  assert.ok(runner.state.z < 1, `still outside at z=${runner.state.z}`);
+});
+
+test("a door won't swing shut on you standing in the doorway", () => {
+  const env = town();
+  const inDoorway = at(0, 1.75, Math.PI / 2); // looking at the open leaf along -X
+  assert.equal(env.interact.target(inDoorway).item.kind, "door");
+  assert.equal(env.interact.use(inDoorway), null);
+  assert.equal(env.interact.items[0].on, true);
+});
+
+test("light switches work from inside, not through the wall", () => {
+  const env = town();
+  assert.equal(env.interact.target(at(1.05, 3)), null);
+  const inside = at(1.05, 0.5, Math.PI, -0.3);
+  const sw = env.interact.use(inside);
+  assert.equal(sw.kind, "switch");
+  assert.equal(sw.on, true);
+  assert.equal(actionLabel(sw), "Switch the light off");
+});
+
+test("mailboxes hand back their text within reach only", () => {
+  const env = town();
+  const near = env.interact.use(at(1.7, 4.3, 0, -0.35));
+  assert.equal(near.kind, "mailbox");
+  assert.equal(near.text, "Gas bill.");
+  assert.equal(env.interact.target(at(1.7, 8, 0, -0.1)), null);
+});
+
+test("a recording that shuts a door replays the same from the doors it started with", () => {
+  const env = town();
+  env.interact.use(at(-0.77, 3.2)); // shut before recording starts…
+  const runner = createRunner(at(-0.77, 3.2));
+  const recorder = new Recorder({ town: { layout: "test" }, runner, props: env.interact.snapshot() });
+  const frames = [Object.assign({}, walk, { move: null, press: ["use"] })]; // …opened on the first frame
+  for (let i = 0; i < 90; i++) frames.push(Object.assign({}, walk, { move: { fwd: 1, right: 0.3 } }));
+  for (const frame of frames) {
+    recorder.add(frame);
+    runFrame(runner, frame, env);
+    if (frame.press.includes("use")) env.interact.use(runner.state);
+  }
+  const rec = JSON.parse(JSON.stringify(recorder.finish(runner)));
+  assert.ok(runner.state.z < 1.5, "the walk should get through the reopened door");
+
+  const fresh = town(); // all doors open: the recording shuts the first before starting
+  const { matches } = replay(rec, fresh);
+  assert.equal(matches, true);
+  assert.equal(fresh.interact.items[0].on, true);
+});
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as TownLayout from "../src/world/layout.js";
+
+// A small valid layout, with `changes` merged over it (undefined deletes a field)
+function layoutWith(changes = {}, house = {}) {
+  const layout = {
+    version: 1,
+    spawn: { x: 0, z: 10 },
+    water: null,
+    houses: [Object.assign({ x: 0, z: 0, w: 4, d: 4 }, house)],
+    trees: [{ x: 6, z: 6 }],
+    paths: []
+  };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === undefined) delete layout[key];
+    else layout[key] = value;
+  }
+  return layout;
+}
+
+test("a good layout passes", () => {
+  assert.deepEqual(TownLayout.validate(layoutWith()), []);
+  assert.equal(TownLayout.parse(layoutWith()).houses[0].w, 4);
+});
+
+test("the version has to be there and has to be one this build reads", () => {
+  assert.deepEqual(TownLayout.validate(layoutWith({ version: undefined })), ["version: missing"]);
+  assert.deepEqual(TownLayout.validate(layoutWith({ version: "1" })), ["version: expected number, got string"]);
+  assert.deepEqual(TownLayout.validate(layoutWith({ version: 0 })), ["version: must be >= 1 (got 0)"]);
+  assert.deepEqual(TownLayout.validate(layoutWith({ version: 1.5 })), ["version: expected integer, got 1.5"]);
+  const newer = TownLayout.VERSION + 1;
+  assert.deepEqual(TownLayout.validate(layoutWith({ version: newer })),
+    [`version: layout v${newer} is newer than this build (v${TownLayout.VERSION})`]);
+});
+
+test("coordinates have to be numbers", () => {
+  assert.deepEqual(TownLayout.validate(layoutWith({}, { x: "12" })), ["houses[0].x: expected number, got string"]);
+  assert.deepEqual(TownLayout.validate(layoutWith({ spawn: { x: 0, z: null } })), ["spawn.z: expected number, got null"]);
+  assert.deepEqual(TownLayout.validate(layoutWith({ spawn: { z: 3 } })), ["spawn.x: missing"]);
+});
+
+test("sizes and colors have to make sense, and unknown fields are named", () => {
+  assert.deepEqual(TownLayout.validate(layoutWith({}, { w: 0 })), ["houses[0].w: must be >= 2.5 (got 0)"]);
+  assert.deepEqual(TownLayout.validate(layoutWith({}, { color: "pink" })), ['houses[0].color: expected color "#rrggbb", got "pink"']);
+  assert.deepEqual(TownLayout.validate(layoutWith({}, { spire: true })), ["houses[0].spire: unknown field"]);
+});
+
+test("roofs and facings have to be ones the builder knows", () => {
+  assert.deepEqual(TownLayout.validate(layoutWith({}, { roof: "gable", facing: "west" })), []);
+  assert.deepEqual(TownLayout.validate(layoutWith({}, { roof: "dome" })),
+    ['houses[0].roof: expected one of pyramid, hip, gable, got "dome"']);
+  assert.deepEqual(TownLayout.validate(layoutWith({}, { facing: "up" })),
+    ['houses[0].facing: expected one of south, west, north, east, got "up"']);
+});
+
+test("interior walls and furniture have to fit inside their house", () => {
+  const interior = { walls: [{ x1: -1, z1: 0, x2: 3, z2: 0, door: 0.9 }], furniture: [{ x: 0, z: 1.5, w: 1, d: 1.5, h: 0.8 }] };
+  assert.deepEqual(TownLayout.validate(layoutWith({}, { interior })), [
+    "houses[0].interior.walls[0]: wall ends outside the 4×4 house",
+    "houses[0].interior.furniture[0]: sticks out of the house"
+  ]);
+});
+
+test("parse() throws every problem, naming the first and where it came from", () => {
+  const bad = layoutWith({ version: undefined }, { x: "12", color: "pink" });
+  assert.throws(() => TownLayout.parse(bad, "town.json"), (err) => {
+    assert.ok(err instanceof TownLayout.LayoutError);
+    assert.equal(err.message, "layout town.json: version: missing (+2 more)");
+    assert.deepEqual(err.errors, [
+      "version: missing",
+      "houses[0].x: expected number, got string",
+      'houses[0].color: expected color "#rrggbb", got "pink"'
+    ]);
+    return true;
+  });
+});
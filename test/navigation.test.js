@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as TownLayout from "../src/world/layout.js";
+import { headlessTown } from "../src/world/colliders.js";
+import { NavGrid } from "../src/world/navgrid.js";
+import { roadNetwork, frontStep } from "../src/world/roadgraph.js";
+import { GUIDE, createGuide, updateGuide, pointAhead, steer } from "../src/physics/guide.js";
+import * as Sim from "../src/physics/sim.js";
+import { createRunner, runFrame } from "../src/physics/fixedstep.js";
+import { defaultLayout } from "./helpers.js";
+
+// Walk the player with auto-walk from (x, z) along `route` for up to a minute
+// of 60 Hz frames → { state, guide }
+function autoWalk(env, x, z, route) {
+  const guide = createGuide(route);
+  const runner = createRunner(Sim.createState({ x, z, yaw: 2 }));
+  for (let i = 0; i < 3600; i++) {
+    const s = runner.state;
+    updateGuide(guide, s.x, s.z, 1 / 60);
+    if (guide.arrived || guide.stuck > GUIDE.stuckTime) break;
+    const input = steer(guide, s, 1 / 60);
+    runFrame(runner, { dt: 1 / 60, move: input.move, look: { yaw: input.turn, pitch: 0 }, hold: [], press: [] }, env);
+  }
+  return { state: runner.state, guide };
+}
+
+test("the grid is closed where the player doesn't fit and open through doorways", () => {
+  const layout = defaultLayout();
+  const nav = new NavGrid(headlessTown(layout));
+  const house = layout.houses[1];
+  assert.equal(nav.isOpen(house.x, house.z), true, "can't stand in the middle of a house");
+  assert.equal(nav.isOpen(house.x + 1, house.z - house.d / 2), false, "back wall is open");
+  const step = frontStep(house);
+  assert.equal(nav.isOpen(step.x, step.z), true);
+  assert.equal(nav.isOpen(house.x, house.z + house.d / 2), true, "doorway is closed");
+  const tree = layout.trees.find((t) => t.kind === "conifer");
+  assert.equal(nav.isOpen(tree.x, tree.z), false);
+  assert.equal(nav.isOpen(layout.water.x, layout.water.z), false, "walking into the pond");
+  assert.equal(nav.isOpen(999, 999), false);
+});
+
+test("paths reach every house without crossing anything and leave a house by its door", () => {
+  const layout = defaultLayout();
+  const nav = new NavGrid(headlessTown(layout));
+  const { spawn } = layout;
+  for (const house of layout.houses) {
+    const step = frontStep(house);
+    const route = nav.findPath(spawn.x, spawn.z, step.x, step.z);
+    assert.ok(route, `no way to house at ${house.x}, ${house.z}`);
+    assert.deepEqual(route.points[0], { x: spawn.x, z: spawn.z });
+    assert.deepEqual(route.points[route.points.length - 1], step);
+    for (let i = 1; i < route.points.length; i++) {
+      assert.ok(nav.lineCost(route.points[i - 1], route.points[i]) < Infinity, "a stretch goes through something");
+    }
+    assert.ok(route.length >= Math.hypot(step.x - spawn.x, step.z - spawn.z) - 1e-9);
+  }
+
+  const [out, home] = [layout.houses[0], layout.houses[1]];
+  const way = nav.findPath(home.x, home.z, frontStep(out).x, frontStep(out).z);
+  const door = { x: home.x, z: home.z + home.d / 2 };
+  assert.ok(way.points.some((p) => Math.abs(p.x - door.x) < 1 && Math.abs(p.z - door.z) < 2.5), "didn't go out the front door");
+});
+
+test("paths keep to a road that bends, and give up on a goal that's walled in", () => {
+  const layout = TownLayout.parse({
+    version: 1, spawn: { x: 0, z: 20 }, water: null, houses: [], trees: [], paths: [],
+    roads: { nodes: [{ id: "a", x: -10, z: 0 }, { id: "b", x: 10, z: 0 }], edges: [{ from: "a", to: "b", width: 2, sidewalk: 0, via: [{ x: 0, z: 4 }] }] }
+  });
+  const env = headlessTown(layout);
+  // a yard at (10, 10) with a wall all round
+  for (const [x, z] of [[6, 6], [10, 6], [14, 6], [14, 10], [14, 14], [10, 14], [6, 14], [6, 10]]) env.world.addBox({ x, z, hx: 2, hz: 2, y0: 0, y1: 3, tag: "house" });
+  const nav = new NavGrid(env);
+  const roads = roadNetwork(layout);
+  const route = nav.findPath(-10, 0, 10, 0);
+  assert.ok(route.length > 20.5, "cut across the grass");
+  for (let i = 1; i < route.points.length; i++) {
+    const [a, b] = [route.points[i - 1], route.points[i]];
+    for (let k = 0; k <= 10; k++) {
+      assert.ok(roads.onRoad(a.x + ((b.x - a.x) * k) / 10, a.z + ((b.z - a.z) * k) / 10, 0.5), "left the road");
+    }
+  }
+  assert.equal(nav.findPath(0, 0, 10, 10), null, "walked into a walled-in yard");
+});
+
+test("a guide tracks how far is left, who's wandered off and who's there", () => {
+  const route = { points: [{ x: 0, z: 0 }, { x: 10, z: 0 }, { x: 10, z: 10 }], length: 20 };
+  const g = createGuide(route);
+  updateGuide(g, 4, 1, 0.1);
+  assert.deepEqual([g.seg, g.along, g.off, g.remaining, g.arrived], [0, 4, 1, 16, false]);
+  updateGuide(g, 10.5, 3, 0.1);
+  assert.deepEqual([g.seg, g.remaining], [1, 7]);
+  updateGuide(g, 4, 0, 0.1); // back where we came from: still on the second stretch, well off it
+  assert.equal(g.seg, 1);
+  assert.ok(g.off > GUIDE.offRoute);
+  assert.ok(g.stuck > 0.05, "going backwards counted as getting closer");
+  assert.deepEqual(pointAhead(createGuide(route), 12), { x: 10, z: 2, dx: 0, dz: 1 });
+  assert.equal(updateGuide(g, 10, 9.5).arrived, true);
+
+  const s = Sim.createState({ x: 0, z: 0, yaw: 0 }); // looking down -Z, the way is +X: turn right
+  const a = steer(createGuide(route), s, 1 / 60);
+  assert.ok(a.turn > 0 && a.turn <= GUIDE.turnRate / 60 + 1e-12);
+  assert.equal(a.move.fwd, 0, "walks off sideways before turning");
+  assert.equal(steer(createGuide(route), Sim.createState({ yaw: -Math.PI / 2 }), 1 / 60).move.fwd, 1);
+});
+
+test("auto-walk takes the player to every front door, the same way every time", () => {
+  const layout = defaultLayout();
+  const env = headlessTown(layout);
+  const nav = new NavGrid(env);
+  const { spawn } = layout;
+  for (const house of layout.houses) {
+    const step = frontStep(house);
+    const route = nav.findPath(spawn.x, spawn.z, step.x, step.z);
+    const { state, guide } = autoWalk(env, spawn.x, spawn.z, route);
+    assert.ok(guide.arrived, `stuck on the way to the house at ${house.x}, ${house.z}, at ${state.x}, ${state.z}`);
+    assert.deepEqual(autoWalk(env, spawn.x, spawn.z, route).state, state);
+  }
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as Persist from "../src/state/persist.js";
+import { memoryStorage } from "./helpers.js";
+
+const state = (extra = {}) => Object.assign(
+  { town: "layout:default", pos: { x: 3, z: -4 }, yaw: 1, pitch: -0.2, hour: 21, nightMode: true, flashlightOn: false },
+  extra
+);
+
+// localStorage as a browser in private mode may hand it out
+const throwing = {
+  getItem() { throw new Error("SecurityError"); },
+  setItem() { throw new Error("QuotaExceededError"); },
+  removeItem() { throw new Error("SecurityError"); }
+};
+
+test("a saved state loads back for its own town only", () => {
+  const storage = memoryStorage();
+  assert.equal(Persist.save(storage, state()), true);
+  assert.deepEqual(Persist.load(storage, "layout:default"), Object.assign({ v: 1 }, state()));
+  assert.equal(Persist.load(storage, "seed:42"), null);
+  assert.equal(Persist.load(memoryStorage(), "layout:default"), null, "nothing saved yet");
+});
+
+test("another version, a missing or non-finite number or garbage JSON loads as nothing", () => {
+  const stored = (raw) => memoryStorage({ [Persist.KEY]: typeof raw === "string" ? raw : JSON.stringify(raw) });
+  const good = Object.assign({ v: 1 }, state());
+  assert.equal(Persist.load(stored(Object.assign({}, good, { v: 2 })), "layout:default"), null);
+  assert.equal(Persist.load(stored(Object.assign({}, good, { v: undefined })), "layout:default"), null);
+  assert.equal(Persist.load(stored(Object.assign({}, good, { pos: { x: 3 } })), "layout:default"), null);
+  assert.equal(Persist.load(stored(Object.assign({}, good, { yaw: "1" })), "layout:default"), null);
+  // JSON has no NaN or Infinity; sanitize() still has to turn them away
+  assert.equal(Persist.sanitize(Object.assign({}, good, { pos: { x: NaN, z: 0 } })), null);
+  assert.equal(Persist.sanitize(Object.assign({}, good, { pitch: Infinity })), null);
+  assert.equal(Persist.sanitize(Object.assign({}, good, { hour: NaN })).hour, null, "a bad hour just isn't restored");
+  for (const text of ["{", "not json", "null", "42", "[]"]) {
+    assert.equal(Persist.load(stored(text), "layout:default"), null, `loaded ${text}`);
+  }
+});
+
+test("pitch is clamped to straight up or down, and only true switches things on", () => {
+  const up = Persist.sanitize(Object.assign({ v: 1 }, state({ pitch: 3, nightMode: "yes", flashlightOn: 1 })));
+  assert.equal(up.pitch, Math.PI / 2);
+  assert.equal(up.nightMode, false);
+  assert.equal(up.flashlightOn, false);
+  assert.equal(Persist.sanitize(Object.assign({ v: 1 }, state({ pitch: -3 }))).pitch, -Math.PI / 2);
+});
+
+test("a storage that throws loses the state quietly", () => {
+  assert.equal(Persist.save(throwing, state()), false);
+  assert.equal(Persist.load(throwing, "layout:default"), null);
+  assert.doesNotThrow(() => Persist.clear(throwing));
+});
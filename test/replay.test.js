@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import * as TownLayout from "../src/world/layout.js";
+import * as TownGen from "../src/world/towngen.js";
+import { headlessTown } from "../src/world/colliders.js";
+import * as Sim from "../src/physics/sim.js";
+import { createRunner, runFrame } from "../src/physics/fixedstep.js";
+import { REPLAY_VERSION, Recorder, ReplayError, replay, check } from "../src/physics/replay.js";
+
+const REPLAYS = new URL("./replays/", import.meta.url);
+const readJson = (url) => JSON.parse(fs.readFileSync(url, "utf8"));
+
+// The town a recording was made in, built the way the browser builds it (minus meshes)
+function townFor(rec) {
+  const layout = rec.town.seed !== undefined
+    ? TownLayout.parse(TownGen.generate(rec.town.seed), `seed ${rec.town.seed}`)
+    : TownLayout.parse(readJson(new URL(`../layouts/${rec.town.layout}.json`, import.meta.url)), rec.town.layout);
+  return headlessTown(layout);
+}
+
+// Every recording in test/replays/ must still end exactly where it was recorded
+for (const file of fs.readdirSync(REPLAYS).filter((f) => f.endsWith(".json"))) {
+  test(`replays/${file} ends on its recorded state`, () => {
+    const rec = readJson(new URL(file, REPLAYS));
+    const { state, matches } = replay(rec, townFor(rec));
+    assert.equal(matches, true, `ended at ${JSON.stringify(state)}, recorded ${JSON.stringify(rec.end)}`);
+  });
+}
+
+// Walk around a generated town with uneven frame times, recording as the browser does
+function recordWalk(seed, walkSpeed = null) {
+  const env = Object.assign(townFor({ town: { seed } }), { walkSpeed });
+  const sp = env.layout.spawn;
+  const runner = createRunner(Sim.createState({ x: sp.x, z: sp.z, y: env.terrain.heightAt(sp.x, sp.z) }));
+  const recorder = new Recorder({ town: { seed }, runner, hour: 21, walkSpeed });
+  const dts = [1 / 60, 1 / 144, 1 / 30, 0.019];
+  for (let i = 0; i < 400; i++) {
+    const frame = {
+      dt: dts[i % dts.length],
+      move: i % 90 < 70 ? { fwd: 1, right: i % 200 < 100 ? 0 : 1 } : null,
+      look: { yaw: Math.sin(i / 25) * 0.03, pitch: i % 7 === 0 ? -0.004 : 0 },
+      press: i % 120 === 30 ? ["jump"] : []
+    };
+    recorder.add(frame);
+    runFrame(runner, frame, env);
+  }
+  return { rec: recorder.finish(runner), env };
+}
+
+test("a recording survives JSON and replays to the same state", () => {
+  const { rec, env } = recordWalk("replay-test");
+  const copy = JSON.parse(JSON.stringify(rec));
+  const { state, matches } = replay(copy, env);
+  assert.equal(matches, true);
+  assert.deepEqual(state, rec.end);
+  assert.ok(Math.hypot(state.x - rec.start.state.x, state.z - rec.start.state.z) > 5, "the walk should go somewhere");
+});
+
+test("changing one frame of input changes where the replay ends", () => {
+  const { rec, env } = recordWalk("replay-test");
+  const copy = JSON.parse(JSON.stringify(rec));
+  copy.frames[10].look = [0.5, 0];
+  assert.equal(replay(copy, env).matches, false);
+});
+
+test("a recording replays at the walk speed it was made with", () => {
+  const { rec, env } = recordWalk("replay-test", 9);
+  const headless = townFor(rec); // no speed setting of its own
+  assert.equal(replay(rec, headless).matches, true);
+  assert.equal(replay(Object.assign({}, rec, { walkSpeed: null }), env).matches, false);
+});
+
+test("check() rejects things that aren't recordings", () => {
+  assert.throws(() => check(null), ReplayError);
+  assert.throws(() => check({ version: 99 }), /unsupported version/);
+  assert.throws(() => check({ version: 1, town: { seed: "a" }, start: { state: {} }, frames: [] }), /before sprint/);
+  assert.throws(() => check({ version: REPLAY_VERSION, town: { seed: "a" }, start: { state: {} }, frames: [{ dt: "x" }] }), /frames\[0\]\.dt/);
+});
@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as TownLayout from "../src/world/layout.js";
+import { RoadNetwork, roadNetwork, frontStep, pointAt } from "../src/world/roadgraph.js";
+import { placeLamps } from "../src/lighting/lamps.js";
+import { surfaceAt } from "../src/audio/steps.js";
+import { scatterPlants } from "../src/world/vegetation.js";
+import { defaultLayout } from "./helpers.js";
+
+// A plus sign of four roads meeting at the origin, one of them bent
+function crossroads() {
+  return TownLayout.parse({
+    version: 1,
+    spawn: { x: 0, z: 30 },
+    water: null,
+    houses: [],
+    trees: [],
+    paths: [],
+    roads: {
+      nodes: [
+        { id: "mid", x: 0, z: 0 }, { id: "n", x: 0, z: -20 }, { id: "s", x: 0, z: 20 },
+        { id: "w", x: -20, z: 0 }, { id: "e", x: 20, z: 0 }
+      ],
+      edges: [
+        { from: "mid", to: "n" }, { from: "s", to: "mid" }, { from: "mid", to: "w", width: 2 },
+        { from: "mid", to: "e", via: [{ x: 10, z: 4 }] }
+      ]
+    }
+  });
+}
+
+test("roads run through their nodes and vias and give way where they meet", () => {
+  const net = roadNetwork(crossroads());
+  const bent = net.edges[3];
+  const near = (p, q) => Math.hypot(p.x - q.x, p.z - q.z) < 1e-9;
+  assert.ok(near(bent.line[0], { x: 0, z: 0 }) && near(bent.line[bent.line.length - 1], { x: 20, z: 0 }));
+  assert.ok(bent.line.some((p) => near(p, { x: 10, z: 4 })), "the road misses its via");
+  assert.ok(bent.length > 20 && bent.line.every((p, i) => i === 0 || p.s > bent.line[i - 1].s));
+
+  assert.equal(net.patches.length, 1, "dead ends get intersections");
+  const [patch] = net.patches;
+  assert.equal(patch.node, "mid");
+  const reach = 4 / 2 + 1 + 0.5; // widest road's half width, its sidewalk, the corner
+  for (const e of net.edges) {
+    const atMid = e.from === "mid" ? e.trim[0] : e.length - e.trim[1];
+    assert.equal(atMid, reach, `${e.from}–${e.to} doesn't stop at the intersection`);
+    assert.equal(e.from === "mid" ? e.length - e.trim[1] : e.trim[0], 0, "a dead end got trimmed");
+    const cut = pointAt(e.line, e.from === "mid" ? e.trim[0] : e.trim[1]);
+    assert.ok(patch.road.length >= 4 && net.onRoad(cut.x, cut.z), "the patch doesn't meet the road");
+  }
+  assert.ok(net.onRoad(2.9, 2.9), "the corner between two sidewalks isn't paved");
+  assert.equal(new RoadNetwork(null).patches.length, 0);
+});
+
+test("the nearest road point, and what counts as on the road", () => {
+  const net = roadNetwork(crossroads());
+  const p = net.nearest(-12, 1.6);
+  assert.deepEqual([p.x, p.z, p.edge, p.onRoad], [-12, 0, 2, true]);
+  assert.ok(Math.abs(p.dist - 1.6) < 1e-9 && Math.abs(p.s - 12) < 1e-9);
+  assert.equal(net.nearest(-12, 2.1).onRoad, false, "past the narrow road's sidewalk");
+  assert.equal(net.onRoad(-12, 2.1), false);
+  assert.equal(net.onRoad(-12, 2.1, 0.2), true);
+  assert.equal(net.onRoad(0, -12 + 0.1), true);
+  assert.equal(surfaceAt(crossroads(), 0, -12), "gravel");
+  assert.equal(surfaceAt(crossroads(), 8, -12), "grass");
+  assert.equal(new RoadNetwork(null).nearest(0, 0), null);
+});
+
+test("routes follow the roads, the short way round, and not between roads that never meet", () => {
+  const net = roadNetwork(crossroads());
+  const r = net.route(-18, 3, 3, -18);
+  assert.equal(r.points[0].x, -18);
+  assert.equal(r.points[r.points.length - 1].z, -18);
+  assert.ok(r.points.some((q) => q.x === 0 && q.z === 0), "didn't turn at the crossing");
+  assert.ok(Math.abs(r.length - (3 + 18 + 18 + 3)) < 1e-9);
+  assert.ok(r.points.slice(1, -1).every((q) => net.onRoad(q.x, q.z)), "left the road halfway");
+  assert.ok(Math.abs(net.route(-18, 0, -5, 0).length - 13) < 1e-9, "went round by the crossing");
+
+  const layout = defaultLayout();
+  const town = roadNetwork(layout);
+  assert.equal(roadNetwork(layout), town, "built twice");
+  const [a, b] = [layout.houses[2], layout.houses[3]];
+  const way = town.routeBetween(a, b);
+  assert.deepEqual(way.points[0], frontStep(a));
+  assert.deepEqual(way.points[way.points.length - 1], frontStep(b));
+  assert.ok(way.length > Math.hypot(a.x - b.x, a.z - b.z), "cut across the grass");
+  assert.deepEqual(town.routeBetween(b, a).length.toFixed(9), way.length.toFixed(9));
+
+  const apart = TownLayout.parse({
+    version: 1, spawn: { x: 0, z: 0 }, houses: [], trees: [], paths: [],
+    roads: { nodes: [{ id: "a", x: 0, z: 0 }, { id: "b", x: 10, z: 0 }, { id: "c", x: 0, z: 10 }, { id: "d", x: 10, z: 10 }],
+      edges: [{ from: "a", to: "b" }, { from: "c", to: "d" }] }
+  });
+  assert.equal(roadNetwork(apart).route(2, 0, 2, 10), null);
+});
+
+test("lamps line the roads without standing on them, and nothing grows on them", () => {
+  const layout = crossroads();
+  const net = roadNetwork(layout);
+  const lamps = placeLamps(layout);
+  assert.ok(lamps.length >= 8);
+  for (const l of lamps) {
+    assert.equal(net.onRoad(l.x, l.z), false, `a lamp on the road at ${l.x}, ${l.z}`);
+    assert.ok(net.nearest(l.x, l.z).dist < 4.5, "a lamp out in the fields");
+  }
+  const plants = scatterPlants(Object.assign(defaultLayout(), { scatter: { count: 2000, seed: 5 } }));
+  const town = roadNetwork(defaultLayout());
+  assert.ok(plants.length > 1000);
+  assert.ok(plants.every((p) => !town.onRoad(p.x, p.z, 0.3)), "undergrowth on a road");
+});
+
+test("roads are checked and kept when saved", () => {
+  const bad = (roads) => TownLayout.validate({ version: 1, spawn: { x: 0, z: 0 }, houses: [], trees: [], paths: [], roads });
+  assert.deepEqual(bad({ nodes: [{ id: "a", x: 0, z: 0 }, { id: "b", x: 5, z: 0 }], edges: [{ from: "a", to: "b", width: 0.5 }] }),
+    ["roads.edges[0].width: must be >= 1 (got 0.5)"]);
+  assert.deepEqual(bad({
+    nodes: [{ id: "a", x: 0, z: 0 }, { id: "a", x: 5, z: 0 }],
+    edges: [{ from: "a", to: "b" }, { from: "a", to: "a" }]
+  }), [
+    'roads.nodes[1]: id "a" is taken',
+    'roads.edges[0].to: no node "b"',
+    'roads.edges[1]: goes from "a" back to itself'
+  ]);
+  assert.deepEqual(bad({ nodes: [], edges: [{ from: "a" }] }), ["roads.edges[0].to: missing"]);
+
+  const layout = crossroads();
+  assert.deepEqual(layout.roads.edges[0], { from: "mid", to: "n", width: 4, sidewalk: 1, via: [] });
+  const file = TownLayout.serialize(layout);
+  assert.equal("via" in file.roads.edges[0], false);
+  assert.deepEqual(TownLayout.parse(JSON.parse(JSON.stringify(file))), layout);
+  const none = TownLayout.parse({ version: 1, spawn: { x: 0, z: 0 }, houses: [], trees: [], paths: [] });
+  assert.equal(none.roads, null);
+  assert.equal("roads" in TownLayout.serialize(none), false);
+});
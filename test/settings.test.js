@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as Settings from "../src/state/settings.js";
+import { memoryStorage } from "./helpers.js";
+
+test("nothing saved yet gives the defaults", () => {
+  const s = Settings.load(memoryStorage());
+  assert.deepEqual(s, Settings.defaults());
+  assert.equal(s.fov, 75);
+  assert.deepEqual(s.keys.forward, ["KeyW", "ArrowUp"]);
+});
+
+test("settings survive a save and load", () => {
+  const storage = memoryStorage();
+  const s = Settings.defaults();
+  s.mouseSens = 0.004;
+  s.invertY = true;
+  Settings.rebind(s.keys, "jump", 1, "KeyJ");
+  assert.equal(Settings.save(storage, s), true);
+  assert.deepEqual(Settings.load(storage), s);
+});
+
+test("out-of-range numbers are clamped and junk falls back to defaults", () => {
+  const s = Settings.sanitize({ v: 1, fov: 400, walkSpeed: -3, mouseSens: "fast", invertY: "yes", keys: { jump: "Space", night: [42, "KeyB"] } });
+  assert.equal(s.fov, Settings.RANGES.fov.max);
+  assert.equal(s.walkSpeed, Settings.RANGES.walkSpeed.min);
+  assert.equal(s.mouseSens, Settings.RANGES.mouseSens.def);
+  assert.equal(s.invertY, false);
+  assert.deepEqual(s.keys.jump, ["Space", null]);
+  assert.deepEqual(s.keys.night, [null, "KeyB"]);
+  assert.deepEqual(Settings.load(memoryStorage({ [Settings.KEY]: "{not json" })), Settings.defaults());
+});
+
+test("binding a key takes it off the action that had it", () => {
+  const keys = Settings.defaults().keys;
+  Settings.rebind(keys, "jump", 0, "KeyW");
+  assert.deepEqual(keys.jump, ["KeyW", null]);
+  assert.deepEqual(keys.forward, [null, "ArrowUp"]);
+  Settings.rebind(keys, "jump", 0, null);
+  assert.deepEqual(keys.jump, [null, null]);
+});
+
+test("a saved key given to two actions ends up on one", () => {
+  const s = Settings.sanitize({ v: 1, keys: { forward: ["KeyQ", null], jump: ["KeyQ", null] } });
+  const holders = Object.keys(s.keys).filter((a) => s.keys[a].includes("KeyQ"));
+  assert.equal(holders.length, 1);
+});
@@ -0,0 +1,223 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as Sim from "../src/physics/sim.js";
+import { DOOR_W } from "../src/world/walls.js";
+import { makeEnv, house } from "./helpers.js";
+
+const DT = 1 / 60;
+
+function run(state, input, seconds, env, dt = DT) {
+  let s = state;
+  for (let t = 0; t < seconds - 1e-9; t += dt) s = Sim.step(s, input, dt, env);
+  return s;
+}
+
+test("walks straight through the front doorway into the house", () => {
+  const env = makeEnv([house()]);
+  const start = Sim.createState({ x: 0, z: 5 });
+  const s = run(start, { fwd: 1 }, 1, env);
+  assert.ok(s.z < 0, `expected to be inside, at z=${s.z.toFixed(2)}`);
+  assert.ok(Math.abs(s.x) < 1e-6);
+});
+
+test("the wall beside the doorway blocks", () => {
+  const env = makeEnv([house()]);
+  const start = Sim.createState({ x: DOOR_W / 2 + 0.6, z: 5 });
+  const s = run(start, { fwd: 1 }, 1.5, env);
+  assert.ok(s.z > 2 + Sim.PLAYER.radius - 0.01, `went through the wall to z=${s.z.toFixed(2)}`);
+});
+
+test("a shoulder catching the door frame slides into the doorway", () => {
+  const env = makeEnv([house()]);
+  // off-center by less than the player's radius past the opening: grazes the jamb
+  const start = Sim.createState({ x: DOOR_W / 2 - 0.1, z: 5 });
+  const s = run(start, { fwd: 1 }, 1.5, env);
+  assert.ok(s.z < 1.5, `stuck at the door frame, z=${s.z.toFixed(2)}`);
+});
+
+test("walking diagonally into a wall slides along it", () => {
+  const env = makeEnv();
+  env.world.addBox({ x: 0, z: 0, hx: 10, hz: 0.1 });
+  const start = Sim.createState({ x: 0, z: 1, yaw: -Math.PI / 4 }); // facing -Z turned 45° right
+  const s = run(start, { fwd: 1 }, 1, env);
+  assert.ok(s.x > 2, `should have slid along +X, x=${s.x.toFixed(2)}`);
+  assert.ok(s.z >= 0.1 + Sim.PLAYER.radius - 1e-3, `pushed into the wall, z=${s.z.toFixed(3)}`);
+});
+
+test("pushing into an inside corner stops without passing either wall", () => {
+  const env = makeEnv([house()]);
+  const start = Sim.createState({ x: 0, z: 0, yaw: Math.PI / 4 }); // facing the back-left corner
+  const s = run(start, { fwd: 1 }, 2, env);
+  const inner = 2 - 0.15 - Sim.PLAYER.radius;
+  assert.ok(s.x >= -inner - 1e-3 && s.z >= -inner - 1e-3, `left the room: ${s.x.toFixed(3)}, ${s.z.toFixed(3)}`);
+  assert.ok(s.x < -inner + 0.05 && s.z < -inner + 0.05, "should reach the corner");
+});
+
+test("a jump rises to v²/2g and lands after 2v/g", () => {
+  const env = makeEnv();
+  let s = Sim.step(Sim.createState(), { jump: true }, DT, env);
+  let peak = s.y;
+  let airtime = DT;
+  while (!s.onGround && airtime < 3) {
+    s = Sim.step(s, {}, DT, env);
+    peak = Math.max(peak, s.y);
+    airtime += DT;
+  }
+  const { jumpSpeed: v, gravity: g } = Sim.PLAYER;
+  assert.ok(Math.abs(peak - (v * v) / (2 * g)) < 0.06, `peak ${peak.toFixed(3)}`);
+  assert.ok(Math.abs(airtime - (2 * v) / g) < 2 * DT, `airtime ${airtime.toFixed(3)}`);
+  assert.equal(s.y, 0);
+  assert.equal(s.vy, 0);
+});
+
+test("no second jump while in the air", () => {
+  const env = makeEnv();
+  let s = Sim.step(Sim.createState(), { jump: true }, DT, env);
+  s = run(s, {}, 0.2, env);
+  const vy = s.vy;
+  s = Sim.step(s, { jump: true }, DT, env);
+  assert.ok(s.vy < vy, "jump pressed mid-air must not add speed");
+});
+
+test("jumping indoors stops at the ceiling", () => {
+  const env = makeEnv([house({ h: 2.2 })]);
+  let s = Sim.step(Sim.createState(), { jump: true }, DT, env);
+  let top = 0;
+  while (!s.onGround) {
+    s = Sim.step(s, {}, DT, env);
+    top = Math.max(top, s.y);
+  }
+  assert.ok(top + Sim.PLAYER.eyeHeight <= 2.2 - 0.1 + 1e-9, `head went to ${(top + Sim.PLAYER.eyeHeight).toFixed(3)}`);
+});
+
+test("long frames are clamped to MAX_DT", () => {
+  const env = makeEnv();
+  const a = Sim.step(Sim.createState(), { fwd: 1 }, 1.0, env);
+  const b = Sim.step(Sim.createState(), { fwd: 1 }, Sim.MAX_DT, env);
+  assert.equal(Sim.MAX_DT, 0.05);
+  assert.deepEqual(a, b);
+  assert.ok(Math.abs(-b.vz - Sim.PLAYER.accel * 0.05) < 1e-9);
+
+  const fallA = Sim.step(Object.assign(Sim.createState({ y: 5 }), { onGround: false }), {}, 0.5, env);
+  const fallB = Sim.step(Object.assign(Sim.createState({ y: 5 }), { onGround: false }), {}, 0.05, env);
+  assert.deepEqual(fallA, fallB);
+});
+
+test("speeds up and slows down instead of starting and stopping dead", () => {
+  const env = makeEnv();
+  const { walkSpeed, accel, decel } = Sim.PLAYER;
+  let s = run(Sim.createState(), { fwd: 1 }, 0.05, env);
+  assert.ok(-s.vz > 0 && -s.vz < walkSpeed, `speed after 0.05 s: ${(-s.vz).toFixed(2)}`);
+  s = run(s, { fwd: 1 }, 0.5, env);
+  assert.ok(Math.abs(-s.vz - walkSpeed) < 1e-9, "full speed after half a second");
+  const z = s.z;
+  s = run(s, {}, walkSpeed / decel + 2 * DT, env);
+  assert.equal(s.vz, 0);
+  assert.ok(z - s.z > 0.3, "coasts a little after letting go");
+  assert.ok(walkSpeed / accel < 0.2, "but never feels sluggish");
+});
+
+test("a half-tilted stick walks at half speed", () => {
+  const env = makeEnv();
+  const s = run(Sim.createState(), { fwd: 0.5 }, 1, env);
+  assert.ok(Math.abs(-s.vz - Sim.PLAYER.walkSpeed / 2) < 1e-9);
+});
+
+test("sprinting is faster until stamina runs out, then comes back after a rest", () => {
+  const env = makeEnv();
+  const { walkSpeed, sprintMul, staminaDrain, staminaMin, staminaRegen } = Sim.PLAYER;
+  let s = run(Sim.createState(), { fwd: 1, sprint: true }, 1, env);
+  assert.ok(Math.abs(-s.vz - walkSpeed * sprintMul) < 1e-9);
+  let t = 1;
+  while (!s.winded && t < 10) {
+    s = Sim.step(s, { fwd: 1, sprint: true }, DT, env);
+    t += DT;
+  }
+  assert.ok(Math.abs(t - 1 / staminaDrain) < 2 * DT, `ran dry after ${t.toFixed(2)} s`);
+  assert.equal(s.stamina, 0);
+  s = run(s, { fwd: 1, sprint: true }, 0.5, env);
+  assert.ok(Math.abs(-s.vz - walkSpeed) < 1e-9, "winded: back to walking");
+  s = run(s, { fwd: 1, sprint: true }, staminaMin / staminaRegen + 2 * DT, env);
+  assert.equal(s.winded, false);
+  s = run(s, { fwd: 1, sprint: true }, 0.5, env);
+  assert.ok(-s.vz > walkSpeed, "sprinting again");
+});
+
+test("sprint only works going forward", () => {
+  const env = makeEnv();
+  const s = run(Sim.createState(), { fwd: -1, sprint: true }, 1, env);
+  assert.ok(Math.abs(s.vz - Sim.PLAYER.walkSpeed) < 1e-9);
+  assert.equal(s.stamina, 1);
+});
+
+// A room with a shelf hanging at 1.25 m over its back half (z < -0.5)
+const shelfRoom = () => makeEnv([house({ w: 6, d: 6, interior: { walls: [], furniture: [{ x: 0, z: -1.75, y: 1.25, w: 5.5, d: 2.5, h: 0.25 }] } })]);
+
+test("crouching lowers the eyes, slows you down and gets you under low shelves", () => {
+  const env = shelfRoom();
+  const standing = run(Sim.createState({ z: 1 }), { fwd: 1 }, 2, env);
+  assert.ok(standing.z > -0.5, `walked into the shelf standing up, z=${standing.z.toFixed(2)}`);
+
+  const crouched = run(Sim.createState({ z: 1 }), { fwd: 1, crouch: true }, 2, env);
+  assert.equal(crouched.crouch, 1);
+  assert.equal(Sim.eyeHeight(crouched.crouch), Sim.PLAYER.crouchEye);
+  assert.ok(crouched.z < -1.5, `crawled under the shelf to z=${crouched.z.toFixed(2)}`);
+  const slow = run(Sim.createState(), { fwd: 1, crouch: true }, 1, makeEnv());
+  assert.ok(Math.abs(-slow.vz - Sim.PLAYER.walkSpeed * Sim.PLAYER.crouchMul) < 1e-9);
+});
+
+test("letting go of crouch under a shelf keeps you down until there's room", () => {
+  const env = shelfRoom();
+  let s = run(Sim.createState({ z: 1 }), { fwd: 1, crouch: true }, 2, env);
+  s = run(s, {}, 0.5, env);
+  assert.ok(s.y + Sim.bodyHeight(s.crouch) <= 1.25, `stood up into the shelf (crouch ${s.crouch})`);
+  assert.ok(s.crouch > 0.5);
+  s = run(s, { fwd: -1 }, 2, env);
+  assert.equal(s.crouch, 0, "should stand once out from under it");
+});
+
+test("no jumping from a crouch", () => {
+  const env = makeEnv();
+  let s = run(Sim.createState(), { crouch: true }, 0.5, env);
+  s = Sim.step(s, { crouch: true, jump: true }, DT, env);
+  assert.equal(s.onGround, true);
+});
+
+test("jumping through a doorway bumps the lintel", () => {
+  const env = makeEnv([house({ h: 3 })]);
+  const runUp = run(Sim.createState({ z: 4 }), { fwd: 1 }, 0.3, env);
+  const walked = run(runUp, { fwd: 1 }, 0.3, env);
+  assert.ok(walked.z < 2 - 0.15, "walking through is fine");
+  let s = Sim.step(runUp, { fwd: 1, jump: true }, DT, env);
+  s = run(s, { fwd: 1 }, 0.3, env);
+  assert.ok(s.z > 2 - 0.15, `jumped through the lintel to z=${s.z.toFixed(2)}`);
+});
+
+test("look input turns right / up and pitch is clamped", () => {
+  const env = makeEnv();
+  let s = Sim.step(Sim.createState(), { lookYaw: 0.5, lookPitch: 0.25 }, DT, env);
+  assert.equal(s.yaw, -0.5);
+  assert.equal(s.pitch, 0.25);
+  s = Sim.step(s, { lookPitch: 10 }, DT, env);
+  assert.equal(s.pitch, Sim.PLAYER.pitchClamp);
+});
+
+test("step does not modify the state it is given", () => {
+  const env = makeEnv();
+  const start = Sim.createState();
+  const copy = Object.assign({}, start);
+  Sim.step(start, { fwd: 1, jump: true, lookYaw: 1 }, DT, env);
+  assert.deepEqual(start, copy);
+});
+
+test("freeSpot keeps a spot with room, steps out of a wall and gives up inside a solid block", () => {
+  const env = makeEnv([house()]);
+  env.world.addBox({ x: 50, z: 50, hx: 10, hz: 10, y0: 0, y1: 3 });
+  assert.deepEqual(Sim.freeSpot(env, 0, 0), { x: 0, z: 0 });
+  const out = Sim.freeSpot(env, 0.5, -2); // in the back wall
+  assert.notDeepEqual(out, { x: 0.5, z: -2 });
+  assert.ok(Math.hypot(out.x - 0.5, out.z + 2) <= 0.5 + 1e-9, `went as far as ${out.x}, ${out.z}`);
+  assert.equal(env.world.collides(out.x, out.z, Sim.PLAYER.radius, 0.05, Sim.PLAYER.height), false);
+  assert.equal(Sim.freeSpot(env, 50, 50), null);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { surfaceAt, nearestOnRect, StepCounter } from "../src/audio/steps.js";
+
+const layout = {
+  houses: [{ x: 0, z: 0, w: 6, d: 4 }],
+  paths: [{ x: 0, z: 6, w: 2, d: 8 }]
+};
+
+const at = (x, z, extra = {}) => Object.assign({ x, y: 0, z, vx: 0, vz: 0, vy: 0, onGround: true }, extra);
+
+// Feeds a straight walk along x at `speed` m/s in 60 Hz frames; returns the footfall count
+function walk(counter, speed, seconds, from = 0) {
+  let steps = 0;
+  counter.update(at(from, 0, { vx: speed }));
+  for (let i = 1; i <= seconds * 60; i++) steps += counter.update(at(from + (speed * i) / 60, 0, { vx: speed })).steps;
+  return steps;
+}
+
+test("surface under foot: house floor, path gravel, grass elsewhere", () => {
+  assert.equal(surfaceAt(layout, 1, 1), "floor");
+  assert.equal(surfaceAt(layout, 0.5, 7), "gravel");
+  assert.equal(surfaceAt(layout, 10, 10), "grass");
+});
+
+test("nearest point of the pond: clamped to its edge, itself when inside", () => {
+  const pond = { x: 0, z: 0, w: 10, d: 4 };
+  assert.deepEqual(nearestOnRect(pond, 20, 1), { x: 5, z: 1 });
+  assert.deepEqual(nearestOnRect(pond, -1, -9), { x: -1, z: -2 });
+  assert.deepEqual(nearestOnRect(pond, 2, 1), { x: 2, z: 1 });
+});
+
+test("footsteps follow distance covered, with longer strides when faster", () => {
+  // the first footfall comes half a stride in
+  const walking = walk(new StepCounter(), 6, 4);      // 24 m at 2.4 m strides
+  const sprinting = walk(new StepCounter(), 9.6, 4);  // 38.4 m at the 2.6 m cap
+  const creeping = walk(new StepCounter(), 1, 4);     // 4 m at the 0.6 m minimum
+  assert.equal(walking, 10);
+  assert.equal(sprinting, 15);
+  assert.equal(creeping, 7);
+});
+
+test("no footsteps standing still or pushing into a wall", () => {
+  const c = new StepCounter();
+  let steps = 0;
+  for (let i = 0; i < 120; i++) steps += c.update(at(3, 0, { vx: 6 })).steps; // velocity, but the wall holds x
+  assert.equal(steps, 0);
+});
+
+test("frames between sim ticks don't change the count (144 Hz screen, 60 Hz sim)", () => {
+  const c = new StepCounter();
+  let steps = 0;
+  let state = at(0, 0, { vx: 6 });
+  c.update(state);
+  for (let t = 1; t <= 5 * 144; t++) {
+    const tick = Math.floor((t * 60) / 144);
+    if (tick !== Math.floor(((t - 1) * 60) / 144)) state = at((6 * tick) / 60, 0, { vx: 6 });
+    steps += c.update(state).steps;
+  }
+  assert.equal(steps, walk(new StepCounter(), 6, 5));
+});
+
+test("landing: louder the faster you come down, silent for a hop off a step", () => {
+  const c = new StepCounter();
+  c.update(at(0, 0, { onGround: false, vy: -6 }));
+  assert.equal(c.update(at(0, 0)).landing, 0.5);
+
+  c.update(at(0, 0, { onGround: false, vy: -30 }));
+  assert.equal(c.update(at(0, 0)).landing, 1);
+
+  c.update(at(0, 0, { onGround: false, vy: -1 }));
+  assert.equal(c.update(at(0, 0)).landing, 0);
+});
+
+test("no footsteps in the air", () => {
+  const c = new StepCounter();
+  let steps = 0;
+  for (let i = 0; i < 60; i++) steps += c.update(at(i * 0.1, 0, { onGround: false, vx: 6, vy: 1 })).steps;
+  assert.equal(steps, 0);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as TownLayout from "../src/world/layout.js";
+import * as TownGen from "../src/world/towngen.js";
+import * as Terrain from "../src/world/terrain.js";
+import { porch } from "../src/world/houseparts.js";
+import { defaultLayout } from "./helpers.js";
+
+// The ground the browser would build for a layout
+const groundFor = (layout) => Terrain.prepareForLayout(Terrain.fromNoise(layout.terrain), layout);
+
+test("the same seed gives the same heights, another seed other ones", () => {
+  const spec = { seed: "hills", amplitude: 3, scale: 28 };
+  const a = Terrain.fromNoise(spec);
+  assert.deepEqual(Terrain.fromNoise(spec).heights, a.heights);
+  assert.notDeepEqual(Terrain.fromNoise(Object.assign({}, spec, { seed: "dales" })).heights, a.heights);
+  assert.ok(Math.max(...a.heights) - Math.min(...a.heights) > 0.5, "noise came out flat");
+
+  const layout = TownLayout.parse(TownGen.generate(9));
+  assert.deepEqual(groundFor(layout).heights, groundFor(TownLayout.parse(TownGen.generate(9))).heights);
+});
+
+test("the ground is level under every house, porch included", () => {
+  const layouts = [defaultLayout(), ...[1, 2, 3, 7, 42].map((seed) => TownLayout.parse(TownGen.generate(seed)))];
+  for (const layout of layouts) {
+    const hf = groundFor(layout);
+    for (const h of layout.houses) {
+      const floor = hf.heightAt(h.x, h.z);
+      for (let a = 0; a <= 8; a++) {
+        for (let b = 0; b <= 8; b++) {
+          const x = h.x - h.w / 2 + (h.w * a) / 8;
+          const z = h.z - h.d / 2 + (h.d * b) / 8;
+          assert.ok(Math.abs(hf.heightAt(x, z) - floor) < 1e-6, `${layout.name}: house at ${h.x}, ${h.z} isn't level at ${x}, ${z}`);
+        }
+      }
+      const deck = porch(h)?.deck;
+      if (deck) assert.ok(Math.abs(hf.heightAt(deck.x, deck.z) - floor) < 1e-6, `${layout.name}: porch of the house at ${h.x}, ${h.z} is a step off`);
+    }
+  }
+});
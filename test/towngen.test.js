@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as TownLayout from "../src/world/layout.js";
+import { generate, overlaps, hashSeed, DEFAULTS } from "../src/world/towngen.js";
+
+const SEEDS = [1, 2, 3, 7, 42, 1234, "pink", "harbor"];
+
+test("the same seed gives the same town, numbers and strings alike", () => {
+  for (const seed of SEEDS) assert.deepEqual(generate(seed), generate(seed), `seed ${seed} came out twice different`);
+  assert.equal(hashSeed("pink"), hashSeed("pink"));
+  assert.equal(hashSeed(7), 7);
+});
+
+test("different seeds give different towns", () => {
+  const towns = SEEDS.map((seed) => generate(seed));
+  for (let i = 0; i < towns.length; i++) {
+    for (let j = i + 1; j < towns.length; j++) {
+      const [a, b] = [towns[i], towns[j]];
+      assert.notDeepEqual([a.houses, a.trees, a.paths], [b.houses, b.trees, b.paths], `seeds ${SEEDS[i]} and ${SEEDS[j]} built one town`);
+    }
+  }
+});
+
+test("trees keep clear of houses, paths, the pond and each other", () => {
+  for (const seed of SEEDS) {
+    const town = generate(seed);
+    assert.ok(town.trees.length > 0, `seed ${seed} has no trees`);
+    const blockers = [...town.houses, ...town.paths, town.water];
+    for (const t of town.trees) {
+      const trunk = { x: t.x, z: t.z, w: 0.7, d: 0.7 };
+      const hit = blockers.find((b) => overlaps(trunk, b));
+      assert.equal(hit, undefined, `seed ${seed}: tree at ${t.x}, ${t.z} stands on ${JSON.stringify(hit)}`);
+      for (const other of town.trees) {
+        if (other !== t) assert.ok(Math.hypot(other.x - t.x, other.z - t.z) >= DEFAULTS.treeSpacing, `seed ${seed}: trees at ${t.x}, ${t.z} touch`);
+      }
+    }
+    assert.deepEqual(TownLayout.validate(town), [], `seed ${seed} isn't a valid layout`);
+  }
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as TownLayout from "../src/world/layout.js";
+import { headlessTown } from "../src/world/colliders.js";
+import { porch } from "../src/world/houseparts.js";
+import { SPECIES, KINDS, plantLook, plantSolid, scatterPlants } from "../src/world/vegetation.js";
+import { defaultLayout, seeded } from "./helpers.js";
+
+// A row of one plant of each species along z = 0, and nothing else
+function garden(scatter) {
+  return TownLayout.parse({
+    version: 1,
+    spawn: { x: 0, z: 10 },
+    water: null,
+    houses: [],
+    trees: KINDS.map((kind, i) => ({ x: i * 5, z: 0, kind })),
+    paths: [],
+    ...(scatter && { scatter })
+  });
+}
+
+test("a plant looks the same every time, within its species' sizes, and its neighbours don't look alike", () => {
+  const seen = new Set();
+  for (const kind of KINDS) {
+    for (let i = 0; i < 20; i++) {
+      const plant = { x: i * 3.7, z: -i, kind };
+      const look = plantLook(plant);
+      assert.deepEqual(plantLook({ ...plant }), look);
+      assert.ok(look.scale >= SPECIES[kind].size[0] && look.scale <= SPECIES[kind].size[1], `${kind}: size out of range`);
+      assert.ok(Number.isInteger(look.crown) && look.crown >= 0 && look.crown <= 0xffffff);
+      seen.add(`${kind}:${look.crown}:${look.scale}`);
+    }
+  }
+  assert.equal(seen.size, KINDS.length * 20, "two plants came out identical");
+  assert.equal(plantLook({ x: 0, z: 0, kind: "flowers" }).flowers.length, 5);
+  assert.equal(plantLook({ x: 0, z: 0 }).kind, "conifer", "a tree without a species isn't the old conifer");
+});
+
+test("trunks and bushes are solid, flowers aren't", () => {
+  const env = headlessTown(garden());
+  const [conifer, deciduous, bush, flowers] = env.layout.trees;
+  assert.equal(env.world.collides(conifer.x + 0.5, 0, 0.25, 0.1, 1.7), true);
+  assert.equal(env.world.collides(deciduous.x + 0.5, 0, 0.25, 0.1, 1.7), true);
+  const r = plantSolid(bush).r;
+  assert.equal(env.world.collides(bush.x + r + 0.2, 0, 0.25, 0.1, 1.7), true);
+  assert.equal(env.world.collides(bush.x + r + 0.3, 0, 0.25, 0.1, 1.7), false);
+  assert.equal(env.world.collides(flowers.x, 0, 0.25, 0.1, 1.7), false);
+  assert.equal(plantSolid(flowers), null);
+});
+
+test("undergrowth fills open ground only, the same way every time", () => {
+  const layout = defaultLayout();
+  const plants = scatterPlants(layout);
+  assert.equal(plants.length, layout.scatter.count);
+  assert.deepEqual(scatterPlants(defaultLayout()), plants);
+  const inside = (p, r, m = 0) => Math.abs(p.x - r.x) < r.w / 2 + m && Math.abs(p.z - r.z) < r.d / 2 + m;
+  const decks = layout.houses.map((h) => porch(h)).filter(Boolean).map((p) => p.deck);
+  for (const p of plants) {
+    assert.ok(["bush", "flowers"].includes(p.kind));
+    assert.ok(!layout.houses.some((h) => inside(p, h, 0.5)), "undergrowth in a house");
+    assert.ok(!decks.some((d) => inside(p, d)), "undergrowth on a porch");
+    assert.ok(!layout.paths.some((r) => inside(p, r)), "undergrowth on a path");
+    assert.ok(!inside(p, layout.water), "undergrowth in the pond");
+    assert.ok(Math.hypot(p.x - layout.spawn.x, p.z - layout.spawn.z) >= 2, "undergrowth on the spawn point");
+  }
+  const env = headlessTown(layout); // none of it is solid
+  assert.equal(env.world.query(0, 0, 200).filter((s) => s.tag === "tree").length, layout.trees.filter((t) => t.kind !== "flowers").length);
+
+  assert.ok(scatterPlants(garden({ count: 5000, seed: 2 })).length > 4000, "thousands don't fit around a small garden");
+  assert.deepEqual(scatterPlants(garden()), []);
+});
+
+test("species and scatter are checked, kept when saved, and rolled by the generator", () => {
+  const bad = { version: 1, spawn: { x: 0, z: 0 }, houses: [], trees: [{ x: 0, z: 0, kind: "palm" }], paths: [], scatter: { count: 9000 } };
+  assert.deepEqual(TownLayout.validate(bad), [
+    'trees[0].kind: expected one of conifer, deciduous, bush, flowers, got "palm"',
+    "scatter.count: must be <= 5000 (got 9000)"
+  ]);
+  const layout = seeded(3);
+  assert.ok(layout.scatter.count > 0);
+  assert.ok(new Set(layout.trees.map((t) => t.kind)).size >= 2, "every generated tree is the same species");
+  assert.deepEqual(TownLayout.parse(JSON.parse(JSON.stringify(TownLayout.serialize(layout)))), layout);
+});
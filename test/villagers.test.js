@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as TownGen from "../src/world/towngen.js";
+import { headlessTown } from "../src/world/colliders.js";
+import { buildWaypoints, segmentHitsRect } from "../src/world/waypoints.js";
+import { NPC, createVillager, stepVillager } from "../src/physics/npc.js";
+import { defaultLayout, seeded } from "./helpers.js";
+
+// A town with one villager per house on their doorsteps, and a seeded rng
+function village(layout, seed = 7) {
+  const env = headlessTown(layout);
+  const graph = buildWaypoints(layout);
+  const rng = TownGen.makeRng(seed);
+  const others = layout.houses.map((h, house) => {
+    const node = graph.doorOf(house);
+    return createVillager({ house, node, y: env.terrain.heightAt(node.x, node.z), rng });
+  });
+  const doorShut = (house) => !env.interact.items.find((it) => it.kind === "door" && it.house === house).on;
+  return Object.assign(env, { graph, rng, others, night: false, player: null, doorShut });
+}
+
+function run(env, seconds, dt = 1 / 30, each = () => {}) {
+  for (let t = 0; t < seconds; t += dt) {
+    for (const v of env.others) stepVillager(v, dt, env);
+    each();
+  }
+}
+
+test("every door can reach every other door over the waypoint graph", () => {
+  for (const layout of [defaultLayout(), seeded(1), seeded("abc"), seeded(42)]) {
+    const graph = buildWaypoints(layout);
+    const doors = graph.nodes.filter((n) => n.kind === "door");
+    assert.equal(doors.length, layout.houses.length);
+    for (const a of doors) {
+      for (const b of doors) assert.ok(graph.route(a.id, b.id), `${layout.name}: no way from house ${a.house} to ${b.house}`);
+    }
+  }
+});
+
+test("waypoint links never cut through a house, except a door into its own home", () => {
+  for (const layout of [defaultLayout(), seeded(3)]) {
+    const graph = buildWaypoints(layout);
+    for (const a of graph.nodes) {
+      for (const id of a.links) {
+        const b = graph.nodes[id];
+        if (a.kind === "home" || b.kind === "home") continue;
+        for (const h of layout.houses) assert.ok(!segmentHitsRect(a.x, a.z, b.x, b.z, h, 0), `${layout.name}: ${a.id}→${b.id} crosses a house`);
+      }
+    }
+  }
+});
+
+test("by day villagers walk about, stay out of walls and keep apart", () => {
+  const env = village(seeded(5));
+  const start = env.others.map((v) => ({ x: v.x, z: v.z }));
+  let closest = Infinity;
+  run(env, 60, 1 / 30, () => {
+    for (const v of env.others) {
+      assert.ok(!env.world.collides(v.x, v.z, NPC.radius - 0.02, v.y + 0.3, v.y + NPC.height), `villager in a wall at ${v.x},${v.z}`);
+      for (const o of env.others) if (o !== v) closest = Math.min(closest, Math.hypot(v.x - o.x, v.z - o.z));
+    }
+  });
+  const moved = env.others.filter((v, i) => Math.hypot(v.x - start[i].x, v.z - start[i].z) > 3).length;
+  assert.ok(moved >= env.others.length / 2, `only ${moved} of ${env.others.length} went anywhere`);
+  assert.ok(closest > NPC.radius, `two villagers overlapped (${closest.toFixed(2)} m apart)`);
+});
+
+test("at night everyone goes home and stays in until morning", () => {
+  const env = village(defaultLayout());
+  run(env, 20);
+  env.night = true;
+  run(env, 90);
+  assert.deepEqual(env.others.map((v) => v.mode), env.others.map(() => "indoors"));
+  run(env, 30);
+  assert.ok(env.others.every((v) => v.mode === "indoors"));
+  env.night = false;
+  run(env, 10);
+  assert.ok(env.others.every((v) => v.mode !== "indoors"));
+});
+
+test("a shut door doesn't keep anyone out, and villagers never open it", () => {
+  const env = village(defaultLayout());
+  for (const door of env.interact.items.filter((it) => it.kind === "door")) env.interact.setDoor(door, false);
+  env.night = true;
+  run(env, 90);
+  assert.ok(env.others.every((v) => v.mode === "indoors"));
+  assert.ok(env.interact.items.filter((it) => it.kind === "door").every((d) => !d.on));
+});
+
+test("villagers wait for the player standing in their way", () => {
+  const env = village(defaultLayout());
+  const v = env.others[0];
+  env.others = [v];
+  const goal = env.graph.nodes.find((n) => n.kind === "path" && Math.hypot(n.x - v.x, n.z - v.z) > 8);
+  v.route = env.graph.route(v.node, goal.id).slice(1);
+  v.mode = "walk";
+  while (Math.hypot(env.graph.nodes[v.route[0]].x - v.x, env.graph.nodes[v.route[0]].z - v.z) < 1) v.node = v.route.shift(); // already there
+  const next = env.graph.nodes[v.route[0]];
+  const d = Math.hypot(next.x - v.x, next.z - v.z);
+  env.player = { x: v.x + ((next.x - v.x) / d) * 0.9, z: v.z + ((next.z - v.z) / d) * 0.9 };
+  run(env, 1);
+  assert.ok(Math.hypot(v.x - env.player.x, v.z - env.player.z) > 0.8, "walked into the player");
+});